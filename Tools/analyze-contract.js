@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Contract Analyzer
+ * Checks contract structure with the game's contract analyzer: unreachable nodes,
+ * gates that can never open, cycles and orphan nodes.
+ *
+ * Usage: node Tools/analyze-contract.js --contract <file.csv|file.json|library key> [options]
+ *        node Tools/analyze-contract.js --all [options]
+ *
+ * Options:
+ *   --contract <path|key>    Contract CSV/JSON file, or a key from js/contractLibrary.js (repeatable)
+ *   --all                    Analyze every contract in js/contractLibrary.js
+ *   --max-runner-level <n>   Runner level RunnerStat gates are judged against (default 5)
+ *   --strict                 Exit with code 1 if any contract has issues
+ *   --json                   Print the analysis as JSON
+ *   --verbose                Show engine console output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadEngine } = require('./lib/engineLoader');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+    const options = {
+        contracts: [],
+        all: false,
+        maxRunnerLevel: undefined,
+        strict: false,
+        json: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--contract': options.contracts.push(next()); break;
+            case '--all': options.all = true; break;
+            case '--max-runner-level': options.maxRunnerLevel = parseInt(next()); break;
+            case '--strict': options.strict = true; break;
+            case '--json': options.json = true; break;
+            case '--verbose': options.verbose = true; break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+    if (options.contracts.length === 0 && !options.all) {
+        throw new Error('--contract or --all is required');
+    }
+    if (options.maxRunnerLevel !== undefined && !(options.maxRunnerLevel >= 1)) {
+        throw new Error('--max-runner-level must be 1 or more');
+    }
+
+    return options;
+}
+
+/**
+ * Load contract rows from a CSV/JSON file or the embedded contract library
+ * @param {Object} engine - Engine handle
+ * @param {string} contractArg - File path or library key
+ * @returns {Object} {name, rows, metadata}
+ */
+function loadContract(engine, contractArg) {
+    const csvLoader = new (engine.get('CSVLoader'))();
+
+    if (fs.existsSync(contractArg)) {
+        const rows = csvLoader.parseContractText(fs.readFileSync(contractArg, 'utf8'), contractArg);
+        csvLoader.validateData(rows);
+        return { name: path.basename(contractArg), rows, metadata: csvLoader.lastMetadata };
+    }
+
+    const library = engine.get('CONTRACT_LIBRARY');
+    if (!library[contractArg]) {
+        throw new Error(`Contract "${contractArg}" is neither a file nor a library key`);
+    }
+    const rows = csvLoader.parseLibraryContract(library[contractArg]);
+    csvLoader.validateData(rows);
+    return { name: library[contractArg].name, rows, metadata: csvLoader.lastMetadata };
+}
+
+/**
+ * Print the human readable report for one contract
+ * @param {Object} contract - {name, rows}
+ * @param {Object} analysis - Result of analyzeContract()
+ */
+function printReport(contract, analysis) {
+    const count = analysis.issues.length;
+    console.log(`${count === 0 ? '✅' : '⚠️ '} ${contract.name}: ${contract.rows.length} nodes, ${analysis.reachable.length} reachable`);
+
+    if (analysis.impossibleGates.length > 0) {
+        console.log('  Gates that can never open:');
+        analysis.impossibleGates.forEach(gate => console.log(`    - ${gate.nodeId}: ${gate.reason}`));
+    }
+    if (analysis.unreachable.length > 0) {
+        console.log(`  Unreachable: ${analysis.unreachable.join(', ')}`);
+    }
+    if (analysis.cycles.length > 0) {
+        console.log('  Cycles:');
+        analysis.cycles.forEach(cycle => console.log(`    - ${cycle.join(' ↔ ')}`));
+    }
+    if (analysis.orphans.length > 0) {
+        console.log(`  Orphans: ${analysis.orphans.join(', ')}`);
+    }
+}
+
+/**
+ * Main entry point
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        const header = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+        console.log(header.replace(/^ \* ?/gm, '').trim());
+        return;
+    }
+
+    const engine = loadEngine({ verbose: options.verbose });
+    const analyzeContract = engine.get('analyzeContract');
+
+    const contractArgs = options.all
+        ? Object.keys(engine.get('CONTRACT_LIBRARY'))
+        : options.contracts;
+
+    const results = contractArgs.map(contractArg => {
+        const contract = loadContract(engine, contractArg);
+        const analysis = analyzeContract(contract.rows, {
+            maxRunnerLevel: options.maxRunnerLevel,
+            maxHiredRunners: contract.metadata.maxHiredRunners,
+            composition: contract.metadata.composition
+        });
+        return { contract, analysis };
+    });
+
+    if (options.json) {
+        console.log(JSON.stringify(results.map(({ contract, analysis }) => ({
+            contract: contract.name,
+            nodes: contract.rows.length,
+            ...analysis
+        })), null, 2));
+    } else {
+        results.forEach(({ contract, analysis }) => printReport(contract, analysis));
+    }
+
+    if (options.strict && results.some(({ analysis }) => analysis.issues.length > 0)) {
+        process.exitCode = 1;
+    }
+}
+
+// Run analyzer
+try {
+    main();
+} catch (error) {
+    console.error('❌ Analysis failed:', error.message);
+    process.exit(1);
+}
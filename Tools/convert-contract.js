@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * Contract Converter
+ * Converts a contract between the CSV and JSON formats (see js/utils/contractFormat.js).
+ * The contract is validated the same way the game loads it, and the result is checked
+ * to convert back to the same contract.
+ *
+ * Usage: node Tools/convert-contract.js <file.csv|file.json> [options]
+ *
+ * Options:
+ *   --out <path>    Output file (default: input path with the other extension)
+ *   --force         Overwrite an existing file
+ *   --stdout        Print the result instead of writing a file
+ *   --verbose       Show engine console output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadEngine } = require('./lib/engineLoader');
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options ({input, out, force, stdout, verbose})
+ */
+function parseArgs(argv) {
+    const options = {
+        input: null,
+        out: null,
+        force: false,
+        stdout: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--out': options.out = next(); break;
+            case '--force': options.force = true; break;
+            case '--stdout': options.stdout = true; break;
+            case '--verbose': options.verbose = true; break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--') || options.input) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.input = arg;
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+    if (!options.input) {
+        throw new Error('An input .csv or .json file is required');
+    }
+    if (!/\.(csv|json)$/i.test(options.input)) {
+        throw new Error('Input must be a .csv or .json contract file');
+    }
+
+    return options;
+}
+
+/**
+ * Convert contract file text to the other format
+ * @param {Object} engine - Engine handle from loadEngine()
+ * @param {string} text - Input file content
+ * @param {boolean} fromJSON - True if the input is a JSON contract
+ * @returns {Object} {output, nodeCount}
+ */
+function convertContract(engine, text, fromJSON) {
+    const ContractFormat = engine.get('ContractFormat');
+    const csvLoader = new (engine.get('CSVLoader'))();
+
+    const rows = csvLoader.parseContractText(text, fromJSON ? 'contract.json' : 'contract.csv');
+    csvLoader.validateData(rows);
+    const contract = ContractFormat.rowsToContract(rows, csvLoader.lastMetadata);
+
+    const output = fromJSON
+        ? ContractFormat.toCSV(ContractFormat.contractToRows(contract), contract.metadata)
+        : ContractFormat.stringify(contract);
+
+    // Read the result back: it has to be the same contract
+    const roundTrip = ContractFormat.rowsToContract(
+        csvLoader.parseContractText(output, fromJSON ? 'contract.csv' : 'contract.json'),
+        csvLoader.lastMetadata
+    );
+    if (JSON.stringify(roundTrip) !== JSON.stringify(contract)) {
+        throw new Error('Converted contract does not read back the same (please report this contract)');
+    }
+
+    return { output, nodeCount: rows.length };
+}
+
+/**
+ * Main entry point
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        const header = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+        console.log(header.replace(/^ \* ?/gm, '').trim());
+        return;
+    }
+
+    const fromJSON = /\.json$/i.test(options.input);
+    const engine = loadEngine({ verbose: options.verbose });
+    const { output, nodeCount } = convertContract(engine, fs.readFileSync(options.input, 'utf8'), fromJSON);
+
+    if (options.stdout) {
+        process.stdout.write(output);
+        return;
+    }
+
+    const outPath = options.out || options.input.replace(/\.(csv|json)$/i, fromJSON ? '.csv' : '.json');
+    if (fs.existsSync(outPath) && !options.force) {
+        throw new Error(`${outPath} already exists (use --force to overwrite)`);
+    }
+    fs.writeFileSync(outPath, output, 'utf8');
+
+    console.log(`🔁 Converted ${nodeCount} nodes to ${fromJSON ? 'CSV' : 'JSON'}`);
+    console.log(`💾 Written to: ${path.relative(process.cwd(), outPath)}`);
+}
+
+// Run converter
+try {
+    main();
+} catch (error) {
+    console.error('❌ Conversion failed:', error.message);
+    process.exit(1);
+}
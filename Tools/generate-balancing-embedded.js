@@ -2,19 +2,25 @@
 /**
  * Balancing Configuration Embedded Data Generator
  * Automatically generates embedded balancing data in js/resourceData.js
- * from Resources/balancing.csv
+ * from Resources/balancing.csv, runner_name_table.csv, damage_table.csv, runner_traits.csv,
+ * heat_tiers.csv and contract_node_pool.csv
  *
  * Usage: node Tools/generate-balancing-embedded.js
  */
 
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
 
 // Paths
 const BALANCING_CSV = path.join(__dirname, '..', 'Resources', 'balancing.csv');
 const NAME_TABLE_CSV = path.join(__dirname, '..', 'Resources', 'runner_name_table.csv');
 const DAMAGE_TABLE_CSV = path.join(__dirname, '..', 'Resources', 'damage_table.csv');
+const RUNNER_TRAITS_CSV = path.join(__dirname, '..', 'Resources', 'runner_traits.csv');
+const HEAT_TIERS_CSV = path.join(__dirname, '..', 'Resources', 'heat_tiers.csv');
+const CONTRACT_NODE_POOL_CSV = path.join(__dirname, '..', 'Resources', 'contract_node_pool.csv');
 const OUTPUT_FILE = path.join(__dirname, '..', 'js', 'resourceData.js');
+const DAMAGE_EVALUATOR_JS = path.join(__dirname, '..', 'js', 'damageEvaluator.js');
 
 /**
  * Parse balancing CSV into JavaScript object
@@ -72,10 +78,32 @@ function parseNameTableCSV(csvContent) {
 
 /**
  * Parse damage table CSV into JavaScript array
+ * Uses the game's parseDamageTable() so effects are read by the same damage effect
+ * registry the game rolls with; an unknown effect stops the generator.
  */
 function parseDamageTableCSV(csvContent) {
+    const context = vm.createContext({ console });
+    vm.runInContext(fs.readFileSync(DAMAGE_EVALUATOR_JS, 'utf8'), context, { filename: DAMAGE_EVALUATOR_JS });
+
+    const rows = csvContent.trim().split('\n').slice(1)
+        .map(line => line.trim())
+        .filter(line => line)
+        .map(line => {
+            const parts = line.split(',');
+            return { 'Roll Range': parts[0].trim(), 'Effect': (parts[1] || '').trim() };
+        });
+
+    return context.parseDamageTable(rows);
+}
+
+/**
+ * Parse runner traits CSV into JavaScript array
+ * Columns: Trait, Weight, Effect, Injury Weight, Hiring Cost %, Description
+ * (values must not contain commas)
+ */
+function parseRunnerTraitsCSV(csvContent) {
     const lines = csvContent.trim().split('\n');
-    const damageTable = [];
+    const traits = [];
 
     // Skip header row
     for (let i = 1; i < lines.length; i++) {
@@ -83,45 +111,88 @@ function parseDamageTableCSV(csvContent) {
         if (!line) continue;
 
         const parts = line.split(',');
-        if (parts.length >= 2) {
-            // Parse "1-10" format into minRange and maxRange
-            const rangeStr = parts[0].trim();
-            const rangeParts = rangeStr.split('-');
-            const minRange = parseInt(rangeParts[0]);
-            const maxRange = parseInt(rangeParts[1]);
-
-            // Parse "Death", "Injury", "Reduce 15", "No Effect", "Extra 5" format
-            const effectStr = parts[1].trim();
-            let effect = '';
-            let value = 0;
-
-            if (effectStr === 'Death') {
-                effect = 'Death';
-                value = 0;
-            } else if (effectStr === 'Injury') {
-                effect = 'Injury';
-                value = 0;
-            } else if (effectStr === 'No Effect') {
-                effect = 'No Effect';
-                value = 0;
-            } else if (effectStr.startsWith('Reduce ')) {
-                effect = 'Reduce';
-                value = parseInt(effectStr.split(' ')[1]);
-            } else if (effectStr.startsWith('Extra ')) {
-                effect = 'Extra';
-                value = parseInt(effectStr.split(' ')[1]);
-            }
+        const name = parts[0].trim();
+        if (!name) continue;
+
+        const injuryWeight = parseFloat(parts[3]);
+        traits.push({
+            name: name,
+            weight: parseFloat(parts[1]) || 0,
+            effect: (parts[2] || '').trim(),
+            injuryWeight: isNaN(injuryWeight) ? 1 : injuryWeight,
+            hiringCostPercent: parseFloat(parts[4]) || 0,
+            description: (parts[5] || '').trim()
+        });
+    }
 
-            damageTable.push({
-                minRange: minRange,
-                maxRange: maxRange,
-                effect: effect,
-                value: value
-            });
-        }
+    return traits;
+}
+
+/**
+ * Parse heat tiers CSV into JavaScript array (sorted by Min Risk)
+ * Columns: Tier, Min Risk, Hiring Cost %, Extra Damage Rolls, Payoff Cost Per Risk, Game Over, Description
+ * (values must not contain commas)
+ */
+function parseHeatTiersCSV(csvContent) {
+    const lines = csvContent.trim().split('\n');
+    const tiers = [];
+
+    // Skip header row
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+
+        const parts = line.split(',');
+        const name = parts[0].trim();
+        if (!name) continue;
+
+        tiers.push({
+            name: name,
+            minRisk: parseFloat(parts[1]) || 0,
+            hiringCostPercent: parseFloat(parts[2]) || 0,
+            extraDamageRolls: parseInt(parts[3]) || 0,
+            payoffCostPerRisk: parseFloat(parts[4]) || 0,
+            gameOver: parseInt(parts[5]) === 1,
+            description: (parts[6] || '').trim()
+        });
+    }
+
+    return tiers.sort((a, b) => a.minRisk - b.minRisk);
+}
+
+/**
+ * Parse the contract generator node pool CSV into JavaScript array
+ * Columns: Role, Color, Weight, Description, Effect Desc, Effect, Gate Condition
+ * (values must not contain commas; "|" separates effects and Effect Desc lines)
+ */
+function parseContractNodePoolCSV(csvContent) {
+    const lines = csvContent.trim().split('\n');
+    const templates = [];
+
+    // Skip header row
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i].trim();
+        if (!line) continue;
+
+        const parts = line.split(',');
+        const role = parts[0].trim();
+        if (!role) continue;
+
+        const effectDescription = (parts[4] || '').trim();
+        const effects = (parts[5] || '').split('|').map(effect => effect.trim()).filter(effect => effect);
+
+        templates.push({
+            role: role,
+            color: (parts[1] || '').trim(),
+            weight: parseFloat(parts[2]) || 1,
+            description: (parts[3] || '').trim(),
+            effectDescription: effectDescription.split('|').map(text => text.trim()).join('\n'),
+            effects: effects,
+            gateCondition: (parts[6] || '').trim()
+        });
     }
 
-    return damageTable;
+    return templates;
 }
 
 /**
@@ -146,22 +217,46 @@ function generateResourceDataFile() {
         process.exit(1);
     }
 
+    if (!fs.existsSync(RUNNER_TRAITS_CSV)) {
+        console.error(`❌ Error: runner_traits.csv not found at ${RUNNER_TRAITS_CSV}`);
+        process.exit(1);
+    }
+
+    if (!fs.existsSync(HEAT_TIERS_CSV)) {
+        console.error(`❌ Error: heat_tiers.csv not found at ${HEAT_TIERS_CSV}`);
+        process.exit(1);
+    }
+
+    if (!fs.existsSync(CONTRACT_NODE_POOL_CSV)) {
+        console.error(`❌ Error: contract_node_pool.csv not found at ${CONTRACT_NODE_POOL_CSV}`);
+        process.exit(1);
+    }
+
     // Read CSV files
     console.log('📁 Reading CSV files...');
     const balancingCSV = fs.readFileSync(BALANCING_CSV, 'utf8');
     const nameTableCSV = fs.readFileSync(NAME_TABLE_CSV, 'utf8');
     const damageTableCSV = fs.readFileSync(DAMAGE_TABLE_CSV, 'utf8');
+    const runnerTraitsCSV = fs.readFileSync(RUNNER_TRAITS_CSV, 'utf8');
+    const heatTiersCSV = fs.readFileSync(HEAT_TIERS_CSV, 'utf8');
+    const contractNodePoolCSV = fs.readFileSync(CONTRACT_NODE_POOL_CSV, 'utf8');
 
     // Parse data
     console.log('🔍 Parsing data...');
     const balancingData = parseBalancingCSV(balancingCSV);
     const nameTable = parseNameTableCSV(nameTableCSV);
     const damageTable = parseDamageTableCSV(damageTableCSV);
+    const runnerTraits = parseRunnerTraitsCSV(runnerTraitsCSV);
+    const heatTiers = parseHeatTiersCSV(heatTiersCSV);
+    const contractNodePool = parseContractNodePoolCSV(contractNodePoolCSV);
 
     console.log(`  ✅ Balancing parameters: ${Object.keys(balancingData).length}`);
     console.log(`  ✅ First name parts: ${nameTable.firstParts.length}`);
     console.log(`  ✅ Second name parts: ${nameTable.secondParts.length}`);
     console.log(`  ✅ Damage table entries: ${damageTable.length}`);
+    console.log(`  ✅ Runner traits: ${runnerTraits.length}`);
+    console.log(`  ✅ Heat tiers: ${heatTiers.length}`);
+    console.log(`  ✅ Contract node pool templates: ${contractNodePool.length}`);
 
     // Generate JavaScript file content
     const output = `/**
@@ -190,11 +285,23 @@ const RUNNER_NAME_TABLE = {
 // Damage Table Data
 const DAMAGE_TABLE = ${JSON.stringify(damageTable, null, 4)};
 
+// Runner Traits Data
+const RUNNER_TRAITS = ${JSON.stringify(runnerTraits, null, 4)};
+
+// Heat Tiers Data
+const HEAT_TIERS = ${JSON.stringify(heatTiers, null, 4)};
+
+// Contract Generator Node Pool Data
+const CONTRACT_NODE_POOL = ${JSON.stringify(contractNodePool, null, 4)};
+
 console.log('Resource data loaded:', {
     balancingParams: Object.keys(BALANCING_DATA).length,
     firstNameParts: RUNNER_NAME_TABLE.firstParts.length,
     secondNameParts: RUNNER_NAME_TABLE.secondParts.length,
-    damageTableEntries: DAMAGE_TABLE.length
+    damageTableEntries: DAMAGE_TABLE.length,
+    runnerTraits: RUNNER_TRAITS.length,
+    heatTiers: HEAT_TIERS.length,
+    contractNodePool: CONTRACT_NODE_POOL.length
 });
 `;
 
@@ -1,13 +1,17 @@
 #!/usr/bin/env node
 /**
  * Contract Library Generator
- * Automatically generates js/contractLibrary.js from all CSV files in Contracts/
+ * Automatically generates js/contractLibrary.js from all CSV and JSON contract files in Contracts/
+ *
+ * CSV contracts are embedded as text ({name, description, csv}), JSON contracts as
+ * objects ({name, description, contract}); CSVLoader.parseLibraryContract reads both.
  *
  * Usage: node Tools/generate-contract-library.js
  */
 
 const fs = require('fs');
 const path = require('path');
+const ContractFormat = require('../js/utils/contractFormat.js');
 
 // Paths
 const CONTRACTS_DIR = path.join(__dirname, '..', 'Contracts');
@@ -15,8 +19,8 @@ const OUTPUT_FILE = path.join(__dirname, '..', 'js', 'contractLibrary.js');
 
 // Helper function to convert filename to friendly name
 function generateFriendlyName(filename) {
-    // Remove .csv extension
-    let name = filename.replace('.csv', '');
+    // Remove .csv / .json extension
+    let name = filename.replace(/\.(csv|json)$/, '');
 
     // Handle special patterns
     if (name.startsWith('Contract_Example')) {
@@ -42,21 +46,50 @@ function generateFriendlyName(filename) {
 }
 
 // Helper function to generate description
-function generateDescription(filename, csv) {
-    const lines = csv.split('\n').filter(line => line.trim());
-    const nodeCount = Math.max(0, lines.length - 1); // Subtract header
-
+function generateDescription(nodeCount, content) {
     let description = `Contract with ${nodeCount} nodes`;
 
     // Add special notes based on content
-    if (csv.includes('Gate')) description += ', includes gate nodes';
-    if (csv.includes('Synergy')) description += ', includes synergy nodes';
-    if (csv.includes('RunnerType')) description += ', runner type conditions';
-    if (csv.includes('X,Y') || csv.includes('"X"')) description += ', XY positioning';
+    if (content.includes('Gate')) description += ', includes gate nodes';
+    if (content.includes('Synergy')) description += ', includes synergy nodes';
+    if (content.includes('RunnerType')) description += ', runner type conditions';
+    if (content.includes('X,Y') || content.includes('"X"') || content.includes('"x"')) description += ', XY positioning';
 
     return description;
 }
 
+// Helper function to build the library entry for a CSV contract
+function createCSVEntry(filename, csv) {
+    const { metadata, csvText } = ContractFormat.splitCSVMetadata(csv);
+    const lines = csvText.split('\n').filter(line => line.trim());
+    const nodeCount = Math.max(0, lines.length - 1); // Subtract header
+
+    return {
+        name: metadata.name || generateFriendlyName(filename),
+        description: generateDescription(nodeCount, csvText),
+        csv: csv
+    };
+}
+
+// Helper function to build the library entry for a JSON contract
+function createJSONEntry(filename, json) {
+    let contract;
+    try {
+        contract = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`${filename}: invalid JSON (${error.message})`);
+    }
+    if (contract.format !== ContractFormat.FORMAT || !Array.isArray(contract.nodes)) {
+        throw new Error(`${filename}: not a ${ContractFormat.FORMAT} contract`);
+    }
+
+    return {
+        name: (contract.metadata && contract.metadata.name) || generateFriendlyName(filename),
+        description: generateDescription(contract.nodes.length, json),
+        contract: contract
+    };
+}
+
 // Main generation function
 function generateContractLibrary() {
     console.log('🔄 Generating contract library...\n');
@@ -67,13 +100,13 @@ function generateContractLibrary() {
         process.exit(1);
     }
 
-    // Read all CSV files
+    // Read all CSV and JSON contract files
     const files = fs.readdirSync(CONTRACTS_DIR)
-        .filter(file => file.endsWith('.csv'))
+        .filter(file => file.endsWith('.csv') || file.endsWith('.json'))
         .sort();
 
     if (files.length === 0) {
-        console.error('❌ Error: No CSV files found in Contracts directory');
+        console.error('❌ Error: No contract files found in Contracts directory');
         process.exit(1);
     }
 
@@ -83,20 +116,19 @@ function generateContractLibrary() {
     const contracts = {};
 
     files.forEach((file, index) => {
-        const filename = path.basename(file, '.csv');
+        const filename = path.basename(file, path.extname(file));
         const filepath = path.join(CONTRACTS_DIR, file);
-        const csv = fs.readFileSync(filepath, 'utf8');
+        const content = fs.readFileSync(filepath, 'utf8');
 
-        const friendlyName = generateFriendlyName(filename);
-        const description = generateDescription(filename, csv);
+        if (contracts[filename]) {
+            throw new Error(`${file}: another contract file is already named "${filename}"`);
+        }
 
-        contracts[filename] = {
-            name: friendlyName,
-            description: description,
-            csv: csv
-        };
+        contracts[filename] = file.endsWith('.json')
+            ? createJSONEntry(file, content)
+            : createCSVEntry(filename, content);
 
-        console.log(`  ${(index + 1).toString().padStart(2)}. ${friendlyName}`);
+        console.log(`  ${(index + 1).toString().padStart(2)}. ${contracts[filename].name}`);
     });
 
     console.log(`\n✅ Processed ${files.length} contracts\n`);
@@ -104,7 +136,7 @@ function generateContractLibrary() {
     // Generate JavaScript file content
     const output = `/**
  * Contract Library Module
- * Auto-generated from all CSV files in Contracts folder
+ * Auto-generated from all contract files in Contracts folder
  * Generated: ${new Date().toISOString()}
  *
  * DO NOT EDIT THIS FILE MANUALLY
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Contract Generator
+ * Builds a new contract tree with the game's contract generator and writes it as
+ * a CSV into Contracts/ (same format the editor exports).
+ *
+ * Node templates come from the embedded CONTRACT_NODE_POOL - after editing
+ * Resources/contract_node_pool.csv run node Tools/generate-balancing-embedded.js.
+ *
+ * Usage: node Tools/generate-contract.js --name <name> [options]
+ *
+ * Options:
+ *   --name <name>              Contract name, used for the file name (required)
+ *   --out <path>               Output CSV (default Contracts/contract_<name>.csv)
+ *   --seed <value>             Random seed for a reproducible tree (default random)
+ *   --stages <n>               Branch sections between entry and exit (default 3)
+ *   --branches <min-max>       Branches per stage, e.g. 2-3 (default 2-3)
+ *   --branch-length <min-max>  Nodes per branch, e.g. 1-2 (default 1-2)
+ *   --gate-chance <0-1>        Chance a branch is opened by a gate (default 0.3)
+ *   --entry-nodes <n>          Nodes available at the start (default 1)
+ *   --synergy-nodes <n>        Synergy nodes above the tree (default 2)
+ *   --synergy-max-stacks <n>   Matches a synergy bonus counts at most (default 3)
+ *   --force                    Overwrite an existing file
+ *   --stdout                   Print the CSV instead of writing a file
+ *   --verbose                  Show engine console output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadEngine } = require('./lib/engineLoader');
+
+// Paths
+const CONTRACTS_DIR = path.join(__dirname, '..', 'Contracts');
+
+/**
+ * Parse a "min-max" (or single number) range argument
+ * @param {string} value - Argument value
+ * @param {string} option - Option name for error messages
+ * @returns {Array<number>} [min, max]
+ */
+function parseRange(value, option) {
+    const parts = value.split('-').map(part => parseInt(part));
+    const min = parts[0];
+    const max = parts.length > 1 ? parts[1] : parts[0];
+    if (isNaN(min) || isNaN(max)) {
+        throw new Error(`${option} expects a number or a min-max range`);
+    }
+    return [min, max];
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options ({name, out, seed, rules, force, stdout, verbose})
+ */
+function parseArgs(argv) {
+    const options = {
+        name: null,
+        out: null,
+        seed: undefined,
+        rules: {},
+        force: false,
+        stdout: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--name': options.name = next(); break;
+            case '--out': options.out = next(); break;
+            case '--seed': options.seed = next(); break;
+            case '--stages': options.rules.stages = parseInt(next()); break;
+            case '--branches':
+                [options.rules.minBranches, options.rules.maxBranches] = parseRange(next(), arg);
+                break;
+            case '--branch-length':
+                [options.rules.minBranchLength, options.rules.maxBranchLength] = parseRange(next(), arg);
+                break;
+            case '--gate-chance': options.rules.gateChance = parseFloat(next()); break;
+            case '--entry-nodes': options.rules.entryNodes = parseInt(next()); break;
+            case '--synergy-nodes': options.rules.synergyNodes = parseInt(next()); break;
+            case '--synergy-max-stacks': options.rules.synergyMaxStacks = parseInt(next()); break;
+            case '--force': options.force = true; break;
+            case '--stdout': options.stdout = true; break;
+            case '--verbose': options.verbose = true; break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+    if (!options.name) {
+        throw new Error('--name is required');
+    }
+    if (!/^[a-zA-Z0-9_-]+$/.test(options.name)) {
+        throw new Error('--name may only contain letters, numbers, underscores and hyphens');
+    }
+
+    return options;
+}
+
+/**
+ * Convert contract rows to CSV text (same quoting as the editor's export)
+ * @param {Object} engine - Engine handle from loadEngine()
+ * @param {Array<Object>} rows - Contract rows
+ * @returns {string} CSV text
+ */
+function rowsToCSV(engine, rows) {
+    return engine.get('Papa').unparse(rows, {
+        quotes: true,
+        quoteChar: '"',
+        escapeChar: '"',
+        delimiter: ',',
+        header: true,
+        newline: '\r\n'
+    });
+}
+
+/**
+ * Main entry point
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        const header = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+        console.log(header.replace(/^ \* ?/gm, '').trim());
+        return;
+    }
+
+    const engine = loadEngine({ verbose: options.verbose });
+    const rng = new (engine.get('SeededRandom'))(options.seed);
+    const rows = engine.get('generateContract')(engine.get('CONTRACT_NODE_POOL'), options.rules, rng);
+    const csv = rowsToCSV(engine, rows);
+
+    if (options.stdout) {
+        console.log(csv);
+        return;
+    }
+
+    const outPath = options.out || path.join(CONTRACTS_DIR, `contract_${options.name}.csv`);
+    if (fs.existsSync(outPath) && !options.force) {
+        throw new Error(`${outPath} already exists (use --force to overwrite)`);
+    }
+    fs.writeFileSync(outPath, csv, 'utf8');
+
+    const analysis = engine.get('analyzeContractDifficulty')(rows);
+    console.log(`🧩 Generated contract "${options.name}" (seed ${rng.getSeed()})\n`);
+    console.log(`  Nodes:          ${analysis.nodeCount}`);
+    console.log(`  Damage sources: ${analysis.damageSources}`);
+    console.log(`  Gates:          ${analysis.gateCount}`);
+    console.log(`  Difficulty:     ${analysis.difficulty}`);
+    console.log(`\n💾 Written to: ${path.relative(process.cwd(), outPath)}`);
+    console.log('   Run node Tools/generate-contract-library.js to add it to the game.\n');
+}
+
+// Run generator
+try {
+    main();
+} catch (error) {
+    console.error('❌ Contract generation failed:', error.message);
+    process.exit(1);
+}
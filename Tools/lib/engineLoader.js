@@ -0,0 +1,99 @@
+/**
+ * Headless Engine Loader
+ * Loads the browser game scripts from js/ into a Node.js vm context so Tools/
+ * scripts can drive GameState and contract resolution without a DOM.
+ *
+ * The scripts share one context the same way <script> tags share a page, so
+ * globals (classes, constants, functions) resolve exactly as in index.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+// Same order as index.html, minus the DOM-bound scripts (visualPrototype, ui, main)
+const ENGINE_SCRIPTS = [
+    'contractLibrary.js',
+    'utils/textUtils.js',
+    'utils/effectExpression.js',
+    'utils/validationUtils.js',
+    'utils/contractFormat.js',
+    'utils/connectionUtils.js',
+    'utils/seededRandom.js',
+    'resourceData.js',
+    'balancingLoader.js',
+    'runnerGenerator.js',
+    'damageEvaluator.js',
+    'heatManager.js',
+    'runnerManager.js',
+    'contractBoard.js',
+    'contractResolution.js',
+    'contractSolver.js',
+    'contractAnalyzer.js',
+    'contractGenerator.js',
+    'csvLoader.js',
+    'gameState.js',
+    'saveManager.js'
+];
+
+/**
+ * In-memory replacement for window.sessionStorage
+ */
+function createStorageStub() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+/**
+ * Load the game engine into a fresh vm context
+ * @param {Object} options - Loader options
+ * @param {boolean} options.verbose - Forward engine console.log output (default false)
+ * @returns {Object} Engine handle: { context, get(name), run(code) }
+ */
+function loadEngine(options = {}) {
+    const verbose = Boolean(options.verbose);
+    const noop = () => {};
+
+    const sandbox = {
+        console: {
+            log: verbose ? console.log : noop,
+            info: verbose ? console.info : noop,
+            warn: verbose ? console.warn : noop,
+            error: console.error
+        },
+        sessionStorage: createStorageStub(),
+        localStorage: createStorageStub(),
+        performance: { now: () => Number(process.hrtime.bigint()) / 1e6 },
+        // Damage roll delays are for the UI only - resolve them on the next microtask
+        setTimeout: (callback) => { queueMicrotask(callback); return 0; },
+        clearTimeout: noop,
+        Papa: require('papaparse')
+    };
+    sandbox.window = sandbox;
+
+    const context = vm.createContext(sandbox);
+
+    ENGINE_SCRIPTS.forEach(script => {
+        const filename = path.join(JS_DIR, script);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    // Top-level class/const declarations are not properties of the global object,
+    // so look them up by evaluating the name inside the context
+    const run = code => vm.runInContext(code, context);
+
+    return {
+        context,
+        run,
+        get: name => run(name)
+    };
+}
+
+module.exports = { loadEngine, ENGINE_SCRIPTS };
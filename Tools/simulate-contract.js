@@ -0,0 +1,503 @@
+#!/usr/bin/env node
+/**
+ * Contract Simulator
+ * Runs a contract headlessly many times with the real game engine and reports
+ * expected reward, reward variance and runner injury/death rates.
+ *
+ * Balancing and damage table are read straight from Resources/*.csv, so edits
+ * can be checked without regenerating js/resourceData.js.
+ *
+ * Usage: node Tools/simulate-contract.js --contract <file.csv|file.json|library key> [options]
+ *
+ * Options:
+ *   --contract <path|key>   Contract CSV/JSON file, or a key from js/contractLibrary.js (required)
+ *   --roster <path>         JSON file with an array of runners ({name, runnerType, level, stats})
+ *   --runners <n>           Generate n random runners when no roster is given (default: the contract's runner limit)
+ *   --player-level <n>      Player level that generated runner levels scale with (default 0)
+ *   --player-risk <n>       Accumulated player risk; its heat tier adds damage rolls (default 0)
+ *   --nodes <id,id,...>     Select these nodes (in dependency order where needed)
+ *   --strategy <name>       Auto-selection when --nodes is omitted: all | random | optimal | none (default all)
+ *   --iterations <n>        Number of simulated contract runs (default 1000)
+ *   --max-states <n>        Search limit for the optimal strategy (default 20000)
+ *   --seed <value>          Random seed for reproducible runs (default random)
+ *   --balancing <path>      Balancing CSV (default Resources/balancing.csv)
+ *   --damage-table <path>   Damage table CSV (default Resources/damage_table.csv; a contract with its own damage table uses that)
+ *   --json                  Print the summary as JSON
+ *   --verbose               Show engine console output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadEngine } = require('./lib/engineLoader');
+
+// Paths
+const RESOURCES_DIR = path.join(__dirname, '..', 'Resources');
+const DEFAULT_BALANCING_CSV = path.join(RESOURCES_DIR, 'balancing.csv');
+const DEFAULT_DAMAGE_TABLE_CSV = path.join(RESOURCES_DIR, 'damage_table.csv');
+
+const STRATEGIES = ['all', 'random', 'optimal', 'none'];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+    const options = {
+        contract: null,
+        roster: null,
+        runners: null,
+        playerLevel: 0,
+        playerRisk: 0,
+        nodes: null,
+        strategy: 'all',
+        iterations: 1000,
+        maxStates: 20000,
+        seed: undefined,
+        balancing: DEFAULT_BALANCING_CSV,
+        damageTable: DEFAULT_DAMAGE_TABLE_CSV,
+        json: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--contract': options.contract = next(); break;
+            case '--roster': options.roster = next(); break;
+            case '--runners': options.runners = parseInt(next()); break;
+            case '--player-level': options.playerLevel = parseInt(next()); break;
+            case '--player-risk': options.playerRisk = parseInt(next()); break;
+            case '--nodes': options.nodes = next().split(',').map(id => id.trim()).filter(id => id); break;
+            case '--strategy': options.strategy = next(); break;
+            case '--iterations': options.iterations = parseInt(next()); break;
+            case '--max-states': options.maxStates = parseInt(next()); break;
+            case '--seed': options.seed = next(); break;
+            case '--balancing': options.balancing = next(); break;
+            case '--damage-table': options.damageTable = next(); break;
+            case '--json': options.json = true; break;
+            case '--verbose': options.verbose = true; break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+    if (!options.contract) {
+        throw new Error('--contract is required');
+    }
+    if (!STRATEGIES.includes(options.strategy)) {
+        throw new Error(`Unknown strategy "${options.strategy}" (expected ${STRATEGIES.join(', ')})`);
+    }
+    if (!(options.iterations > 0)) {
+        throw new Error('--iterations must be a positive number');
+    }
+    if (!options.roster && options.runners !== null && !(options.runners > 0)) {
+        throw new Error('--runners must be a positive number');
+    }
+    if (!(options.playerLevel >= 0)) {
+        throw new Error('--player-level must be 0 or more');
+    }
+    if (!(options.playerRisk >= 0)) {
+        throw new Error('--player-risk must be 0 or more');
+    }
+
+    return options;
+}
+
+/**
+ * Parse a CSV file with Papa Parse (header row required)
+ * @param {Object} engine - Engine handle from loadEngine()
+ * @param {string} filePath - CSV path
+ * @returns {Array<Object>} Rows
+ */
+function readCSVRows(engine, filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+    const Papa = engine.get('Papa');
+    return Papa.parse(fs.readFileSync(filePath, 'utf8'), { header: true, skipEmptyLines: true }).data;
+}
+
+/**
+ * Load contract rows from a CSV/JSON file or the embedded contract library
+ * @param {Object} engine - Engine handle
+ * @param {string} contractArg - File path or library key
+ * @returns {Object} {name, rows, metadata}
+ */
+function loadContract(engine, contractArg) {
+    const csvLoader = new (engine.get('CSVLoader'))();
+
+    if (fs.existsSync(contractArg)) {
+        const rows = csvLoader.parseContractText(fs.readFileSync(contractArg, 'utf8'), contractArg);
+        csvLoader.validateData(rows);
+        return { name: path.basename(contractArg), rows, metadata: csvLoader.lastMetadata };
+    }
+
+    const library = engine.get('CONTRACT_LIBRARY');
+    if (!library[contractArg]) {
+        throw new Error(`Contract "${contractArg}" is neither a file nor a library key`);
+    }
+    const rows = csvLoader.parseLibraryContract(library[contractArg]);
+    csvLoader.validateData(rows);
+    return { name: library[contractArg].name, rows, metadata: csvLoader.lastMetadata };
+}
+
+/**
+ * Build the runner roster from a JSON file or generate one
+ * @param {Object} engine - Engine handle
+ * @param {Object} options - CLI options
+ * @param {Object} balancingConfig - Balancing configuration
+ * @param {SeededRandom} rng - Random source
+ * @returns {Array<Object>} Runner objects
+ */
+function loadRoster(engine, options, balancingConfig, rng) {
+    let runners;
+
+    if (options.roster) {
+        runners = JSON.parse(fs.readFileSync(options.roster, 'utf8'));
+        if (!Array.isArray(runners) || runners.length === 0) {
+            throw new Error('Roster file must contain a non-empty array of runners');
+        }
+    } else {
+        const nameTable = engine.get('RUNNER_NAME_TABLE');
+        runners = engine.get('generateRunnerBatch')(options.runners, nameTable, balancingConfig, rng, options.playerLevel, engine.get('RUNNER_TRAITS'));
+    }
+
+    // Roster files may name traits ("traits": ["Lucky"]) instead of spelling them out
+    const traitTable = engine.get('RUNNER_TRAITS');
+    const resolveTrait = trait => {
+        if (typeof trait !== 'string') return trait;
+        const definition = traitTable.find(t => t.name.toLowerCase() === trait.toLowerCase());
+        if (!definition) {
+            throw new Error(`Unknown trait "${trait}" in roster (see Resources/runner_traits.csv)`);
+        }
+        return { ...definition };
+    };
+
+    // Fill in anything a hand-written roster leaves out
+    return runners.map((runner, index) => ({
+        id: runner.id || `SIM_RUNNER_${index + 1}`,
+        name: runner.name || `Runner ${index + 1}`,
+        level: runner.level || 1,
+        runnerType: runner.runnerType || 'Face',
+        stats: Object.assign({ face: 0, muscle: 0, hacker: 0, ninja: 0 }, runner.stats),
+        traits: (runner.traits || []).map(resolveTrait),
+        runnerState: runner.runnerState || 'Ready',
+        hiringState: 'Hired',
+        timesHired: runner.timesHired || 0,
+        contractsCompleted: runner.contractsCompleted || 0,
+        lastHiredTimestamp: 0,
+        generatedTimestamp: 0
+    }));
+}
+
+/**
+ * Select nodes on a loaded GameState
+ * @param {GameState} gameState - Game state with contract and runners set
+ * @param {Object} options - CLI options (nodes / strategy)
+ * @param {SeededRandom} rng - Random source for the random strategy
+ * @returns {Array<string>} Requested node IDs that could not be selected
+ */
+function selectNodes(gameState, options, rng) {
+    if (options.nodes) {
+        // Keep passing over the list so parents listed after children still unlock them
+        let progress = true;
+        while (progress) {
+            progress = false;
+            options.nodes.forEach(nodeId => {
+                if (!gameState.selectedNodes.includes(nodeId) && gameState.selectNode(nodeId)) {
+                    progress = true;
+                }
+            });
+        }
+        return options.nodes.filter(nodeId => !gameState.selectedNodes.includes(nodeId));
+    }
+
+    const availableNodes = () => gameState.contractData.filter(node => node.available && !node.selected);
+
+    if (options.strategy === 'all') {
+        let candidates = availableNodes();
+        while (candidates.length > 0) {
+            gameState.selectNode(candidates[0].id);
+            candidates = availableNodes();
+        }
+    } else if (options.strategy === 'random') {
+        // Each step stops with the same chance as picking any one node
+        let candidates = availableNodes();
+        while (candidates.length > 0 && rng.nextInt(candidates.length + 1) !== 0) {
+            gameState.selectNode(rng.pick(candidates).id);
+            candidates = availableNodes();
+        }
+    }
+
+    return [];
+}
+
+/**
+ * What would stop the game from executing the contract with this roster
+ * (the contract's runner limit and composition rules)
+ * @param {Object} engine - Engine handle
+ * @param {Object} setup - Shared simulation inputs
+ * @returns {Array<string>} Problem descriptions
+ */
+function getRosterIssues(engine, setup) {
+    const GameState = engine.get('GameState');
+    const gameState = new GameState(setup.rng);
+    gameState.setBalancingConfig(setup.balancingConfig);
+    gameState.hiredRunners = setup.roster;
+    gameState.setContractData(setup.contractRows, { metadata: setup.contractMetadata });
+
+    return gameState.getConfigurationIssues();
+}
+
+/**
+ * Find the optimal selection once with the contract solver (the roster is the same every run)
+ * @param {Object} engine - Engine handle
+ * @param {Object} setup - Shared simulation inputs
+ * @returns {Object} Solver result
+ */
+function solveSelection(engine, setup) {
+    const GameState = engine.get('GameState');
+    const gameState = new GameState(setup.rng);
+    gameState.setBalancingConfig(setup.balancingConfig);
+    gameState.setDamageTable(setup.damageTable);
+    gameState.setHeatTiers(engine.get('HEAT_TIERS'));
+    gameState.playerRisk = setup.options.playerRisk;
+    gameState.hiredRunners = setup.roster;
+    gameState.setContractData(setup.contractRows, { metadata: setup.contractMetadata });
+
+    return engine.get('solveContract')(gameState, { maxStates: setup.options.maxStates });
+}
+
+/**
+ * Run one contract from node selection through resolution
+ * @param {Object} engine - Engine handle
+ * @param {Object} setup - Shared simulation inputs
+ * @returns {Promise<Object>} Iteration outcome
+ */
+async function runIteration(engine, setup) {
+    const GameState = engine.get('GameState');
+    const executeContractResolution = engine.get('executeContractResolution');
+
+    const gameState = new GameState(setup.rng);
+    gameState.setBalancingConfig(setup.balancingConfig);
+    gameState.setDamageTable(setup.damageTable);
+    gameState.setHeatTiers(engine.get('HEAT_TIERS'));
+    gameState.playerRisk = setup.options.playerRisk;
+
+    const runners = setup.roster.map(runner => JSON.parse(JSON.stringify(runner)));
+    gameState.hiredRunners = runners.slice();
+
+    gameState.setContractData(setup.contractRows, { metadata: setup.contractMetadata });
+    const unselectable = selectNodes(gameState, setup.options, setup.rng);
+    const pools = { ...gameState.currentPools };
+    const selectedNodes = gameState.selectedNodes.slice();
+
+    // Roster runners may start injured or dead: only changes made by this contract count.
+    // injureRunner() gives every new injury a fresh object, so a runner who recovered and
+    // got hurt again counts too (getRunnerInjury() fills in injuries the roster leaves out).
+    const getRunnerInjury = engine.get('getRunnerInjury');
+    const before = runners.map(runner => ({
+        state: runner.runnerState,
+        injury: getRunnerInjury(runner, setup.balancingConfig)
+    }));
+
+    const results = await executeContractResolution(gameState, null);
+
+    return {
+        reward: results.finalReward,
+        risk: results.riskApplied,
+        damageRolls: results.damageRolls.length,
+        deaths: runners.filter((r, i) => r.runnerState === 'Dead' && before[i].state !== 'Dead').length,
+        injuries: runners.filter((r, i) => r.runnerState === 'Injured' && r.injury !== before[i].injury).length,
+        pools,
+        selectedNodes,
+        unselectable
+    };
+}
+
+/**
+ * Summary statistics for a list of numbers
+ * @param {Array<number>} values - Samples
+ * @returns {Object} {mean, stdDev, min, p10, median, p90, max}
+ */
+function describe(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+    return {
+        mean,
+        stdDev: Math.sqrt(variance),
+        min: sorted[0],
+        p10: percentile(0.1),
+        median: percentile(0.5),
+        p90: percentile(0.9),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Aggregate iteration outcomes into the report
+ * @param {Array<Object>} outcomes - Results of runIteration()
+ * @param {number} rosterSize - Number of runners per contract
+ * @returns {Object} Summary
+ */
+function summarize(outcomes, rosterSize) {
+    const count = outcomes.length;
+    const totalDeaths = outcomes.reduce((sum, o) => sum + o.deaths, 0);
+    const totalInjuries = outcomes.reduce((sum, o) => sum + o.injuries, 0);
+
+    // Count how often each node was picked (interesting for the random strategy)
+    const nodePickRate = {};
+    outcomes.forEach(o => o.selectedNodes.forEach(id => {
+        nodePickRate[id] = (nodePickRate[id] || 0) + 1 / count;
+    }));
+
+    return {
+        iterations: count,
+        reward: describe(outcomes.map(o => o.reward)),
+        riskApplied: describe(outcomes.map(o => o.risk)),
+        damageRolls: describe(outcomes.map(o => o.damageRolls)),
+        deathRate: totalDeaths / (count * rosterSize),
+        injuryRate: totalInjuries / (count * rosterSize),
+        anyDeathRate: outcomes.filter(o => o.deaths > 0).length / count,
+        anyInjuryRate: outcomes.filter(o => o.injuries > 0).length / count,
+        nodePickRate
+    };
+}
+
+/**
+ * Print the human readable report
+ */
+function printReport(contract, options, setup, summary, firstOutcome) {
+    const money = value => `$${Math.round(value)}`;
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+
+    console.log(`🎲 Contract simulation: ${contract.name}\n`);
+    console.log(`  Seed:        ${setup.seed}`);
+    console.log(`  Iterations:  ${summary.iterations}`);
+    console.log(`  Selection:   ${options.nodes ? options.nodes.join(', ') || '(none)' : `strategy "${options.strategy}"`}`);
+    if (options.playerRisk > 0) {
+        console.log(`  Player risk: ${options.playerRisk}`);
+    }
+    console.log('  Roster:');
+    setup.roster.forEach(r => {
+        const stats = `F${r.stats.face} M${r.stats.muscle} H${r.stats.hacker} N${r.stats.ninja}`;
+        console.log(`    - ${r.name} (${r.runnerType}, Lv ${r.level}) ${stats}`);
+    });
+
+    if (options.strategy !== 'random' || options.nodes) {
+        const p = firstOutcome.pools;
+        console.log(`\n  Pools:       Damage ${p.damage}, Risk ${p.risk}, Money ${p.money}, Grit ${p.grit}, Veil ${p.veil}`);
+        console.log(`  Nodes:       ${firstOutcome.selectedNodes.join(', ') || '(none)'}`);
+    }
+    if (setup.solution) {
+        const s = setup.solution;
+        console.log(`  Solver:      expected ${money(s.expectedReward)} over ${s.statesExplored} states${s.exhaustive ? '' : ' (search limit reached)'}`);
+    }
+    if (firstOutcome.unselectable.length > 0) {
+        console.log(`  ⚠️  Could not select: ${firstOutcome.unselectable.join(', ')}`);
+    }
+
+    const r = summary.reward;
+    console.log('\n📊 Reward');
+    console.log(`  Expected:    ${money(r.mean)}  (std dev ${money(r.stdDev)})`);
+    console.log(`  Range:       ${money(r.min)} - ${money(r.max)}`);
+    console.log(`  P10/P50/P90: ${money(r.p10)} / ${money(r.median)} / ${money(r.p90)}`);
+
+    console.log('\n🩸 Runners');
+    console.log(`  Damage rolls per contract: ${summary.damageRolls.mean.toFixed(2)}`);
+    console.log(`  Death rate (per runner):   ${percent(summary.deathRate)}`);
+    console.log(`  Injury rate (per runner):  ${percent(summary.injuryRate)}`);
+    console.log(`  Contracts with a death:    ${percent(summary.anyDeathRate)}`);
+    console.log(`  Contracts with an injury:  ${percent(summary.anyInjuryRate)}`);
+    console.log(`  Risk applied per contract: ${summary.riskApplied.mean.toFixed(2)}\n`);
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        const header = fs.readFileSync(__filename, 'utf8').match(/\/\*\*([\s\S]*?)\*\//)[1];
+        console.log(header.replace(/^ \* ?/gm, '').trim());
+        return;
+    }
+
+    const engine = loadEngine({ verbose: options.verbose });
+    const SeededRandom = engine.get('SeededRandom');
+
+    const rng = new SeededRandom(options.seed);
+    const balancingConfig = engine.get('parseBalancingData')(readCSVRows(engine, options.balancing));
+    const damageTable = engine.get('parseDamageTable')(readCSVRows(engine, options.damageTable));
+    const contract = loadContract(engine, options.contract);
+
+    // Hire as many runners as the contract allows unless told otherwise
+    if (options.runners === null) {
+        options.runners = contract.metadata.maxHiredRunners || balancingConfig.runnerSlotCount;
+    }
+
+    const setup = {
+        options,
+        rng,
+        seed: rng.getSeed(),
+        balancingConfig,
+        damageTable,
+        contractRows: contract.rows,
+        contractMetadata: contract.metadata,
+        roster: loadRoster(engine, options, balancingConfig, rng)
+    };
+
+    // Simulated anyway, so rosters can be compared against the rules they break
+    const rosterIssues = getRosterIssues(engine, setup);
+    if (rosterIssues.length > 0) {
+        console.warn(`⚠️  The game would not execute this contract with this roster: ${rosterIssues.join('; ')}`);
+    }
+
+    if (options.strategy === 'optimal' && !options.nodes) {
+        setup.solution = solveSelection(engine, setup);
+        options.nodes = setup.solution.selectedNodes;
+    }
+
+    const outcomes = [];
+    for (let i = 0; i < options.iterations; i++) {
+        outcomes.push(await runIteration(engine, setup));
+    }
+
+    const summary = summarize(outcomes, setup.roster.length);
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            contract: contract.name,
+            seed: setup.seed,
+            selection: options.nodes || options.strategy,
+            roster: setup.roster,
+            ...summary
+        }, null, 2));
+    } else {
+        printReport(contract, options, setup, summary, outcomes[0]);
+    }
+}
+
+// Run simulator
+main().catch(error => {
+    console.error('❌ Simulation failed:', error.message);
+    process.exit(1);
+});
@@ -55,7 +55,25 @@ function getDefaultBalancingConfig() {
         runnerRandomStatAllocation: 2,
         damageRollDelay: 200,
         maxDamageRollValue: 100,
-        playerStartingMoney: 600
+        playerStartingMoney: 600,
+        runnerLevelPerPlayerLevel: 0.5,
+        runnerLevelSpread: 1,
+        hiringCostPerLevel: 50,
+        runnerTraitsPerRunner: 1,
+        injuryMaxSeverity: 3,
+        injuryRecoveryPerSeverity: 1,
+        injuryStatPenaltyPerSeverity: 1,
+        treatmentCostPerContract: 75,
+        heatPayoffRiskReduction: 5,
+        contractBoardSize: 3,
+        contractOfferMinExpiry: 2,
+        contractOfferMaxExpiry: 4,
+        contractRewardPerDifficulty: 0.15,
+        runnerSlotCount: 3,
+        damageTargetWeightPerNode: 0.25,
+        damageTargetWeightPerMuscle: 0.05,
+        damageTargetWeightPerNinja: -0.05,
+        damageTargetMinWeight: 0.1
     };
 }
 
@@ -87,6 +105,70 @@ function validateBalancingConfig(config) {
         errors.push('maxDamageRollValue must be at least 1');
     }
 
+    if (config.runnerLevelPerPlayerLevel < 0) {
+        errors.push('runnerLevelPerPlayerLevel cannot be negative');
+    }
+
+    if (config.runnerLevelSpread < 0) {
+        errors.push('runnerLevelSpread cannot be negative');
+    }
+
+    if (config.hiringCostPerLevel < 0) {
+        errors.push('hiringCostPerLevel cannot be negative');
+    }
+
+    if (config.runnerTraitsPerRunner < 0) {
+        errors.push('runnerTraitsPerRunner cannot be negative');
+    }
+
+    if (config.injuryMaxSeverity < 1) {
+        errors.push('injuryMaxSeverity must be at least 1');
+    }
+
+    if (config.injuryRecoveryPerSeverity < 0) {
+        errors.push('injuryRecoveryPerSeverity cannot be negative');
+    }
+
+    if (config.injuryStatPenaltyPerSeverity < 0) {
+        errors.push('injuryStatPenaltyPerSeverity cannot be negative');
+    }
+
+    if (config.treatmentCostPerContract < 0) {
+        errors.push('treatmentCostPerContract cannot be negative');
+    }
+
+    if (config.heatPayoffRiskReduction < 0) {
+        errors.push('heatPayoffRiskReduction cannot be negative');
+    }
+
+    if (config.contractBoardSize < 1) {
+        errors.push('contractBoardSize must be at least 1');
+    }
+
+    if (config.contractOfferMinExpiry < 1) {
+        errors.push('contractOfferMinExpiry must be at least 1');
+    }
+
+    if (config.contractOfferMaxExpiry < config.contractOfferMinExpiry) {
+        errors.push('contractOfferMaxExpiry cannot be less than contractOfferMinExpiry');
+    }
+
+    if (config.contractRewardPerDifficulty < 0) {
+        errors.push('contractRewardPerDifficulty cannot be negative');
+    }
+
+    if (!Number.isInteger(config.runnerSlotCount) || config.runnerSlotCount < 1) {
+        errors.push('runnerSlotCount must be a whole number of at least 1');
+    }
+
+    if (config.damageTargetWeightPerNode < 0) {
+        errors.push('damageTargetWeightPerNode cannot be negative');
+    }
+
+    if (!(config.damageTargetMinWeight > 0)) {
+        errors.push('damageTargetMinWeight must be above 0');
+    }
+
     return {
         valid: errors.length === 0,
         errors: errors
@@ -0,0 +1,290 @@
+/**
+ * Contract Analyzer Module
+ * Static checks for contract structure: unreachable nodes, gates that can never open,
+ * cycles and orphan nodes
+ *
+ * Reachability is worked out with GameState's own rules (updateAvailableNodes and
+ * evaluateGateCondition): every node that becomes available is selected until nothing
+ * new opens. Selecting never makes another node unavailable, so the final selection is
+ * everything any play-through can reach. Runner gates are judged against the best roster
+ * the game could field (see getRunnerGateLimits), not against a particular one, plus the
+ * most the selected runner stat effects can add (see getRunnerStatEffectBonus).
+ */
+
+// Runners have no level cap; RunnerStat gates are judged against runners up to this level
+const DEFAULT_ANALYZER_MAX_RUNNER_LEVEL = 5;
+
+/**
+ * Analyze a contract
+ * @param {Array} contractData - Contract CSV rows or nodes in the GameState/editor shape
+ * @param {Object} options - {maxRunnerLevel, maxHiredRunners, composition, balancingConfig}
+ *                           (maxHiredRunners and composition come from the contract metadata)
+ * @returns {Object} {reachable, unreachable, impossibleGates: [{nodeId, reason}], cycles, orphans, issues}
+ */
+function analyzeContract(contractData, options = {}) {
+    const limits = getRunnerGateLimits(options);
+    const scratch = createAnalyzerState(contractData, limits);
+    const nodes = scratch.contractData;
+
+    // Select everything that opens up until the selection stops growing
+    // (selectNode refuses some available nodes, e.g. the second of two nodes sharing an ID)
+    let progress = true;
+    while (progress) {
+        progress = false;
+        nodes.filter(node => node.available && !node.selected).forEach(node => {
+            if (scratch.selectNode(node.id)) progress = true;
+        });
+    }
+
+    const impossibleGates = [];
+    const unreachable = [];
+    nodes.filter(node => !node.selected).forEach(node => {
+        const reason = node.type === 'Gate' ? findGateProblem(scratch, node, limits) : null;
+        if (reason) {
+            impossibleGates.push({ nodeId: node.id, reason: reason });
+        } else {
+            unreachable.push(node.id);
+        }
+    });
+
+    const analysis = {
+        reachable: scratch.selectedNodes.slice(),
+        unreachable: unreachable,
+        impossibleGates: impossibleGates,
+        cycles: findContractCycles(nodes),
+        orphans: findOrphanNodes(nodes)
+    };
+    analysis.issues = getAnalysisIssues(analysis);
+    return analysis;
+}
+
+/**
+ * Best case for runner gates: a full roster where every runner matches the gate
+ * (as far as the contract's composition rules allow)
+ * @param {Object} options - {maxRunnerLevel, maxHiredRunners, composition, balancingConfig}
+ * @returns {Object} {maxHiredRunners, maxRunnerLevel, maxStatTotal, composition}
+ */
+function getRunnerGateLimits(options = {}) {
+    const balancingConfig = options.balancingConfig ||
+        (typeof BALANCING_DATA !== 'undefined' ? BALANCING_DATA : getDefaultBalancingConfig());
+    const maxRunnerLevel = options.maxRunnerLevel || DEFAULT_ANALYZER_MAX_RUNNER_LEVEL;
+    const maxHiredRunners = options.maxHiredRunners || balancingConfig.runnerSlotCount || getDefaultBalancingConfig().runnerSlotCount;
+
+    // allocateStats(): level 1 points, then runnerLevelUpStatGain per level; all of them can land in one stat
+    const levelOnePoints = (balancingConfig.runnerMainStatAllocation || 2) + (balancingConfig.runnerRandomStatAllocation || 2);
+    const pointsPerRunner = levelOnePoints + (maxRunnerLevel - 1) * getLevelUpStatGain(balancingConfig);
+
+    return {
+        maxHiredRunners: maxHiredRunners,
+        maxRunnerLevel: maxRunnerLevel,
+        maxStatTotal: maxHiredRunners * pointsPerRunner,
+        composition: options.composition || []
+    };
+}
+
+/**
+ * Most runners of the given types a team can have: their composition maximums, and the
+ * slots left after the minimums of other types are filled
+ * @param {Array<string>} runnerTypes - Runner types (any case)
+ * @param {Object} limits - Result of getRunnerGateLimits()
+ * @returns {number} Runner count
+ */
+function getMaxRunnersOfTypes(runnerTypes, limits) {
+    const types = [...new Set(runnerTypes.map(type => type.toLowerCase()))];
+    const ruleFor = type => limits.composition.find(rule => rule.runnerType.toLowerCase() === type);
+
+    const allowed = types.reduce((total, type) => {
+        const rule = ruleFor(type);
+        return total + (rule && rule.max !== undefined ? rule.max : limits.maxHiredRunners);
+    }, 0);
+    const reserved = limits.composition
+        .filter(rule => !types.includes(rule.runnerType.toLowerCase()))
+        .reduce((total, rule) => total + (rule.min || 0), 0);
+
+    return Math.max(0, Math.min(allowed, limits.maxHiredRunners - reserved));
+}
+
+/**
+ * Most the selected "+N <Stat> to Runner:..." effects can add to the given stats (best case:
+ * every "if" holds; a "per" amount has no ceiling unless it has a max)
+ * @param {GameState} scratch - Analyzer state
+ * @param {Array<string>} stats - Runner stats (any case)
+ * @returns {number} Stat points (Infinity if unbounded)
+ */
+function getRunnerStatEffectBonus(scratch, stats) {
+    const wanted = stats.map(stat => stat.toLowerCase());
+    return scratch.getSelectedRunnerEffects()
+        .filter(({ ast }) => ast.action === 'stat' && ast.operator === '+' && wanted.includes(ast.runnerStat))
+        .reduce((total, { ast }) => {
+            if (ast.per) return total + (ast.max !== null ? ast.max : Infinity);
+            const amount = ast.min !== null ? Math.max(ast.min, ast.amount) : ast.amount;
+            return total + (ast.max !== null ? Math.min(ast.max, amount) : amount);
+        }, 0);
+}
+
+/**
+ * Parameters of a gate condition part ("RunnerType:a,b" → ['a', 'b'])
+ * @param {string} conditionPart - Condition before the ';'
+ * @returns {Array<string>} Node IDs, runner types or stats
+ */
+function getGateConditionParams(conditionPart) {
+    return conditionPart.substring(conditionPart.indexOf(':') + 1)
+        .split(',').map(param => param.trim()).filter(param => param !== '');
+}
+
+/**
+ * Throwaway GameState for the reachability pass
+ * Runner gates are evaluated against the best-case limits (plus the selected runner stat
+ * effects) instead of hired runners, and pools are skipped because they don't affect availability
+ * @param {Array} contractData - Contract rows or nodes
+ * @param {Object} limits - Result of getRunnerGateLimits()
+ * @returns {GameState} Scratch game state with nothing selected
+ */
+function createAnalyzerState(contractData, limits) {
+    const scratch = new GameState();
+    scratch.quiet = true;
+    scratch.calculateCurrentPools = () => {};
+    scratch.resolveRunnerStatEffects = () => []; // No hired runners: gates use getRunnerStatEffectBonus()
+    scratch.evaluateRunnerTypeGateCondition = (conditionPart, threshold) =>
+        threshold <= getMaxRunnersOfTypes(getGateConditionParams(conditionPart), limits);
+    scratch.evaluateRunnerStatGateCondition = (conditionPart, threshold) =>
+        threshold <= limits.maxStatTotal + getRunnerStatEffectBonus(scratch, getGateConditionParams(conditionPart));
+
+    scratch.setContractData(contractData);
+    return scratch;
+}
+
+/**
+ * Explain why a gate that was never reached can't open
+ * @param {GameState} scratch - Analyzer state after the reachability pass
+ * @param {Object} node - Gate node
+ * @param {Object} limits - Result of getRunnerGateLimits()
+ * @returns {string|null} Reason, or null if the gate is only blocked by unreachable predecessors
+ */
+function findGateProblem(scratch, node, limits) {
+    const hasParents = scratch.contractData.some(other => other.connections.includes(node.id));
+    if (!hasParents) {
+        return 'no node connects to it';
+    }
+
+    const validation = ValidationUtils.validateGateCondition(node.gateCondition);
+    if (!validation.valid) {
+        return `invalid gate condition (${validation.message})`;
+    }
+
+    if (scratch.evaluateGateCondition(node)) {
+        return null;
+    }
+
+    const [conditionPart, thresholdStr] = node.gateCondition.split(';');
+    const threshold = parseInt(thresholdStr);
+    const params = getGateConditionParams(conditionPart);
+
+    if (conditionPart.startsWith('Node:')) {
+        // Threshold 0 means every listed node must be selected
+        const required = threshold === 0 ? params.length : threshold;
+        const selectable = params.filter(id => scratch.selectedNodes.includes(id));
+        if (required > params.length) {
+            return `needs ${required} of only ${params.length} listed node${params.length === 1 ? '' : 's'}`;
+        }
+        return `needs ${required} of ${params.join(', ')} but only ${selectable.length} can be selected`;
+    }
+    if (conditionPart.startsWith('RunnerType:')) {
+        const maxMatching = getMaxRunnersOfTypes(params, limits);
+        const reason = maxMatching < limits.maxHiredRunners ? ' under the contract\'s composition rules' : '';
+        return `needs ${threshold} matching runners but at most ${maxMatching} can be hired${reason}`;
+    }
+    const bonus = getRunnerStatEffectBonus(scratch, params);
+    const fromEffects = bonus > 0 ? ` (${limits.maxStatTotal + bonus} with runner stat effects)` : '';
+    return `needs ${threshold} ${params.join('+')} but ${limits.maxHiredRunners} level ${limits.maxRunnerLevel} runners have at most ${limits.maxStatTotal}${fromEffects}`;
+}
+
+/**
+ * Find groups of nodes that connect back to themselves (Tarjan's strongly connected components)
+ * @param {Array} nodes - Nodes with id and connections
+ * @returns {Array<Array<string>>} Node IDs of each cycle, in contract order
+ */
+function findContractCycles(nodes) {
+    const order = new Map(nodes.map((node, index) => [node.id, index]));
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+    let counter = 0;
+
+    const visit = nodeId => {
+        index.set(nodeId, counter);
+        lowLink.set(nodeId, counter);
+        counter++;
+        stack.push(nodeId);
+        onStack.add(nodeId);
+
+        byId.get(nodeId).connections.filter(targetId => byId.has(targetId)).forEach(targetId => {
+            if (!index.has(targetId)) {
+                visit(targetId);
+                lowLink.set(nodeId, Math.min(lowLink.get(nodeId), lowLink.get(targetId)));
+            } else if (onStack.has(targetId)) {
+                lowLink.set(nodeId, Math.min(lowLink.get(nodeId), index.get(targetId)));
+            }
+        });
+
+        if (lowLink.get(nodeId) === index.get(nodeId)) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                onStack.delete(member);
+                component.push(member);
+            } while (member !== nodeId);
+
+            const selfLoop = byId.get(nodeId).connections.includes(nodeId);
+            if (component.length > 1 || selfLoop) {
+                cycles.push(component.sort((a, b) => order.get(a) - order.get(b)));
+            }
+        }
+    };
+
+    nodes.forEach(node => {
+        if (!index.has(node.id)) visit(node.id);
+    });
+
+    return cycles.sort((a, b) => order.get(a[0]) - order.get(b[0]));
+}
+
+/**
+ * Nodes with no connections in or out (Synergy nodes stand alone by design)
+ * @param {Array} nodes - Nodes with id, type and connections
+ * @returns {Array<string>} Node IDs
+ */
+function findOrphanNodes(nodes) {
+    if (nodes.length < 2) return [];
+
+    const targets = new Set();
+    nodes.forEach(node => node.connections.forEach(targetId => targets.add(targetId)));
+
+    return nodes
+        .filter(node => node.type !== 'Synergy' && node.connections.length === 0 && !targets.has(node.id))
+        .map(node => node.id);
+}
+
+/**
+ * Flatten an analysis into per-node warnings (the format LiveValidator and csvLoader report)
+ * @param {Object} analysis - Result of analyzeContract() without issues
+ * @returns {Array} {nodeId, severity, message}
+ */
+function getAnalysisIssues(analysis) {
+    const issues = [];
+    const warn = (nodeId, message) => issues.push({ nodeId: nodeId, severity: 'warning', message: message });
+
+    analysis.impossibleGates.forEach(gate => warn(gate.nodeId, `Gate can never open: ${gate.reason}`));
+    analysis.unreachable.forEach(nodeId => warn(nodeId, 'Unreachable: no path from an entry node leads here'));
+    analysis.cycles.forEach(cycle => cycle.forEach(nodeId => {
+        const others = cycle.filter(id => id !== nodeId);
+        warn(nodeId, others.length > 0 ? `In a cycle with ${others.join(', ')}` : 'Connects to itself');
+    }));
+    analysis.orphans.forEach(nodeId => warn(nodeId, 'Orphan: not connected to any other node'));
+
+    return issues;
+}
@@ -0,0 +1,195 @@
+/**
+ * Contract Board Module
+ * Offers a rotating set of library contracts. Each offer carries a difficulty rating
+ * derived from the contract tree, a matching reward multiplier and an expiry counted
+ * in completed contracts. The board is refreshed after every contract.
+ */
+
+// Difficulty score contributed by each part of a contract tree
+const CONTRACT_DIFFICULTY_WEIGHTS = {
+    node: 0.1,          // Every node
+    damageSource: 0.5,  // Nodes with an effect that adds Damage
+    gate: 0.75          // Gate nodes
+};
+
+// Score needed per difficulty step above 1, and the highest rating
+const CONTRACT_DIFFICULTY_SCORE_PER_STEP = 2;
+const MAX_CONTRACT_DIFFICULTY = 5;
+
+/**
+ * Analyze a contract tree for the board
+ * @param {Array} rows - Parsed contract CSV rows (or node objects with id/type/effects)
+ * @returns {Object} {nodeCount, damageSources, gateCount, score, difficulty}
+ */
+function analyzeContractDifficulty(rows) {
+    const nodes = rows || [];
+
+    let damageSources = 0;
+    let gateCount = 0;
+    nodes.forEach(node => {
+        if ((node['Type'] || node.type || '').toLowerCase() === 'gate') {
+            gateCount++;
+        }
+
+        const effects = Array.isArray(node.effects) ? node.effects : EffectExpression.getRowEffects(node);
+        const addsDamage = effects.some(effect => {
+            const { ast } = EffectExpression.tryParse(effect);
+            return ast && ast.stat === 'damage' && ast.operator === '+' && ast.amount > 0;
+        });
+        if (addsDamage) {
+            damageSources++;
+        }
+    });
+
+    const score = nodes.length * CONTRACT_DIFFICULTY_WEIGHTS.node +
+        damageSources * CONTRACT_DIFFICULTY_WEIGHTS.damageSource +
+        gateCount * CONTRACT_DIFFICULTY_WEIGHTS.gate;
+    const difficulty = Math.min(MAX_CONTRACT_DIFFICULTY, 1 + Math.floor(score / CONTRACT_DIFFICULTY_SCORE_PER_STEP));
+
+    return {
+        nodeCount: nodes.length,
+        damageSources: damageSources,
+        gateCount: gateCount,
+        score: Math.round(score * 100) / 100,
+        difficulty: difficulty
+    };
+}
+
+/**
+ * Build the list of contracts the board can offer
+ * Contracts that fail to parse are skipped with a warning
+ * @param {Object} library - CONTRACT_LIBRARY ({key: {name, description, csv}}, or {..., contract} for JSON contracts)
+ * @param {Function} parseRows - (csvText) => parsed rows, e.g. CSVLoader.parseCSV
+ * @returns {Array} [{key, name, description, analysis}]
+ */
+function createContractCatalog(library, parseRows) {
+    const catalog = [];
+    Object.keys(library || {}).forEach(key => {
+        const contract = library[key];
+        try {
+            const rows = contract.contract ? ContractFormat.contractToRows(contract.contract) : parseRows(contract.csv);
+            if (!rows || rows.length === 0) {
+                throw new Error('no nodes');
+            }
+            catalog.push({
+                key: key,
+                name: contract.name,
+                description: contract.description || '',
+                analysis: analyzeContractDifficulty(rows)
+            });
+        } catch (error) {
+            console.warn(`Contract "${key}" left off the board: ${error.message}`);
+        }
+    });
+    return catalog;
+}
+
+/**
+ * Reward multiplier for a difficulty rating
+ * @param {Number} difficulty - Difficulty rating (1 = easiest)
+ * @param {Object} balancingConfig - Balancing configuration
+ * @returns {Number} Multiplier applied to the contract reward
+ */
+function getContractRewardMultiplier(difficulty, balancingConfig) {
+    const multiplier = 1 + (difficulty - 1) * (balancingConfig.contractRewardPerDifficulty || 0);
+    return Math.round(multiplier * 100) / 100;
+}
+
+/**
+ * Create a board offer for a catalog contract
+ * @param {Object} entry - Catalog entry from createContractCatalog()
+ * @param {Number} offerNumber - Running offer number (keeps offer ids unique)
+ * @param {Object} balancingConfig - Balancing configuration
+ * @param {SeededRandom} rng - Random source (GameState.rng)
+ * @returns {Object} {id, contractKey, name, description, difficulty, rewardMultiplier, expiresIn, analysis}
+ */
+function createContractOffer(entry, offerNumber, balancingConfig, rng) {
+    const minExpiry = Math.max(1, balancingConfig.contractOfferMinExpiry || 1);
+    const maxExpiry = Math.max(minExpiry, balancingConfig.contractOfferMaxExpiry || minExpiry);
+
+    return {
+        id: `offer_${offerNumber}`,
+        contractKey: entry.key,
+        name: entry.name,
+        description: entry.description,
+        difficulty: entry.analysis.difficulty,
+        rewardMultiplier: getContractRewardMultiplier(entry.analysis.difficulty, balancingConfig),
+        expiresIn: rng.nextRange(minExpiry, maxExpiry),
+        analysis: { ...entry.analysis }
+    };
+}
+
+/**
+ * Fill the board up to contractBoardSize offers
+ * Contracts already on the board are only offered again when nothing else is left
+ * @param {GameState} gameState - Game state holding the board and catalog
+ * @returns {Array} Offers added
+ */
+function refillContractBoard(gameState) {
+    const catalog = gameState.contractCatalog || [];
+    const boardSize = gameState.balancingConfig.contractBoardSize || 0;
+    const added = [];
+
+    while (catalog.length > 0 && gameState.contractBoard.length < boardSize) {
+        const onBoard = new Set(gameState.contractBoard.map(offer => offer.contractKey));
+        const fresh = catalog.filter(entry => !onBoard.has(entry.key));
+        const entry = gameState.rng.pick(fresh.length > 0 ? fresh : catalog);
+
+        gameState.contractOffersCreated += 1;
+        const offer = createContractOffer(entry, gameState.contractOffersCreated, gameState.balancingConfig, gameState.rng);
+        gameState.contractBoard.push(offer);
+        added.push(offer);
+    }
+
+    return added;
+}
+
+/**
+ * Find an offer on the board
+ * @param {GameState} gameState - Current game state
+ * @param {String} offerId - Offer id
+ * @returns {Object|null} Offer
+ */
+function getContractOffer(gameState, offerId) {
+    return gameState.contractBoard.find(offer => offer.id === offerId) || null;
+}
+
+/**
+ * Get the board offer behind the loaded contract
+ * @param {GameState} gameState - Current game state
+ * @returns {Object|null} Offer, or null for contracts loaded from a file
+ */
+function getActiveContractOffer(gameState) {
+    return gameState.contractSource ? gameState.contractSource.offer || null : null;
+}
+
+/**
+ * Rotate the board after a contract was completed
+ * The completed offer leaves the board, every other offer comes one contract
+ * closer to expiring, and the board is refilled
+ * @param {GameState} gameState - Current game state
+ * @returns {Object} {completed, expired, added}
+ */
+function advanceContractBoard(gameState) {
+    const active = getActiveContractOffer(gameState);
+    const completed = active ? getContractOffer(gameState, active.id) : null;
+
+    const expired = [];
+    gameState.contractBoard = gameState.contractBoard.filter(offer => {
+        if (offer === completed) {
+            return false;
+        }
+        offer.expiresIn -= 1;
+        if (offer.expiresIn <= 0) {
+            expired.push(offer);
+            return false;
+        }
+        return true;
+    });
+
+    return {
+        completed: completed,
+        expired: expired,
+        added: refillContractBoard(gameState)
+    };
+}
@@ -0,0 +1,251 @@
+/**
+ * Contract Generator Module
+ * Assembles contract trees from generation rules and a node pool
+ * (Resources/contract_node_pool.csv, embedded as CONTRACT_NODE_POOL)
+ *
+ * Tree shape, left to right:
+ *   Entry nodes -> [branches -> Grey checkpoint] x stages -> the last checkpoint is an Exit
+ * Each branch is a chain of nodes of one color, optionally opened by a Gate of that color.
+ * Synergy nodes sit in a row above the tree; their reward bonus is capped at synergyMaxStacks.
+ *
+ * The result is a list of contract CSV rows (the same columns the editor exports), so it
+ * loads into GameState and VisualContractData like any contract file.
+ */
+
+// Default generation rules (any subset can be overridden)
+const DEFAULT_CONTRACT_GENERATOR_RULES = {
+    entryNodes: 1,          // Nodes available at the start
+    stages: 3,              // Branch sections, each closed by a checkpoint
+    minBranches: 2,         // Branches per stage
+    maxBranches: 3,
+    minBranchLength: 1,     // Nodes per branch (not counting its gate)
+    maxBranchLength: 2,
+    gateChance: 0.3,        // Chance a branch is opened by a gate (one branch per stage stays open)
+    synergyNodes: 2,        // Synergy nodes above the tree
+    synergyMaxStacks: 3     // Synergy bonus stops growing after this many matches
+};
+
+// Colors branches are built from (Grey is for entries and checkpoints, Green for synergies)
+const CONTRACT_BRANCH_COLORS = ['Red', 'Blue', 'Purple', 'Yellow'];
+
+// Layout spacing in editor coordinates
+const CONTRACT_LAYOUT = {
+    columnSpacing: 240,
+    rowSpacing: 130,
+    centerY: 450,
+    synergySpacing: 220
+};
+
+/**
+ * Fill in missing rules with defaults and check them
+ * @param {Object} rules - Partial generation rules
+ * @returns {Object} Complete rules
+ * @throws {Error} If a rule is out of range
+ */
+function resolveContractGeneratorRules(rules = {}) {
+    const resolved = { ...DEFAULT_CONTRACT_GENERATOR_RULES, ...rules };
+
+    const errors = [];
+    if (!(resolved.entryNodes >= 1)) errors.push('entryNodes must be at least 1');
+    if (!(resolved.stages >= 1)) errors.push('stages must be at least 1');
+    if (!(resolved.minBranches >= 1)) errors.push('minBranches must be at least 1');
+    if (!(resolved.maxBranches >= resolved.minBranches)) errors.push('maxBranches cannot be less than minBranches');
+    if (!(resolved.minBranchLength >= 1)) errors.push('minBranchLength must be at least 1');
+    if (!(resolved.maxBranchLength >= resolved.minBranchLength)) errors.push('maxBranchLength cannot be less than minBranchLength');
+    if (!(resolved.gateChance >= 0 && resolved.gateChance <= 1)) errors.push('gateChance must be between 0 and 1');
+    if (!(resolved.synergyNodes >= 0)) errors.push('synergyNodes cannot be negative');
+    if (!(resolved.synergyMaxStacks >= 1)) errors.push('synergyMaxStacks must be at least 1');
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid contract generator rules: ${errors.join(', ')}`);
+    }
+    return resolved;
+}
+
+/**
+ * Generate a contract tree
+ * @param {Array} nodePool - Node templates {role, color, weight, description, effectDescription, effects, gateCondition}
+ * @param {Object} rules - Generation rules (see DEFAULT_CONTRACT_GENERATOR_RULES)
+ * @param {SeededRandom} rng - Random source
+ * @returns {Array} Contract CSV rows
+ * @throws {Error} If the rules are invalid, the pool lacks a required role, or the result fails validation
+ */
+function generateContract(nodePool, rules, rng) {
+    const resolved = resolveContractGeneratorRules(rules);
+    const builder = createContractBuilder(nodePool, rng);
+    const { columnSpacing, rowSpacing, centerY } = CONTRACT_LAYOUT;
+    const rowY = (index, count) => centerY + (index - (count - 1) / 2) * rowSpacing;
+
+    // Entry nodes
+    let previous = [];
+    for (let i = 0; i < resolved.entryNodes; i++) {
+        previous.push(builder.addNode('Entry', 'Grey', 0, rowY(i, resolved.entryNodes)));
+    }
+
+    let column = 1;
+    for (let stage = 1; stage <= resolved.stages; stage++) {
+        const branchCount = rng.nextRange(resolved.minBranches, resolved.maxBranches);
+        const colors = shuffleContractColors(rng);
+
+        // Decide gates up front so at least one branch of the stage stays open
+        const gated = [];
+        for (let b = 0; b < branchCount; b++) {
+            gated.push(rng.next() < resolved.gateChance);
+        }
+        if (gated.every(isGated => isGated)) {
+            gated[rng.nextInt(branchCount)] = false;
+        }
+
+        const tails = [];
+        let stageColumns = 0;
+        for (let b = 0; b < branchCount; b++) {
+            const color = colors[b % colors.length];
+            const y = rowY(b, branchCount);
+            let branchColumn = column;
+            let chain = previous;
+
+            if (gated[b] && builder.hasTemplate('Gate', color)) {
+                const gate = builder.addNode('Gate', color, branchColumn * columnSpacing, y);
+                builder.connect(chain, gate);
+                chain = [gate];
+                branchColumn++;
+            }
+
+            const length = rng.nextRange(resolved.minBranchLength, resolved.maxBranchLength);
+            for (let i = 0; i < length; i++) {
+                const node = builder.addNode('Branch', color, branchColumn * columnSpacing, y);
+                builder.connect(chain, node);
+                chain = [node];
+                branchColumn++;
+            }
+
+            tails.push(...chain);
+            stageColumns = Math.max(stageColumns, branchColumn - column);
+        }
+
+        column += stageColumns;
+        const role = stage === resolved.stages ? 'Exit' : 'Checkpoint';
+        const checkpoint = builder.addNode(role, 'Grey', column * columnSpacing, centerY);
+        builder.connect(tails, checkpoint);
+        previous = [checkpoint];
+        column++;
+    }
+
+    // Synergy row above the tree, with capped bonuses
+    const synergyY = Math.min(...builder.nodes.map(node => node.y)) - rowSpacing * 1.5;
+    for (let i = 0; i < resolved.synergyNodes && builder.hasTemplate('Synergy', 'Green'); i++) {
+        const synergy = builder.addNode('Synergy', 'Green', i * CONTRACT_LAYOUT.synergySpacing, synergyY);
+        synergy.effects = synergy.effects.map(effect => capSynergyEffect(effect, resolved.synergyMaxStacks));
+    }
+
+    const rows = contractNodesToRows(builder.nodes);
+    const validation = ValidationUtils.validateContractData(rows);
+    if (!validation.isValid) {
+        throw new Error(`Generated contract failed validation: ${validation.errors.join('; ')}`);
+    }
+    return rows;
+}
+
+/**
+ * Create the node list being assembled, with template picking
+ * Templates are picked by weight, preferring ones not used yet in this contract
+ * @param {Array} nodePool - Node templates
+ * @param {SeededRandom} rng - Random source
+ * @returns {Object} {nodes, hasTemplate(role, color), addNode(role, color, x, y), connect(fromNodes, toNode)}
+ */
+function createContractBuilder(nodePool, rng) {
+    const nodes = [];
+    const used = new Set();
+    const templatesFor = (role, color) => (nodePool || []).filter(template =>
+        template.role === role && (!color || template.color === color));
+
+    return {
+        nodes: nodes,
+
+        hasTemplate(role, color) {
+            return templatesFor(role, color).length > 0;
+        },
+
+        addNode(role, color, x, y) {
+            const candidates = templatesFor(role, color);
+            if (candidates.length === 0) {
+                throw new Error(`Node pool has no ${color} ${role} nodes`);
+            }
+            const unused = candidates.filter(template => !used.has(template));
+            const template = rng.pickWeighted(unused.length > 0 ? unused : candidates, t => t.weight);
+            used.add(template);
+
+            const node = {
+                id: `NODE${String(nodes.length + 1).padStart(3, '0')}`,
+                description: template.description,
+                effectDescription: template.effectDescription,
+                effects: template.effects.slice(),
+                type: role === 'Gate' || role === 'Synergy' ? role : 'Normal',
+                color: template.color,
+                x: x,
+                y: y,
+                gateCondition: role === 'Gate' ? template.gateCondition : '',
+                connections: []
+            };
+            nodes.push(node);
+            return node;
+        },
+
+        connect(fromNodes, toNode) {
+            fromNodes.forEach(from => from.connections.push(toNode.id));
+        }
+    };
+}
+
+/**
+ * Branch colors in random order
+ * @param {SeededRandom} rng - Random source
+ * @returns {Array<string>} Shuffled copy of CONTRACT_BRANCH_COLORS
+ */
+function shuffleContractColors(rng) {
+    const colors = CONTRACT_BRANCH_COLORS.slice();
+    for (let i = colors.length - 1; i > 0; i--) {
+        const j = rng.nextInt(i + 1);
+        [colors[i], colors[j]] = [colors[j], colors[i]];
+    }
+    return colors;
+}
+
+/**
+ * Cap a synergy effect so it stops growing after maxStacks matches
+ * Effects that already have a max, or have no per source, are left alone
+ * @param {string} effect - Effect string
+ * @param {Number} maxStacks - Matches that still add to the bonus
+ * @returns {string} Effect string with "max" added
+ */
+function capSynergyEffect(effect, maxStacks) {
+    const { ast } = EffectExpression.tryParse(effect);
+    if (!ast || !ast.per || ast.max !== null) {
+        return effect;
+    }
+    return `${effect} max ${ast.amount * maxStacks}`;
+}
+
+/**
+ * Convert generated nodes to contract CSV rows (editor export columns)
+ * @param {Array} nodes - Generated nodes
+ * @returns {Array} Rows keyed by CSV column
+ */
+function contractNodesToRows(nodes) {
+    const effectColumnCount = Math.max(2, ...nodes.map(node => node.effects.length));
+
+    return nodes.map(node => ({
+        'Node ID': node.id,
+        'Description': node.description,
+        'Effect Desc': node.effectDescription,
+        ...EffectExpression.toEffectColumns(node.effects, effectColumnCount),
+        'Type': node.type,
+        'Color': node.color,
+        'X': node.x.toFixed(1),
+        'Y': node.y.toFixed(1),
+        'Width': '',
+        'Height': '',
+        'GateCondition': node.gateCondition,
+        'Connections': node.connections.join(',')
+    }));
+}
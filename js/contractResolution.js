@@ -13,38 +13,72 @@ async function executeContractResolution(gameState, updateUICallback) {
     // Calculate current pools (already done in gameState)
     const pools = gameState.currentPools;
 
-    // Start with base reward
-    let currentReward = gameState.balancingConfig.contractBaseReward;
+    // Start with base reward (the contract's own, if its metadata sets one)
+    let currentReward = gameState.getContractBaseReward();
 
     // Add any money from nodes
     currentReward += pools.money;
 
+    // Contracts taken from the board pay their offer's reward multiplier
+    const offer = getActiveContractOffer(gameState);
+    const rewardMultiplier = offer ? offer.rewardMultiplier : 1;
+    currentReward *= rewardMultiplier;
+
     // Calculate unprevented damage and risk
     const unpreventedDamage = Math.max(0, Math.floor(pools.damage - Math.floor(pools.grit / 2)));
     const unpreventedRisk = Math.max(0, Math.floor(pools.risk - Math.floor(pools.veil / 2)));
 
+    // Heat from earlier contracts adds damage rolls to this one
+    const heatTierBefore = getCurrentHeatTier(gameState);
+    const heatDamageRolls = getHeatDamageRolls(gameState);
+    const totalDamageRolls = unpreventedDamage + heatDamageRolls;
+
     // Initialize results
     const resolutionResults = {
         damageRolls: [],
         finalReward: currentReward,
+        rewardMultiplier: rewardMultiplier,
         riskApplied: unpreventedRisk,
-        runnersLeveledUp: [],
+        runnersLeveledUp: [], // Level-up records from levelUpRunner()
+        runnersRecovered: [], // Runners whose injury healed during this contract
+        runnerEffects: [], // Node effects that targeted runners [{nodeId, effect, applied, description, targetRunner}]
+        heatDamageRolls: heatDamageRolls, // Extra rolls from the heat tier
+        heat: null, // Heat tier changes from updateHeatAfterContract()
+        contractBoard: null, // Board rotation from advanceContractBoard()
         playerLevelGained: gameState.balancingConfig.playerLevelPerContract
     };
 
-    // Create reward state object (mutable for damage effects)
-    const rewardState = {currentReward: currentReward};
-
-    // Process damage rolls
-    if (unpreventedDamage > 0) {
-        for (let i = 0; i < unpreventedDamage; i++) {
+    // Time passes for injured runners before this contract's damage is dealt
+    // (runners injured by this contract start their full recovery afterwards)
+    resolutionResults.runnersRecovered = advanceInjuryRecovery(
+        [...gameState.hiredRunners, ...gameState.generatedRunners, ...gameState.previouslyHiredRunners],
+        gameState.balancingConfig
+    );
+
+    // Runner stat changes were resolved while planning (the pools already count them);
+    // Heal and Injure act now, before the damage rolls
+    const plannedStatEffects = gameState.runnerStatEffects.slice();
+    resolutionResults.runnerEffects = gameState.getSelectedRunnerEffects().map(({nodeId, effect, ast}) => ({
+        nodeId: nodeId,
+        effect: effect,
+        ...(ast.action === 'stat' ? plannedStatEffects.shift() : applyRunnerEffect(ast, gameState))
+    }));
+
+    // Create reward state object (mutable for damage effects, Add Risk collects in addedRisk)
+    const rewardState = {currentReward: currentReward, addedRisk: 0};
+
+    // Process damage rolls (target weights are worked out per roll, as injuries change stats)
+    if (totalDamageRolls > 0) {
+        for (let i = 0; i < totalDamageRolls; i++) {
             const damageRoll = await processDamageRoll(
                 i + 1,
                 gameState.hiredRunners,
                 rewardState,
-                gameState.damageTable,
+                gameState.getContractDamageTable(),
                 gameState.balancingConfig,
-                updateUICallback
+                gameState.rng,
+                updateUICallback,
+                getDamageTargetWeights(gameState)
             );
             resolutionResults.damageRolls.push(damageRoll);
 
@@ -53,18 +87,15 @@ async function executeContractResolution(gameState, updateUICallback) {
         }
     }
 
-    // Update final reward from damage effects
+    // Update final reward and risk from damage effects
     resolutionResults.finalReward = Math.floor(rewardState.currentReward);
+    resolutionResults.riskApplied += rewardState.addedRisk;
 
-    // Level up all non-dead runners
+    // Level up all non-dead runners (stats grow by runnerLevelUpStatGain points)
     gameState.hiredRunners.forEach(runner => {
         if (runner.runnerState !== 'Dead') {
-            runner.level += 1;
             runner.contractsCompleted += 1;
-            resolutionResults.runnersLeveledUp.push(runner);
-
-            // NOTE: In MVP Phase 1, stats DO NOT increase on level up
-            // This is intentionally left for future implementation
+            resolutionResults.runnersLeveledUp.push(levelUpRunner(runner, gameState.balancingConfig, gameState.rng));
         }
     });
 
@@ -74,6 +105,15 @@ async function executeContractResolution(gameState, updateUICallback) {
     gameState.playerLevel += resolutionResults.playerLevelGained;
     gameState.contractsCompleted += 1;
 
+    // Heat consequences of the new risk total
+    resolutionResults.heat = updateHeatAfterContract(gameState, heatTierBefore);
+
+    // New offers replace the completed and expired ones
+    resolutionResults.contractBoard = advanceContractBoard(gameState);
+
+    // Stat changes from runner effects only last for this contract
+    gameState.clearRunnerStatBonuses();
+
     // Unhire all runners (they return to Runner Index)
     gameState.hiredRunners.forEach(runner => {
         runner.hiringState = 'Unhired';
@@ -90,15 +130,17 @@ async function executeContractResolution(gameState, updateUICallback) {
  * @param {Object} rewardState - Mutable reward state object
  * @param {Array} damageTable - Damage table
  * @param {Object} balancingConfig - Balancing configuration
+ * @param {SeededRandom} rng - Random source (GameState.rng)
  * @param {Function} updateUICallback - Callback to update UI
+ * @param {Map|null} targetWeights - Who damage is likely to hit (getDamageTargetWeights())
  * @returns {Promise<Object>} Damage roll result
  */
-async function processDamageRoll(rollNumber, hiredRunners, rewardState, damageTable, balancingConfig, updateUICallback) {
+async function processDamageRoll(rollNumber, hiredRunners, rewardState, damageTable, balancingConfig, rng, updateUICallback, targetWeights = null) {
     // Roll damage
-    const outcome = rollDamage(balancingConfig.maxDamageRollValue, damageTable);
+    const outcome = rollDamage(balancingConfig.maxDamageRollValue, damageTable, rng);
 
     // Apply effect
-    const effectResult = applyDamageEffect(outcome, hiredRunners, rewardState);
+    const effectResult = applyDamageEffect(outcome, hiredRunners, rewardState, rng, balancingConfig, targetWeights);
 
     // Create result object
     const rollResult = {
@@ -107,6 +149,7 @@ async function processDamageRoll(rollNumber, hiredRunners, rewardState, damageTa
         effect: outcome.effect,
         description: effectResult.description,
         targetRunner: effectResult.targetRunner,
+        targetReason: effectResult.targetReason || null, // Why this runner was hit (odds and weights)
         newReward: Math.floor(rewardState.currentReward)
     };
 
@@ -0,0 +1,210 @@
+/**
+ * Contract Solver Module
+ * Finds the node selection that maximizes expected payout for the hired runners
+ */
+
+/**
+ * Calculate what a single damage roll is expected to do to the reward and the risk
+ * Uses the damage effect registry hooks: rewardMultiplier (Reduce, Extra) scales the
+ * reward, rewardLoss (Lose Money) takes a flat amount off it and addedRisk (Add Risk)
+ * adds to the contract's risk. Effects without a hook leave both unchanged.
+ * @param {Array} damageTable - Damage table entries
+ * @param {Number} maxRollValue - Maximum roll value (from balancing)
+ * @returns {Object} {multiplier, loss, addedRisk} expected per roll
+ */
+function calculateRollExpectation(damageTable, maxRollValue) {
+    const expected = { multiplier: 0, loss: 0, addedRisk: 0 };
+    let coveredChance = 0;
+
+    damageTable.forEach(entry => {
+        const minRange = Math.max(1, entry.minRange);
+        const maxRange = Math.min(maxRollValue, entry.maxRange);
+        if (maxRange < minRange) return;
+
+        const chance = (maxRange - minRange + 1) / maxRollValue;
+        const effectType = getDamageEffectType(entry.effect);
+        const hook = (name, fallback) => effectType && effectType[name] ? effectType[name](entry) : fallback;
+
+        expected.multiplier += chance * hook('rewardMultiplier', 1);
+        expected.loss += chance * hook('rewardLoss', 0);
+        expected.addedRisk += chance * hook('addedRisk', 0);
+        coveredChance += chance;
+    });
+
+    // Rolls outside the table resolve as 'No Effect'
+    expected.multiplier += Math.max(0, 1 - coveredChance);
+    return expected;
+}
+
+/**
+ * Calculate the expected reward multiplier of a single damage roll
+ * Flat losses are not included (see calculateRollExpectation())
+ * @param {Array} damageTable - Damage table entries
+ * @param {Number} maxRollValue - Maximum roll value (from balancing)
+ * @returns {Number} Expected multiplier per roll
+ */
+function calculateRollRewardMultiplier(damageTable, maxRollValue) {
+    return calculateRollExpectation(damageTable, maxRollValue).multiplier;
+}
+
+/**
+ * Calculate expected payout for a set of pools, mirroring executeContractResolution()
+ * @param {Object} pools - Calculated pools (damage, risk, money, grit, veil)
+ * @param {Object} balancingConfig - Balancing configuration
+ * @param {Array} damageTable - Damage table entries
+ * @param {Number} rewardMultiplier - Contract board offer multiplier (default 1)
+ * @param {Number} contractBaseReward - Contract base reward (default: balancing contractBaseReward)
+ * @param {Number} extraDamageRolls - Rolls added on top of the pools, e.g. by heat (getHeatDamageRolls())
+ * @returns {Object} {expectedReward, baseReward, damageRolls, expectedAddedRisk}
+ */
+function calculateExpectedPayout(pools, balancingConfig, damageTable, rewardMultiplier = 1, contractBaseReward = balancingConfig.contractBaseReward, extraDamageRolls = 0) {
+    const baseReward = (contractBaseReward + pools.money) * rewardMultiplier;
+    const damageRolls = Math.max(0, Math.floor(pools.damage - Math.floor(pools.grit / 2))) + extraDamageRolls;
+    const roll = calculateRollExpectation(damageTable, balancingConfig.maxDamageRollValue);
+
+    // Rolls resolve one after another: each either scales the reward or takes a flat
+    // amount off it (the reward never drops below 0)
+    let expectedReward = baseReward;
+    for (let i = 0; i < damageRolls; i++) {
+        expectedReward = Math.max(0, expectedReward * roll.multiplier - roll.loss);
+    }
+
+    return {
+        expectedReward: expectedReward,
+        baseReward: baseReward,
+        damageRolls: damageRolls,
+        expectedAddedRisk: damageRolls * roll.addedRisk
+    };
+}
+
+/**
+ * Find the node selection with the highest expected payout
+ *
+ * Explores every selection order the player could click through (reachability and
+ * gate conditions come from GameState.updateAvailableNodes) and scores each one with
+ * GameState.calculateCurrentPools, so the multi-pass effect order is respected.
+ * Orders of the same node set that end in identical pools are explored once.
+ *
+ * @param {GameState} gameState - Game state with contract loaded and runners hired
+ * @param {Object} options - {maxStates: exploration limit (default 20000), rewardMultiplier (default 1),
+ *   extraDamageRolls (default: the game state's heat tier rolls)}
+ * @returns {Object|null} {selectedNodes, pools, expectedReward, damageRolls, expectedAddedRisk, statesExplored, exhaustive}
+ */
+function solveContract(gameState, options = {}) {
+    if (!gameState.contractData || !gameState.balancingConfig) {
+        console.warn('Contract solver needs a loaded contract and balancing config');
+        return null;
+    }
+
+    const maxStates = options.maxStates || 20000;
+    const rewardMultiplier = options.rewardMultiplier || 1;
+    const extraDamageRolls = options.extraDamageRolls !== undefined ? options.extraDamageRolls : getHeatDamageRolls(gameState);
+    const scratch = createSolverState(gameState);
+    const visited = new Set();
+
+    let best = null;
+    let statesExplored = 0;
+    let exhaustive = true;
+
+    const considerCurrent = () => {
+        const payout = calculateExpectedPayout(scratch.currentPools, scratch.balancingConfig, scratch.getContractDamageTable(), rewardMultiplier, scratch.getContractBaseReward(), extraDamageRolls);
+        const candidate = {
+            selectedNodes: scratch.selectedNodes.slice(),
+            pools: { ...scratch.currentPools },
+            expectedReward: payout.expectedReward,
+            damageRolls: payout.damageRolls,
+            expectedAddedRisk: payout.expectedAddedRisk
+        };
+
+        if (!best || isBetterSolution(candidate, best)) {
+            best = candidate;
+        }
+    };
+
+    const explore = () => {
+        if (statesExplored >= maxStates) {
+            exhaustive = false;
+            return;
+        }
+        statesExplored++;
+        considerCurrent();
+
+        const candidates = scratch.contractData
+            .filter(node => node.available && !node.selected)
+            .map(node => node.id);
+
+        for (const nodeId of candidates) {
+            if (!scratch.selectNode(nodeId)) continue;
+
+            const key = scratch.selectedNodes.slice().sort().join(',') + '|' + JSON.stringify(scratch.currentPools);
+            if (!visited.has(key)) {
+                visited.add(key);
+                explore();
+            }
+
+            // Undo the selection (availability only depends on the selected set)
+            scratch.selectedNodes.pop();
+            scratch.getNodeById(nodeId).selected = false;
+            scratch.updateAvailableNodes();
+        }
+    };
+
+    scratch.calculateCurrentPools();
+    explore();
+
+    if (!exhaustive) {
+        console.warn(`Contract solver stopped after ${maxStates} states - result is the best found, not guaranteed optimal`);
+    }
+
+    return {
+        ...best,
+        statesExplored: statesExplored,
+        exhaustive: exhaustive
+    };
+}
+
+/**
+ * Compare two solutions: higher expected reward wins, then fewer damage rolls, then fewer nodes
+ * @param {Object} candidate - New solution
+ * @param {Object} current - Best solution so far
+ * @returns {boolean} True if candidate is better
+ */
+function isBetterSolution(candidate, current) {
+    const epsilon = 1e-9;
+    if (candidate.expectedReward > current.expectedReward + epsilon) return true;
+    if (candidate.expectedReward < current.expectedReward - epsilon) return false;
+    if (candidate.damageRolls !== current.damageRolls) return candidate.damageRolls < current.damageRolls;
+    return candidate.selectedNodes.length < current.selectedNodes.length;
+}
+
+/**
+ * Create a throwaway GameState with the same contract, runners and heat and nothing selected
+ * Also used to snapshot a contract before resolution so it can be solved afterwards
+ * @param {GameState} gameState - Source game state (left untouched)
+ * @returns {GameState} Scratch game state
+ */
+function createSolverState(gameState) {
+    const scratch = new GameState(gameState.rng);
+    scratch.quiet = true;
+    scratch.balancingConfig = gameState.balancingConfig;
+    scratch.damageTable = gameState.damageTable;
+    scratch.contractMetadata = gameState.contractMetadata;
+    scratch.heatTiers = gameState.heatTiers;
+    scratch.playerRisk = gameState.playerRisk;
+    scratch.hiredRunners = JSON.parse(JSON.stringify(gameState.hiredRunners));
+    scratch.contractData = gameState.contractData.map(node => ({
+        ...node,
+        connections: node.connections.slice(),
+        effects: node.effects.slice(),
+        selected: false,
+        available: false
+    }));
+    scratch.selectedNodes = [];
+    scratch.updateAvailableNodes();
+    return scratch;
+}
+
+// Export for use in Node.js environments (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { solveContract, createSolverState, calculateExpectedPayout, calculateRollRewardMultiplier, calculateRollExpectation };
+}
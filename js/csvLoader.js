@@ -1,6 +1,7 @@
 /**
  * CSV Loader Module
- * Handles CSV file loading, parsing, and validation using Papa Parse
+ * Handles contract file loading, parsing, and validation using Papa Parse
+ * JSON contracts (see ContractFormat) are converted to the same rows as CSV files
  */
 
 /**
@@ -12,8 +13,7 @@ class VisualNode {
         this.id = csvRow['Node ID'];
         this.description = csvRow['Description'];
         this.effectDescription = csvRow['Effect Desc'];
-        this.effect1 = csvRow['Effect 1'];
-        this.effect2 = csvRow['Effect 2'];
+        this.effects = EffectExpression.getRowEffects(csvRow); // Effect 1, Effect 2, ... in order
         this.type = csvRow['Type'];
         this.color = csvRow['Color'];
         this.gateCondition = csvRow['GateCondition'] || ''; // NEW: Gate condition support
@@ -142,6 +142,7 @@ class CSVLoader {
         ];
 
         // Optional columns for enhanced functionality
+        // (further effects go in 'Effect 3', 'Effect 4', ... - there is no fixed limit)
         this.optionalColumns = [
             'Effect Desc',
             'Effect 1',
@@ -157,11 +158,14 @@ class CSVLoader {
         ];
 
         this.maxFileSize = 5 * 1024 * 1024; // 5MB limit
+
+        // Metadata of the last parsed contract (JSON "metadata", or "# key: value" lines in a CSV)
+        this.lastMetadata = {};
     }
 
     /**
-     * Load and parse CSV file from File API input
-     * @param {File} file - The CSV file to load
+     * Load and parse a contract file (.csv or .json) from File API input
+     * @param {File} file - The contract file to load
      * @returns {Promise<Array>} Parsed and validated CSV data
      */
     async loadFile(file) {
@@ -170,10 +174,10 @@ class CSVLoader {
             this.validateFile(file);
 
             // Read file content
-            const csvText = await this.readFileAsText(file);
+            const fileText = await this.readFileAsText(file);
 
-            // Parse CSV content
-            const parsedData = this.parseCSV(csvText);
+            // Parse CSV or JSON content
+            const parsedData = this.parseContractText(fileText, file.name);
 
             // Validate data structure
             this.validateData(parsedData);
@@ -209,8 +213,8 @@ class CSVLoader {
 
             console.log(`Loading contract from library: ${contract.name}`);
 
-            // Parse CSV content directly from library
-            const parsedData = this.parseCSV(contract.csv);
+            // Parse contract content directly from library
+            const parsedData = this.parseLibraryContract(contract);
 
             // Validate data structure
             this.validateData(parsedData);
@@ -226,8 +230,50 @@ class CSVLoader {
         }
     }
 
+    /**
+     * Parse contract file text, CSV or JSON depending on the file name
+     * @param {string} text - File content
+     * @param {string} filename - File name (.json files are read as JSON contracts)
+     * @returns {Array} Parsed CSV data
+     */
+    parseContractText(text, filename) {
+        return filename.toLowerCase().endsWith('.json') ? this.parseJSON(text) : this.parseCSV(text);
+    }
+
+    /**
+     * Get the rows of a CONTRACT_LIBRARY entry ({csv} or {contract} for JSON contracts)
+     * @param {Object} entry - Library entry
+     * @returns {Array} Parsed CSV data
+     */
+    parseLibraryContract(entry) {
+        if (entry.contract) {
+            ContractFormat.assertValid(entry.contract);
+            this.lastMetadata = { ...(entry.contract.metadata || {}) };
+            return ContractFormat.contractToRows(entry.contract);
+        }
+        return this.parseCSV(entry.csv);
+    }
+
+    /**
+     * Parse a JSON contract into the same rows a CSV file produces
+     * @param {string} jsonText - Raw JSON content
+     * @returns {Array} Parsed CSV data
+     */
+    parseJSON(jsonText) {
+        try {
+            const contract = ContractFormat.parseJSON(jsonText);
+            this.lastMetadata = { ...(contract.metadata || {}) };
+            return ContractFormat.contractToRows(contract);
+
+        } catch (error) {
+            console.error('Error parsing JSON contract:', error);
+            throw new Error(`JSON contract parsing failed: ${error.message}`);
+        }
+    }
+
     /**
      * Parse CSV text using Papa Parse
+     * Leading "# key: value" metadata lines are stored in lastMetadata
      * @param {string} csvText - Raw CSV content
      * @returns {Array} Parsed CSV data
      */
@@ -238,8 +284,15 @@ class CSVLoader {
                 throw new Error('Papa Parse library not loaded');
             }
 
+            const { metadata, csvText: rowsText } = ContractFormat.splitCSVMetadata(csvText);
+            const metadataErrors = ContractFormat.validateMetadata(metadata);
+            if (metadataErrors.length > 0) {
+                throw new Error(`Invalid contract metadata: ${metadataErrors.join('; ')}`);
+            }
+            this.lastMetadata = metadata;
+
             // Parse CSV with Papa Parse
-            const parseResult = Papa.parse(csvText, {
+            const parseResult = Papa.parse(rowsText, {
                 header: true,
                 skipEmptyLines: true,
                 trimHeaders: true,
@@ -279,8 +332,9 @@ class CSVLoader {
             throw new Error(`File size (${this.formatFileSize(file.size)}) exceeds maximum allowed size (${this.formatFileSize(this.maxFileSize)})`);
         }
 
-        if (!file.name.toLowerCase().endsWith('.csv')) {
-            throw new Error('File must be a CSV file (.csv extension)');
+        const fileName = file.name.toLowerCase();
+        if (!fileName.endsWith('.csv') && !fileName.endsWith('.json')) {
+            throw new Error('File must be a CSV or JSON contract (.csv or .json extension)');
         }
 
         if (file.size === 0) {
@@ -419,8 +473,8 @@ class CSVLoader {
                 }
             }
 
-            // Validate Effect strings if present
-            ['Effect 1', 'Effect 2'].forEach(effectCol => {
+            // Validate Effect strings if present (any number of "Effect N" columns)
+            EffectExpression.getEffectColumns(row).forEach(effectCol => {
                 if (row[effectCol] && row[effectCol].trim() !== '') {
                     const effectValidation = this.validateEffectString(row[effectCol], rowNumber, effectCol);
                     if (effectValidation.errors.length > 0) {
@@ -450,13 +504,12 @@ class CSVLoader {
                     }
                 }
 
-                // Gate nodes should not have Effect 1 or Effect 2 (warn if present)
-                if (row['Effect 1'] && row['Effect 1'].trim() !== '') {
-                    console.warn(`Row ${rowNumber}: Gate node has Effect 1 defined but it will be ignored`);
-                }
-                if (row['Effect 2'] && row['Effect 2'].trim() !== '') {
-                    console.warn(`Row ${rowNumber}: Gate node has Effect 2 defined but it will be ignored`);
-                }
+                // Gate nodes should not have effects (warn if present)
+                EffectExpression.getEffectColumns(row).forEach(effectCol => {
+                    if (row[effectCol] && row[effectCol].trim() !== '') {
+                        console.warn(`Row ${rowNumber}: Gate node has ${effectCol} defined but it will be ignored`);
+                    }
+                });
             } else {
                 // Non-gate nodes should not have GateCondition (warn if present)
                 if (row['GateCondition'] && row['GateCondition'].trim() !== '') {
@@ -477,6 +530,27 @@ class CSVLoader {
         }
 
         console.log(`Data validation passed for ${data.length} nodes`);
+
+        this.lastAnalysis = this.analyzeStructure(data);
+    }
+
+    /**
+     * Report structural problems found by the contract analyzer (unreachable nodes, gates that
+     * can never open, cycles, orphans). These are warnings: the contract still loads and plays.
+     * @param {Array} data - Validated CSV rows
+     * @returns {Object|null} analyzeContract() result, or null if the analyzer isn't loaded
+     */
+    analyzeStructure(data) {
+        if (typeof analyzeContract !== 'function') {
+            return null;
+        }
+
+        const analysis = analyzeContract(data, {
+            maxHiredRunners: this.lastMetadata.maxHiredRunners,
+            composition: this.lastMetadata.composition
+        });
+        analysis.issues.forEach(issue => console.warn(`${issue.nodeId}: ${issue.message}`));
+        return analysis;
     }
 
     /**
@@ -531,8 +605,7 @@ class CSVLoader {
                 id: row['Node ID'],
                 description: row['Description'],
                 effectDescription: row['Effect Desc'] || '',
-                effect1: row['Effect 1'] || '',
-                effect2: row['Effect 2'] || '',
+                effects: EffectExpression.getRowEffects(row),
                 type: row['Type'] || 'Normal',
                 color: row['Color'] || 'Grey',
                 gateCondition: row['GateCondition'] || '',
@@ -702,6 +775,40 @@ class CSVLoader {
         });
     }
 
+    /**
+     * NEW: Load runner trait definitions from embedded data
+     * @returns {Promise<Array>} Trait definitions
+     */
+    async loadRunnerTraits() {
+        return new Promise((resolve, reject) => {
+            // Use embedded RUNNER_TRAITS from resourceData.js (already parsed)
+            if (typeof RUNNER_TRAITS !== 'undefined') {
+                console.log(`Runner traits loaded from embedded data: ${RUNNER_TRAITS.length} traits`);
+                resolve(RUNNER_TRAITS);
+            } else {
+                console.error('RUNNER_TRAITS not found in embedded data');
+                reject(new Error('Runner traits not available'));
+            }
+        });
+    }
+
+    /**
+     * NEW: Load heat tiers from embedded data
+     * @returns {Promise<Array>} Heat tiers sorted by minRisk
+     */
+    async loadHeatTiers() {
+        return new Promise((resolve, reject) => {
+            // Use embedded HEAT_TIERS from resourceData.js (already parsed)
+            if (typeof HEAT_TIERS !== 'undefined') {
+                console.log(`Heat tiers loaded from embedded data: ${HEAT_TIERS.length} tiers`);
+                resolve(HEAT_TIERS);
+            } else {
+                console.error('HEAT_TIERS not found in embedded data');
+                reject(new Error('Heat tiers not available'));
+            }
+        });
+    }
+
     /**
      * NEW: Load damage table from embedded data
      * @returns {Promise<Array>} Parsed damage table
@@ -710,6 +817,13 @@ class CSVLoader {
         return new Promise((resolve, reject) => {
             // Use embedded DAMAGE_TABLE from resourceData.js (already parsed)
             if (typeof DAMAGE_TABLE !== 'undefined') {
+                // Unknown effects are refused here rather than at roll time
+                const errors = validateDamageTable(DAMAGE_TABLE);
+                if (errors.length > 0) {
+                    console.error('Damage table has invalid entries:', errors);
+                    reject(new Error(`Damage table ${errors[0]}`));
+                    return;
+                }
                 console.log(`Damage table loaded from embedded data with ${DAMAGE_TABLE.length} entries`);
                 resolve(DAMAGE_TABLE);
             } else {
@@ -3,15 +3,19 @@
  * Handles damage rolls and applies effects based on damage table
  */
 
+// Node color that involves each runner type in a contract (damage targeting weight)
+const DAMAGE_TARGET_NODE_COLORS = { Face: 'Yellow', Muscle: 'Red', Hacker: 'Blue', Ninja: 'Purple' };
+
 /**
  * Roll damage and return outcome
  * @param {Number} maxRollValue - Maximum roll value (from balancing)
  * @param {Array} damageTable - Damage table array
- * @returns {Object} {roll: number, effect: string, effectValue: number}
+ * @param {SeededRandom} rng - Random source (GameState.rng)
+ * @returns {Object} {roll: number, effect: string, effectValue: number, entry: Object|null}
  */
-function rollDamage(maxRollValue, damageTable) {
+function rollDamage(maxRollValue, damageTable, rng) {
     // Roll random number
-    const roll = Math.floor(Math.random() * maxRollValue) + 1;
+    const roll = rng.nextInt(maxRollValue) + 1;
 
     // Find matching range in damage table
     const outcome = damageTable.find(entry => {
@@ -20,75 +24,147 @@ function rollDamage(maxRollValue, damageTable) {
 
     if (!outcome) {
         console.error('No damage table entry found for roll:', roll);
-        return {roll: roll, effect: 'No Effect', effectValue: 0};
+        return {roll: roll, effect: 'No Effect', effectValue: 0, entry: null};
     }
 
     return {
         roll: roll,
         effect: outcome.effect,
-        effectValue: outcome.value || 0
+        effectValue: outcome.value || 0,
+        entry: outcome
     };
 }
 
 /**
- * Apply damage effect to game state
- * @param {Object} damageOutcome - Outcome from rollDamage()
- * @param {Array<Object>} hiredRunners - Currently hired runners
- * @param {Object} rewardState - Object with currentReward property
- * @returns {Object} {description: string, targetRunner: Object|null}
+ * Work out how likely each hired runner is to be hit by a damage roll
+ * A runner's weight is its trait injury weight, times its involvement (selected nodes in
+ * its type's color, see DAMAGE_TARGET_NODE_COLORS), times a muscle/ninja stat factor.
+ * The per-node and per-stat weights come from the balancing config.
+ * @param {GameState} gameState - Current game state (hired runners, selected nodes)
+ * @returns {Map<Object, Object>} Runner → {weight, color, matchingNodes, involvement, muscle, ninja, statFactor, traitWeight}
  */
-function applyDamageEffect(damageOutcome, hiredRunners, rewardState) {
-    const effect = damageOutcome.effect;
+function getDamageTargetWeights(gameState) {
+    const config = { ...getDefaultBalancingConfig(), ...(gameState.balancingConfig || {}) };
+
+    // Selected nodes per color (gates don't count, as in NodeColor conditions)
+    const colorCounts = {};
+    gameState.selectedNodes.forEach(nodeId => {
+        const node = gameState.getNodeById(nodeId);
+        if (node && node.type !== 'Gate') {
+            colorCounts[node.color] = (colorCounts[node.color] || 0) + 1;
+        }
+    });
+
+    const weights = new Map();
+    gameState.hiredRunners.forEach(runner => {
+        const color = DAMAGE_TARGET_NODE_COLORS[runner.runnerType] || null;
+        const matchingNodes = color ? (colorCounts[color] || 0) : 0;
+        const involvement = Math.max(0, 1 + matchingNodes * config.damageTargetWeightPerNode);
 
-    switch(effect) {
-        case 'Injury':
-            return applyInjury(hiredRunners);
+        const stats = gameState.getEffectiveRunnerStats(runner);
+        const muscle = stats.muscle || 0;
+        const ninja = stats.ninja || 0;
+        const statFactor = Math.max(config.damageTargetMinWeight,
+            1 + muscle * config.damageTargetWeightPerMuscle + ninja * config.damageTargetWeightPerNinja);
+
+        const traitWeight = getRunnerTargetWeight(runner);
+        weights.set(runner, {
+            weight: traitWeight * involvement * statFactor,
+            color, matchingNodes, involvement, muscle, ninja, statFactor, traitWeight
+        });
+    });
+    return weights;
+}
 
-        case 'Death':
-            return applyDeath(hiredRunners);
+/**
+ * Pick the runner a damage effect hits and explain the choice
+ * Without target weights only trait injury weights count
+ * @param {Array<Object>} candidates - Runners that can be hit
+ * @param {SeededRandom} rng - Random source
+ * @param {Map|null} targetWeights - Result of getDamageTargetWeights()
+ * @returns {Object} {target: Object, reason: string}
+ */
+function pickDamageTarget(candidates, rng, targetWeights = null) {
+    const info = runner => targetWeights && targetWeights.get(runner);
+    const weightOf = runner => info(runner) ? info(runner).weight : getRunnerTargetWeight(runner);
 
-        case 'Reduce':
-            return applyRewardReduction(rewardState, damageOutcome.effectValue);
+    const target = rng.pickWeighted(candidates, weightOf);
+    const total = candidates.reduce((sum, runner) => sum + Math.max(0, weightOf(runner)), 0);
+    const chance = total > 0 ? Math.max(0, weightOf(target)) / total : 1 / candidates.length;
 
-        case 'Extra':
-            return applyRewardIncrease(rewardState, damageOutcome.effectValue);
+    const round = value => Number(value.toFixed(2));
+    const factors = [];
+    const targetInfo = info(target);
+    if (targetInfo) {
+        if (targetInfo.color) {
+            factors.push(`${targetInfo.matchingNodes} ${targetInfo.color} node${targetInfo.matchingNodes === 1 ? '' : 's'} ×${round(targetInfo.involvement)}`);
+        }
+        factors.push(`muscle ${targetInfo.muscle} ninja ${targetInfo.ninja} ×${round(targetInfo.statFactor)}`);
+    }
+    const traitWeight = targetInfo ? targetInfo.traitWeight : getRunnerTargetWeight(target);
+    if (traitWeight !== 1) {
+        factors.push(`traits ×${round(traitWeight)}`);
+    }
 
-        case 'No Effect':
-            return {description: 'No effect', targetRunner: null};
+    const odds = `${Math.round(chance * 100)}% chance of ${candidates.length}`;
+    return { target, reason: factors.length > 0 ? `${odds}: ${factors.join(', ')}` : odds };
+}
 
-        default:
-            console.error('Unknown damage effect:', effect);
-            return {description: 'Unknown effect', targetRunner: null};
+/**
+ * Apply damage effect to game state
+ * The effect's type comes from the damage effect registry (see registerDamageEffect())
+ * @param {Object} damageOutcome - Outcome from rollDamage()
+ * @param {Array<Object>} hiredRunners - Currently hired runners
+ * @param {Object} rewardState - Object with currentReward (and addedRisk) properties
+ * @param {SeededRandom} rng - Random source for target selection
+ * @param {Object} balancingConfig - Balancing configuration (injury severity and recovery)
+ * @param {Map|null} targetWeights - Result of getDamageTargetWeights() (trait weights only if null)
+ * @returns {Object} {description: string, targetRunner: Object|null, targetReason: string|null}
+ */
+function applyDamageEffect(damageOutcome, hiredRunners, rewardState, rng, balancingConfig = null, targetWeights = null) {
+    const effectType = DAMAGE_EFFECT_TYPES[damageOutcome.effect];
+    if (!effectType) {
+        // Tables are checked when they load, so this only happens with hand-built tables
+        console.error('Unknown damage effect:', damageOutcome.effect);
+        return {description: 'Unknown effect', targetRunner: null};
     }
+
+    const entry = damageOutcome.entry || {effect: damageOutcome.effect, value: damageOutcome.effectValue};
+    return effectType.apply(entry, {hiredRunners, rewardState, rng, balancingConfig, targetWeights});
 }
 
 /**
  * Apply injury effect
  * @param {Array<Object>} hiredRunners - Currently hired runners
- * @returns {Object} {description: string, targetRunner: Object|null}
+ * @param {SeededRandom} rng - Random source for target selection and injury severity
+ * @param {Object} balancingConfig - Balancing configuration
+ * @param {Map|null} targetWeights - Result of getDamageTargetWeights()
+ * @returns {Object} {description: string, targetRunner: Object|null, targetReason: string|null}
  */
-function applyInjury(hiredRunners) {
+function applyInjury(hiredRunners, rng, balancingConfig = null, targetWeights = null) {
     // Get all uninjured, non-dead runners
     const readyRunners = hiredRunners.filter(r => r.runnerState === 'Ready');
 
     if (readyRunners.length > 0) {
-        // Randomly injure one
-        const target = readyRunners[Math.floor(Math.random() * readyRunners.length)];
-        target.runnerState = 'Injured';
+        // Injure one (involvement, stats and traits make a runner more or less likely to be chosen)
+        const { target, reason } = pickDamageTarget(readyRunners, rng, targetWeights);
+        const injury = injureRunner(target, balancingConfig, rng);
         return {
-            description: `${target.name} got injured`,
-            targetRunner: target
+            description: `${target.name} got injured (${getInjurySeverityName(injury.severity)})`,
+            targetRunner: target,
+            targetReason: reason
         };
     }
 
-    // All runners are injured, randomly kill one
+    // All runners are injured, kill one
     const injuredRunners = hiredRunners.filter(r => r.runnerState === 'Injured');
     if (injuredRunners.length > 0) {
-        const target = injuredRunners[Math.floor(Math.random() * injuredRunners.length)];
-        target.runnerState = 'Dead';
+        const { target, reason } = pickDamageTarget(injuredRunners, rng, targetWeights);
+        killRunner(target);
         return {
             description: `${target.name} died (all runners were already injured)`,
-            targetRunner: target
+            targetRunner: target,
+            targetReason: reason
         };
     }
 
@@ -99,30 +175,35 @@ function applyInjury(hiredRunners) {
 /**
  * Apply death effect
  * @param {Array<Object>} hiredRunners - Currently hired runners
- * @returns {Object} {description: string, targetRunner: Object|null}
+ * @param {SeededRandom} rng - Random source for target selection and injury severity
+ * @param {Object} balancingConfig - Balancing configuration
+ * @param {Map|null} targetWeights - Result of getDamageTargetWeights()
+ * @returns {Object} {description: string, targetRunner: Object|null, targetReason: string|null}
  */
-function applyDeath(hiredRunners) {
+function applyDeath(hiredRunners, rng, balancingConfig = null, targetWeights = null) {
     // Get all injured runners
     const injuredRunners = hiredRunners.filter(r => r.runnerState === 'Injured');
 
     if (injuredRunners.length > 0) {
-        // Randomly kill one injured runner
-        const target = injuredRunners[Math.floor(Math.random() * injuredRunners.length)];
-        target.runnerState = 'Dead';
+        // Kill one injured runner
+        const { target, reason } = pickDamageTarget(injuredRunners, rng, targetWeights);
+        killRunner(target);
         return {
             description: `${target.name} died`,
-            targetRunner: target
+            targetRunner: target,
+            targetReason: reason
         };
     }
 
-    // No injured runners, randomly injure a ready runner
+    // No injured runners, injure a ready runner
     const readyRunners = hiredRunners.filter(r => r.runnerState === 'Ready');
     if (readyRunners.length > 0) {
-        const target = readyRunners[Math.floor(Math.random() * readyRunners.length)];
-        target.runnerState = 'Injured';
+        const { target, reason } = pickDamageTarget(readyRunners, rng, targetWeights);
+        const injury = injureRunner(target, balancingConfig, rng);
         return {
-            description: `${target.name} got injured (no runners were injured)`,
-            targetRunner: target
+            description: `${target.name} got injured (${getInjurySeverityName(injury.severity)}, no runners were injured)`,
+            targetRunner: target,
+            targetReason: reason
         };
     }
 
@@ -165,36 +246,269 @@ function applyRewardIncrease(rewardState, percentage) {
     };
 }
 
+/**
+ * Apply a flat reward loss
+ * @param {Object} rewardState - Object with currentReward property
+ * @param {Number} amount - Money to lose (the reward never drops below 0)
+ * @returns {Object} {description: string, targetRunner: null}
+ */
+function applyRewardLoss(rewardState, amount) {
+    const loss = Math.min(rewardState.currentReward, amount);
+    rewardState.currentReward = Math.max(0, rewardState.currentReward - amount);
+
+    return {
+        description: `Lost $${Math.floor(loss)}, New Total: $${Math.floor(rewardState.currentReward)}`,
+        targetRunner: null
+    };
+}
+
+/**
+ * Apply extra risk (added to the contract's risk when it resolves)
+ * @param {Object} rewardState - Object with currentReward and addedRisk properties
+ * @param {Number} amount - Risk to add
+ * @returns {Object} {description: string, targetRunner: null}
+ */
+function applyRiskIncrease(rewardState, amount) {
+    rewardState.addedRisk = (rewardState.addedRisk || 0) + amount;
+
+    return {
+        description: `Risk increased by ${amount}`,
+        targetRunner: null
+    };
+}
+
+/**
+ * Apply stat drain: a living runner permanently loses points from one stat
+ * @param {Array<Object>} hiredRunners - Currently hired runners
+ * @param {Number} amount - Stat points to lose (stats never drop below 0)
+ * @param {String} stat - Stat name (Face, Muscle, Hacker or Ninja)
+ * @param {SeededRandom} rng - Random source for target selection
+ * @param {Map|null} targetWeights - Result of getDamageTargetWeights()
+ * @returns {Object} {description: string, targetRunner: Object|null, targetReason: string|null}
+ */
+function applyStatDrain(hiredRunners, amount, stat, rng, targetWeights = null) {
+    const livingRunners = hiredRunners.filter(r => r.runnerState !== 'Dead');
+    if (livingRunners.length === 0) {
+        return {description: 'No effect (all runners dead)', targetRunner: null};
+    }
+
+    const { target, reason } = pickDamageTarget(livingRunners, rng, targetWeights);
+    const key = stat.toLowerCase();
+    const before = target.stats[key] || 0;
+    target.stats[key] = Math.max(0, before - amount);
+
+    return {
+        description: `${target.name} lost ${before - target.stats[key]} ${stat} (now ${target.stats[key]})`,
+        targetRunner: target,
+        targetReason: reason
+    };
+}
+
 /**
  * Parse damage table CSV data
+ * The Effect column is an effect name with its parameters, e.g. "Injury", "Reduce 15",
+ * "Lose 500 Money" or "Stat Drain 1 Hacker" (see the registered effect syntaxes)
  * @param {Array} csvData - Parsed CSV array from Papa Parse
  * @returns {Array} Processed damage table entries
+ * @throws {Error} If a row has a bad range or an effect no registered type understands
  */
 function parseDamageTable(csvData) {
-    return csvData.map(row => {
+    return csvData.map((row, index) => {
         // Parse range (e.g., "1-10" or "95-100")
-        const rangeParts = row['Roll Range'].split('-');
+        const rangeParts = String(row['Roll Range'] || '').split('-');
         const minRange = parseInt(rangeParts[0]);
         const maxRange = parseInt(rangeParts[1] || rangeParts[0]);
+        if (isNaN(minRange) || isNaN(maxRange)) {
+            throw new Error(`Damage table row ${index + 1}: bad roll range "${row['Roll Range']}"`);
+        }
 
-        // Parse effect (e.g., "Injury", "Reduce 15", "Extra 5")
-        const effectString = row['Effect'];
-        let effect = effectString;
-        let value = 0;
-
-        if (effectString.startsWith('Reduce ')) {
-            effect = 'Reduce';
-            value = parseInt(effectString.split(' ')[1]);
-        } else if (effectString.startsWith('Extra ')) {
-            effect = 'Extra';
-            value = parseInt(effectString.split(' ')[1]);
+        const effect = parseDamageEffectText(row['Effect']);
+        if (effect.error) {
+            throw new Error(`Damage table row ${index + 1}: ${effect.error}`);
         }
 
         return {
             minRange,
             maxRange,
-            effect,
-            value
+            effect: effect.entry.effect,
+            value: 0,
+            ...effect.entry
         };
     });
 }
+
+// ===== DAMAGE EFFECT REGISTRY =====
+
+// Damage table effect types by name (see registerDamageEffect())
+const DAMAGE_EFFECT_TYPES = {};
+
+// Runner stats a Stat Drain can target
+const DAMAGE_DRAIN_STATS = ['Face', 'Muscle', 'Hacker', 'Ninja'];
+
+/**
+ * Register a damage table effect type
+ * @param {Object} definition - Effect type
+ * @param {string} definition.name - Name stored in table entries (entry.effect)
+ * @param {string} definition.syntax - How the type is written in damage_table.csv, e.g. 'Reduce <percent>'
+ * @param {RegExp} definition.pattern - Matches the CSV text, capture groups are the parameters
+ * @param {Function} [definition.parse] - (match) → entry parameters, e.g. {value: 15}
+ * @param {Function} [definition.validate] - (entry) → problem description or null
+ * @param {Function} definition.apply - (entry, context) → {description, targetRunner, targetReason}
+ *   context: {hiredRunners, rewardState, rng, balancingConfig, targetWeights}
+ * @param {Function} [definition.rewardMultiplier] - (entry) → reward multiplier (contract solver odds)
+ * @param {Function} [definition.rewardLoss] - (entry) → flat money lost after the multiplier (contract solver odds)
+ * @param {Function} [definition.addedRisk] - (entry) → risk added to the contract (contract solver odds)
+ * @param {string} [definition.cssClass] - Class of the effect in the damage roll results
+ */
+function registerDamageEffect(definition) {
+    if (DAMAGE_EFFECT_TYPES[definition.name]) {
+        throw new Error(`Damage effect "${definition.name}" is already registered`);
+    }
+    DAMAGE_EFFECT_TYPES[definition.name] = definition;
+}
+
+/**
+ * Get a registered damage effect type
+ * @param {string} name - Effect name
+ * @returns {Object|null} Effect type definition
+ */
+function getDamageEffectType(name) {
+    return DAMAGE_EFFECT_TYPES[name] || null;
+}
+
+/**
+ * Parse the Effect column of a damage table row
+ * @param {string} text - Effect text, e.g. "Reduce 15"
+ * @returns {Object} {entry: {effect, value, ...}} or {error: string}
+ */
+function parseDamageEffectText(text) {
+    const trimmed = String(text || '').trim();
+    for (const effectType of Object.values(DAMAGE_EFFECT_TYPES)) {
+        const match = trimmed.match(effectType.pattern);
+        if (match) {
+            const entry = { effect: effectType.name, ...(effectType.parse ? effectType.parse(match) : {}) };
+            const problem = effectType.validate ? effectType.validate(entry) : null;
+            return problem ? { error: `"${trimmed}" ${problem}` } : { entry };
+        }
+    }
+
+    const syntaxes = Object.values(DAMAGE_EFFECT_TYPES).map(effectType => effectType.syntax);
+    return { error: `unknown effect "${trimmed}" (expected ${syntaxes.join(', ')})` };
+}
+
+/**
+ * Check the effect and parameters of a damage table entry (embedded tables, contract metadata)
+ * @param {Object} entry - Damage table entry {minRange, maxRange, effect, value, ...}
+ * @returns {string|null} Problem description, or null if the effect is valid
+ */
+function validateDamageEffect(entry) {
+    const effectType = DAMAGE_EFFECT_TYPES[entry.effect];
+    if (!effectType) {
+        return `effect must be one of ${Object.keys(DAMAGE_EFFECT_TYPES).join(', ')}`;
+    }
+    return effectType.validate ? effectType.validate(entry) : null;
+}
+
+/**
+ * Check every entry of a damage table
+ * @param {Array} damageTable - Damage table entries
+ * @returns {Array<string>} Problems, e.g. "entry 3 effect must be one of ..."
+ */
+function validateDamageTable(damageTable) {
+    const errors = [];
+    damageTable.forEach((entry, index) => {
+        const problem = validateDamageEffect(entry);
+        if (problem) errors.push(`entry ${index + 1} ${problem}`);
+    });
+    return errors;
+}
+
+// Parameter checks shared by the built-in types
+const requireDamagePercent = entry => (typeof entry.value === 'number' && entry.value >= 0 && entry.value <= 100)
+    ? null : 'needs a percentage value from 0 to 100';
+const requireDamageAmount = entry => (Number.isInteger(entry.value) && entry.value > 0)
+    ? null : 'needs a whole number value above 0';
+
+registerDamageEffect({
+    name: 'Death',
+    syntax: 'Death',
+    pattern: /^Death$/i,
+    apply: (entry, context) => applyDeath(context.hiredRunners, context.rng, context.balancingConfig, context.targetWeights),
+    cssClass: 'death'
+});
+
+registerDamageEffect({
+    name: 'Injury',
+    syntax: 'Injury',
+    pattern: /^Injury$/i,
+    apply: (entry, context) => applyInjury(context.hiredRunners, context.rng, context.balancingConfig, context.targetWeights),
+    cssClass: 'injury'
+});
+
+registerDamageEffect({
+    name: 'Reduce',
+    syntax: 'Reduce <percent>',
+    pattern: /^Reduce\s+(\d+(?:\.\d+)?)%?$/i,
+    parse: match => ({ value: parseFloat(match[1]) }),
+    validate: requireDamagePercent,
+    apply: (entry, context) => applyRewardReduction(context.rewardState, entry.value),
+    rewardMultiplier: entry => Math.max(0, 1 - entry.value / 100),
+    cssClass: 'reduce'
+});
+
+registerDamageEffect({
+    name: 'Extra',
+    syntax: 'Extra <percent>',
+    pattern: /^Extra\s+(\d+(?:\.\d+)?)%?$/i,
+    parse: match => ({ value: parseFloat(match[1]) }),
+    validate: entry => (typeof entry.value === 'number' && entry.value >= 0) ? null : 'needs a percentage value of 0 or more',
+    apply: (entry, context) => applyRewardIncrease(context.rewardState, entry.value),
+    rewardMultiplier: entry => 1 + entry.value / 100,
+    cssClass: 'extra'
+});
+
+registerDamageEffect({
+    name: 'No Effect',
+    syntax: 'No Effect',
+    pattern: /^No Effect$/i,
+    apply: () => ({description: 'No effect', targetRunner: null}),
+    cssClass: 'no-effect'
+});
+
+registerDamageEffect({
+    name: 'Lose Money',
+    syntax: 'Lose <amount> Money',
+    pattern: /^Lose\s+\$?(\d+)\s+Money$/i,
+    parse: match => ({ value: parseInt(match[1]) }),
+    validate: requireDamageAmount,
+    apply: (entry, context) => applyRewardLoss(context.rewardState, entry.value),
+    rewardLoss: entry => entry.value,
+    cssClass: 'reduce'
+});
+
+registerDamageEffect({
+    name: 'Add Risk',
+    syntax: 'Add Risk <amount>',
+    pattern: /^Add\s+Risk\s+(\d+)$/i,
+    parse: match => ({ value: parseInt(match[1]) }),
+    validate: requireDamageAmount,
+    apply: (entry, context) => applyRiskIncrease(context.rewardState, entry.value),
+    addedRisk: entry => entry.value,
+    cssClass: 'risk'
+});
+
+registerDamageEffect({
+    name: 'Stat Drain',
+    syntax: `Stat Drain <amount> <${DAMAGE_DRAIN_STATS.join('|')}>`,
+    pattern: /^Stat\s+Drain\s+(\d+)\s+([A-Za-z]+)$/i,
+    parse: match => ({
+        value: parseInt(match[1]),
+        stat: DAMAGE_DRAIN_STATS.find(stat => stat.toLowerCase() === match[2].toLowerCase()) || match[2]
+    }),
+    validate: entry => requireDamageAmount(entry) ||
+        (DAMAGE_DRAIN_STATS.includes(entry.stat) ? null : `needs a stat (${DAMAGE_DRAIN_STATS.join(', ')})`),
+    apply: (entry, context) => applyStatDrain(context.hiredRunners, entry.value, entry.stat, context.rng, context.targetWeights),
+    cssClass: 'drain'
+});
+
+// "Lose Runner Gear" is not registered: runners have no gear yet
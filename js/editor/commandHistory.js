@@ -0,0 +1,285 @@
+/**
+ * Johnson Contract Editor - Command History
+ * Undo/redo for editor changes using the command pattern
+ *
+ * Every command has execute() (apply or re-apply the change), undo() and a label
+ * for status messages. Changes that already happened (node creation, drags) are
+ * recorded with record(); others run through execute().
+ */
+
+class CommandHistory {
+    /**
+     * @param {number} limit - Maximum number of undo steps kept
+     * @param {Function} onChange - Called after every history change (for toolbar state)
+     */
+    constructor(limit = 100, onChange = null) {
+        this.limit = limit;
+        this.onChange = onChange;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.sealed = true;
+
+        console.log('CommandHistory initialized with limit', limit);
+    }
+
+    /**
+     * Apply a command and add it to the history
+     * @param {Object} command - Command with execute() and undo()
+     */
+    execute(command) {
+        command.execute();
+        this.record(command);
+    }
+
+    /**
+     * Add a command that has already been applied
+     * Consecutive edits of the same kind are merged when the last command supports it
+     * @param {Object} command - Command with execute() and undo()
+     */
+    record(command) {
+        const last = this.undoStack[this.undoStack.length - 1];
+        const merged = !this.sealed && last && last.mergeWith && last.mergeWith(command);
+
+        if (!merged) {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.sealed = false;
+        this.notify();
+    }
+
+    /**
+     * Stop the next command from merging into the last one
+     * (e.g. when the selection changes between two edits of the same field)
+     */
+    seal() {
+        this.sealed = true;
+    }
+
+    /**
+     * Undo the last command
+     * @returns {Object|null} Undone command, or null if there was nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        command.undo();
+        this.redoStack.push(command);
+        this.sealed = true;
+        this.notify();
+        return command;
+    }
+
+    /**
+     * Redo the last undone command
+     * @returns {Object|null} Redone command, or null if there was nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        command.execute();
+        this.undoStack.push(command);
+        this.sealed = true;
+        this.notify();
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all history (new contract, import)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.sealed = true;
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
+
+/**
+ * Node creation (recorded after NodeManager.createNode)
+ */
+class CreateNodeCommand {
+    constructor(nodeManager, node) {
+        this.nodeManager = nodeManager;
+        this.node = node;
+        this.index = nodeManager.nodes.indexOf(node);
+        this.label = `create ${node.id}`;
+    }
+
+    execute() {
+        this.nodeManager.insertNode(this.node, this.index);
+        if (this.connections) {
+            restoreConnections(this.nodeManager, this.connections);
+        }
+    }
+
+    undo() {
+        // Connections to the node (e.g. inside a pasted group) come back on redo
+        this.connections = snapshotConnections(this.nodeManager);
+        this.nodeManager.deleteNode(this.node.id);
+    }
+}
+
+/**
+ * Node deletion, including the connections other nodes had to it
+ */
+class DeleteNodeCommand {
+    constructor(nodeManager, node) {
+        this.nodeManager = nodeManager;
+        this.node = node;
+        this.index = nodeManager.nodes.indexOf(node);
+        this.connections = snapshotConnections(nodeManager);
+        this.label = `delete ${node.id}`;
+    }
+
+    execute() {
+        this.nodeManager.deleteNode(this.node.id);
+    }
+
+    undo() {
+        this.nodeManager.insertNode(this.node, this.index);
+        restoreConnections(this.nodeManager, this.connections);
+    }
+}
+
+/**
+ * Node move (recorded when a drag ends)
+ */
+class MoveNodeCommand {
+    constructor(nodeManager, node, from, to) {
+        this.nodeManager = nodeManager;
+        this.node = node;
+        this.from = { x: from.x, y: from.y };
+        this.to = { x: to.x, y: to.y };
+        this.label = `move ${node.id}`;
+    }
+
+    execute() {
+        this.nodeManager.moveNode(this.node.id, this.to.x, this.to.y);
+    }
+
+    undo() {
+        this.nodeManager.moveNode(this.node.id, this.from.x, this.from.y);
+    }
+}
+
+/**
+ * Property edit through NodeManager.updateNodeProperty
+ * Typing in one field produces an edit per keystroke; those merge into one step
+ */
+class UpdateNodePropertyCommand {
+    constructor(nodeManager, node, property, value) {
+        this.nodeManager = nodeManager;
+        this.node = node;
+        this.property = property;
+        this.oldValue = copyPropertyValue(node[property]);
+        this.newValue = copyPropertyValue(value);
+        this.label = `edit ${property} of ${node.id}`;
+    }
+
+    execute() {
+        this.nodeManager.updateNodeProperty(this.node.id, this.property, copyPropertyValue(this.newValue));
+    }
+
+    undo() {
+        this.nodeManager.updateNodeProperty(this.node.id, this.property, copyPropertyValue(this.oldValue));
+    }
+
+    mergeWith(command) {
+        if (!(command instanceof UpdateNodePropertyCommand) ||
+            command.node !== this.node || command.property !== this.property) {
+            return false;
+        }
+        this.newValue = command.newValue;
+        return true;
+    }
+}
+
+/**
+ * Several commands undone and redone as one step (group move, paste, multi-delete)
+ */
+class CompositeCommand {
+    constructor(label, commands) {
+        this.label = label;
+        this.commands = commands;
+    }
+
+    execute() {
+        this.commands.forEach(command => command.execute());
+    }
+
+    undo() {
+        [...this.commands].reverse().forEach(command => command.undo());
+    }
+}
+
+/**
+ * Connection changes made across several nodes at once (e.g. removing invalid connections)
+ */
+class ConnectionsChangeCommand {
+    constructor(nodeManager, before, after, label = 'connection changes') {
+        this.nodeManager = nodeManager;
+        this.before = before;
+        this.after = after;
+        this.label = label;
+    }
+
+    execute() {
+        restoreConnections(this.nodeManager, this.after);
+    }
+
+    undo() {
+        restoreConnections(this.nodeManager, this.before);
+    }
+}
+
+/**
+ * Copy every node's connection list
+ * @param {NodeManager} nodeManager - Node manager
+ * @returns {Map} Node object → connection IDs
+ */
+function snapshotConnections(nodeManager) {
+    return new Map(nodeManager.nodes.map(node => [node, [...(node.connections || [])]]));
+}
+
+/**
+ * Put connection lists from snapshotConnections() back
+ * @param {NodeManager} nodeManager - Node manager
+ * @param {Map} snapshot - Node object → connection IDs
+ */
+function restoreConnections(nodeManager, snapshot) {
+    snapshot.forEach((connections, node) => {
+        node.connections = [...connections];
+    });
+    nodeManager.canvas.render();
+}
+
+/**
+ * Copy array values so history entries don't share arrays with the live node
+ */
+function copyPropertyValue(value) {
+    return Array.isArray(value) ? [...value] : value;
+}
+
+// Export for use in other modules
+window.CommandHistory = CommandHistory;
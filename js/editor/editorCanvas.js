@@ -29,6 +29,10 @@ class EditorCanvas {
         this.lastPanX = 0;
         this.lastPanY = 0;
 
+        // Box selection (canvas coordinates while dragging, null otherwise)
+        this.selectionBox = null;
+        this.selectionBoxColor = '#FFDF20';
+
         // Initialize canvas
         this.resizeCanvas(this.width, this.height);
         this.setupEventListeners();
@@ -277,6 +281,15 @@ class EditorCanvas {
         this.render();
     }
 
+    /**
+     * Pan so a canvas point is in the middle of the view, keeping the zoom
+     */
+    centerOn(x, y) {
+        this.panX = this.canvas.width / 2 - x * this.zoom;
+        this.panY = this.canvas.height / 2 - y * this.zoom;
+        this.render();
+    }
+
     /**
      * Zoom to fit all content (implementation depends on nodeManager)
      */
@@ -353,6 +366,71 @@ class EditorCanvas {
 
         // Notify that canvas has been rendered (for external components)
         window.dispatchEvent(new CustomEvent('canvasRendered', { detail: { canvas: this } }));
+
+        // Selection box goes on top of the nodes
+        this.drawSelectionBox();
+    }
+
+    /**
+     * Start a box selection at canvas coordinates
+     */
+    startSelectionBox(x, y) {
+        this.selectionBox = { startX: x, startY: y, endX: x, endY: y };
+    }
+
+    /**
+     * Move the free corner of the box selection
+     */
+    updateSelectionBox(x, y) {
+        if (!this.selectionBox) return;
+
+        this.selectionBox.endX = x;
+        this.selectionBox.endY = y;
+        this.render();
+    }
+
+    /**
+     * Finish the box selection
+     * @returns {Object|null} Normalized rectangle {left, top, right, bottom, width, height}, or null if none was active
+     */
+    endSelectionBox() {
+        const box = this.selectionBox;
+        if (!box) return null;
+
+        this.selectionBox = null;
+        this.render();
+
+        const left = Math.min(box.startX, box.endX);
+        const top = Math.min(box.startY, box.endY);
+        const right = Math.max(box.startX, box.endX);
+        const bottom = Math.max(box.startY, box.endY);
+        return { left, top, right, bottom, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * Draw the box selection rectangle
+     */
+    drawSelectionBox() {
+        const box = this.selectionBox;
+        if (!box) return;
+
+        this.ctx.save();
+        this.ctx.scale(this.zoom, this.zoom);
+        this.ctx.translate(this.panX / this.zoom, this.panY / this.zoom);
+
+        this.ctx.strokeStyle = this.selectionBoxColor;
+        this.ctx.fillStyle = this.selectionBoxColor;
+        this.ctx.lineWidth = 1 / this.zoom;
+        this.ctx.setLineDash([6 / this.zoom, 4 / this.zoom]);
+
+        const width = box.endX - box.startX;
+        const height = box.endY - box.startY;
+        this.ctx.globalAlpha = 0.1;
+        this.ctx.fillRect(box.startX, box.startY, width, height);
+        this.ctx.globalAlpha = 1;
+        this.ctx.strokeRect(box.startX, box.startY, width, height);
+
+        this.ctx.restore();
     }
 
     /**
@@ -9,9 +9,18 @@ class EditorMain {
         this.nodeManager = null;
         this.connectionManager = null;
         this.fileManager = null;
+        this.playTest = null;
+        this.liveValidator = null;
+        this.commandHistory = null;
+        this.historyLimit = 100;
         this.isDragging = false;
         this.dragNode = null;
         this.dragOffset = { x: 0, y: 0 };
+        this.dragStart = null;      // Map: dragged node → position when the drag started
+        this.boxAdditive = false;   // Shift held when the box selection started
+        this.suppressClick = false; // The click ending a box selection must not clear it
+        this.clipboard = null;
+        this.pasteCount = 0;
         this.lastClickTime = 0;
         this.doubleClickDelay = 300;
 
@@ -62,6 +71,18 @@ class EditorMain {
         // Initialize file manager
         this.fileManager = new FileManager(this.nodeManager, this.connectionManager);
 
+        // Initialize play-test mode
+        this.playTest = new PlayTestManager(this.nodeManager, this.canvas, this.fileManager);
+
+        // Initialize live validation
+        this.liveValidator = new LiveValidator(this.nodeManager);
+
+        // Initialize undo/redo history; every recorded change re-runs validation
+        this.commandHistory = new CommandHistory(this.historyLimit, () => {
+            this.updateHistoryButtons();
+            this.runValidation();
+        });
+
         // Connect components
         this.nodeManager.setConnectionManager(this.connectionManager);
 
@@ -87,6 +108,9 @@ class EditorMain {
 
         // Creation panel events
         this.setupCreationPanelEvents();
+
+        // Play-test panel events
+        this.setupPlayTestEvents();
     }
 
     /**
@@ -97,13 +121,22 @@ class EditorMain {
         const newBtn = document.getElementById('newContractBtn');
         const openBtn = document.getElementById('openContractBtn');
         const saveBtn = document.getElementById('saveContractBtn');
+        const saveJsonBtn = document.getElementById('saveContractJsonBtn');
         const fileInput = document.getElementById('fileInput');
 
         if (newBtn) newBtn.addEventListener('click', () => this.newContract());
         if (openBtn) openBtn.addEventListener('click', () => this.openContract());
         if (saveBtn) saveBtn.addEventListener('click', () => this.saveContract());
+        if (saveJsonBtn) saveJsonBtn.addEventListener('click', () => this.saveContract('json'));
         if (fileInput) fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
 
+        // Edit controls
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+
+        if (undoBtn) undoBtn.addEventListener('click', () => this.undo());
+        if (redoBtn) redoBtn.addEventListener('click', () => this.redo());
+
         // Canvas controls
         const gridToggle = document.getElementById('gridToggleBtn');
         const snapToggle = document.getElementById('snapToggleBtn');
@@ -138,7 +171,7 @@ class EditorMain {
         const deleteBtn = document.getElementById('deleteNodeBtn');
 
         if (updateBtn) updateBtn.addEventListener('click', () => this.updateSelectedNode());
-        if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteSelectedNode());
+        if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteSelectedNodes());
 
         // Type dropdown event listener for field visibility
         const typeSelect = document.getElementById('nodeType');
@@ -148,20 +181,17 @@ class EditorMain {
 
                 // Toggle field groups
                 const descGroup = document.getElementById('descriptionGroup');
-                const effect1Group = document.getElementById('effect1Group');
-                const effect2Group = document.getElementById('effect2Group');
+                const effectsGroup = document.getElementById('effectsGroup');
                 const gateConditionGroup = document.getElementById('gateConditionGroup');
 
                 if (descGroup) descGroup.style.display = isGate ? 'none' : 'block';
-                if (effect1Group) effect1Group.style.display = isGate ? 'none' : 'block';
-                if (effect2Group) effect2Group.style.display = isGate ? 'none' : 'block';
+                if (effectsGroup) effectsGroup.style.display = isGate ? 'none' : 'block';
                 if (gateConditionGroup) gateConditionGroup.style.display = isGate ? 'block' : 'none';
 
                 // Clear fields when switching to/from Gate
                 if (isGate) {
                     document.getElementById('nodeDescription').value = '';
-                    document.getElementById('nodeEffect1').value = '';
-                    document.getElementById('nodeEffect2').value = '';
+                    this.nodeManager.renderEffectsList([]);
                 } else {
                     document.getElementById('nodeGateCondition').value = '';
                 }
@@ -170,8 +200,8 @@ class EditorMain {
 
         // Auto-update on input changes
         const inputs = [
-            'nodeId', 'nodeDescription', 'nodeEffectDesc', 'nodeEffect1',
-            'nodeEffect2', 'nodeType', 'nodeColor', 'nodeGateCondition', 'nodeConnections'
+            'nodeId', 'nodeDescription', 'nodeEffectDesc', 'nodeType',
+            'nodeColor', 'nodeGateCondition', 'nodeConnections'
         ];
 
         inputs.forEach(inputId => {
@@ -180,6 +210,63 @@ class EditorMain {
                 element.addEventListener('input', () => this.updateSelectedNode());
             }
         });
+
+        // NEW: Effect rows are re-rendered per node, so listen on the list container
+        const effectsList = document.getElementById('nodeEffectsList');
+        if (effectsList) {
+            effectsList.addEventListener('input', (e) => {
+                if (e.target.classList.contains('effect-input')) {
+                    this.updateSelectedNode();
+                }
+            });
+            effectsList.addEventListener('click', (e) => {
+                if (e.target.classList.contains('effect-remove-btn')) {
+                    this.removeEffect(parseInt(e.target.dataset.index));
+                }
+            });
+        }
+
+        const addEffectBtn = document.getElementById('addEffectBtn');
+        if (addEffectBtn) addEffectBtn.addEventListener('click', () => this.addEffect());
+    }
+
+    /**
+     * Append an empty effect row to the selected node (NEW)
+     */
+    addEffect() {
+        const selectedNode = this.nodeManager.getSelectedNode();
+        if (!selectedNode) return;
+
+        const effects = [...this.readEffectInputs(), ''];
+        this.commandHistory.execute(new UpdateNodePropertyCommand(this.nodeManager, selectedNode, 'effects', effects));
+        this.commandHistory.seal();
+        this.nodeManager.renderEffectsList(effects);
+
+        const inputs = document.querySelectorAll('#nodeEffectsList .effect-input');
+        if (inputs.length > 0) inputs[inputs.length - 1].focus();
+    }
+
+    /**
+     * Remove an effect row from the selected node (NEW)
+     * @param {number} index - Position of the effect in the list
+     */
+    removeEffect(index) {
+        const selectedNode = this.nodeManager.getSelectedNode();
+        if (!selectedNode) return;
+
+        const effects = this.readEffectInputs();
+        effects.splice(index, 1);
+        this.commandHistory.execute(new UpdateNodePropertyCommand(this.nodeManager, selectedNode, 'effects', effects));
+        this.commandHistory.seal();
+        this.nodeManager.renderEffectsList(effects);
+    }
+
+    /**
+     * Read the effect strings currently shown in the properties panel (NEW)
+     * @returns {Array<string>} Effect strings in row order
+     */
+    readEffectInputs() {
+        return Array.from(document.querySelectorAll('#nodeEffectsList .effect-input')).map(input => input.value);
     }
 
     /**
@@ -202,6 +289,46 @@ class EditorMain {
         this.selectColor('Red');
     }
 
+    /**
+     * Set up play-test toggle and panel event listeners
+     */
+    setupPlayTestEvents() {
+        const toggleBtn = document.getElementById('playtestToggleBtn');
+        if (toggleBtn) toggleBtn.addEventListener('click', () => this.togglePlayTest());
+
+        // Roster rows are re-rendered, so listen on the list container
+        const roster = document.getElementById('playtestRoster');
+        if (roster) {
+            roster.addEventListener('change', (e) => {
+                const index = parseInt(e.target.dataset.index);
+                if (e.target.classList.contains('playtest-runner-type')) {
+                    this.playTest.setRunnerField(index, 'runnerType', e.target.value);
+                } else if (e.target.classList.contains('playtest-runner-stat')) {
+                    this.playTest.setRunnerField(index, e.target.dataset.stat, e.target.value);
+                }
+                this.playTest.renderPanel();
+            });
+        }
+
+        const randomBtn = document.getElementById('playtestRandomRosterBtn');
+        const resetBtn = document.getElementById('playtestResetBtn');
+        const runBtn = document.getElementById('playtestRunBtn');
+
+        if (randomBtn) {
+            randomBtn.addEventListener('click', () => {
+                this.playTest.randomizeRoster();
+                this.playTest.renderPanel();
+            });
+        }
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.playTest.resetSelection();
+                this.playTest.renderPanel();
+            });
+        }
+        if (runBtn) runBtn.addEventListener('click', () => this.runPlayTestResolution());
+    }
+
     /**
      * Set up keyboard shortcuts
      */
@@ -212,11 +339,20 @@ class EditorMain {
                 return;
             }
 
+            // Editing shortcuts are off while play-testing; Escape leaves play-test mode
+            if (this.playTest.active) {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    this.togglePlayTest();
+                }
+                return;
+            }
+
             switch (e.key) {
                 case 'Delete':
                 case 'Backspace':
                     e.preventDefault();
-                    this.deleteSelectedNode();
+                    this.deleteSelectedNodes();
                     break;
 
                 case 'Escape':
@@ -247,23 +383,71 @@ class EditorMain {
                         this.saveContract();
                     }
                     break;
+
+                case 'z':
+                case 'Z':
+                    if (e.ctrlKey) {
+                        e.preventDefault();
+                        if (e.shiftKey) {
+                            this.redo();
+                        } else {
+                            this.undo();
+                        }
+                    }
+                    break;
+
+                case 'y':
+                case 'Y':
+                    if (e.ctrlKey) {
+                        e.preventDefault();
+                        this.redo();
+                    }
+                    break;
+
+                case 'a':
+                case 'A':
+                    if (e.ctrlKey) {
+                        e.preventDefault();
+                        this.nodeManager.selectAllNodes();
+                    }
+                    break;
+
+                case 'c':
+                case 'C':
+                    if (e.ctrlKey) {
+                        e.preventDefault();
+                        this.copySelection();
+                    }
+                    break;
+
+                case 'v':
+                case 'V':
+                    if (e.ctrlKey) {
+                        e.preventDefault();
+                        this.pasteClipboard();
+                    }
+                    break;
             }
         });
     }
 
     /**
      * Handle canvas click events
+     * Node selection happens on mouse down/up; a click on empty space clears it
      */
     handleCanvasClick(event) {
         if (event.button !== 0) return; // Only handle left clicks
+        if (this.playTest.active) return; // Play-test selection happens on mouse down
+
+        if (this.suppressClick) {
+            this.suppressClick = false;
+            return;
+        }
 
         const coords = this.canvas.getCanvasCoordinates(event);
         const clickedNode = this.nodeManager.getNodeAt(coords.x, coords.y);
 
-        if (clickedNode) {
-            // Select the clicked node
-            this.nodeManager.selectNode(clickedNode.id);
-        } else {
+        if (!clickedNode) {
             // Clear selection and create new node
             this.nodeManager.clearSelection();
 
@@ -277,7 +461,7 @@ class EditorMain {
     }
 
     /**
-     * Handle canvas mouse down for dragging
+     * Handle canvas mouse down for selection, dragging and box selection
      */
     handleCanvasMouseDown(event) {
         if (event.button !== 0) return; // Only handle left mouse button
@@ -285,50 +469,183 @@ class EditorMain {
         const coords = this.canvas.getCanvasCoordinates(event);
         const clickedNode = this.nodeManager.getNodeAt(coords.x, coords.y);
 
-        if (clickedNode) {
-            this.isDragging = true;
-            this.dragNode = clickedNode;
-            this.dragOffset = {
-                x: coords.x - clickedNode.x,
-                y: coords.y - clickedNode.y
-            };
+        // Play-test: clicks select and deselect nodes like in the game
+        if (this.playTest.active) {
+            if (clickedNode) this.togglePlayTestNode(clickedNode.id);
+            return;
+        }
+
+        // Edits after a new click start a new undo step
+        this.commandHistory.seal();
 
-            // Select the node being dragged
-            this.nodeManager.selectNode(clickedNode.id);
+        if (!clickedNode) {
+            // Start a box selection on empty space
+            this.canvas.startSelectionBox(coords.x, coords.y);
+            this.boxAdditive = event.shiftKey;
+            return;
+        }
+
+        // Shift-click adds or removes a node from the selection
+        if (event.shiftKey) {
+            this.nodeManager.toggleNodeSelection(clickedNode.id);
+            return;
+        }
 
-            // Change cursor
-            this.canvas.canvas.style.cursor = 'grabbing';
+        // Clicking an unselected node selects only that node; clicking a selected one drags the group
+        if (!clickedNode.selected) {
+            this.nodeManager.selectNode(clickedNode.id);
         }
+
+        this.isDragging = true;
+        this.dragNode = clickedNode;
+        this.dragStart = new Map(this.nodeManager.getSelectedNodes().map(node => [node, { x: node.x, y: node.y }]));
+        this.dragOffset = {
+            x: coords.x - clickedNode.x,
+            y: coords.y - clickedNode.y
+        };
+
+        // Change cursor
+        this.canvas.canvas.style.cursor = 'grabbing';
     }
 
     /**
-     * Handle canvas mouse move for dragging and connection hover
+     * Handle canvas mouse move for dragging, box selection and connection hover
      */
     handleCanvasMouseMove(event) {
         const coords = this.canvas.getCanvasCoordinates(event);
 
         // Handle connection hover effects
-        if (this.connectionManager && !this.isDragging) {
+        if (this.connectionManager && !this.isDragging && !this.canvas.selectionBox) {
             this.connectionManager.handleMouseMove(coords.x, coords.y);
         }
 
-        // Handle node dragging
+        // Handle node dragging: the grabbed node snaps, the rest of the group keeps its offset
         if (this.isDragging && this.dragNode) {
-            const newX = coords.x - this.dragOffset.x;
-            const newY = coords.y - this.dragOffset.y;
-            this.nodeManager.moveNode(this.dragNode.id, newX, newY);
+            const leadStart = this.dragStart.get(this.dragNode);
+            const snapped = this.canvas.snapToGridCoords(coords.x - this.dragOffset.x, coords.y - this.dragOffset.y);
+            const deltaX = snapped.x - leadStart.x;
+            const deltaY = snapped.y - leadStart.y;
+
+            this.dragStart.forEach((start, node) => {
+                this.nodeManager.moveNode(node.id, start.x + deltaX, start.y + deltaY);
+            });
+            return;
+        }
+
+        // Handle box selection
+        if (this.canvas.selectionBox) {
+            this.canvas.updateSelectionBox(coords.x, coords.y);
         }
     }
 
     /**
-     * Handle canvas mouse up to stop dragging
+     * Handle canvas mouse up to finish dragging or box selection
      */
     handleCanvasMouseUp(event) {
         if (this.isDragging) {
+            const moves = [];
+            this.dragStart.forEach((start, node) => {
+                if (node.x !== start.x || node.y !== start.y) {
+                    moves.push(new MoveNodeCommand(this.nodeManager, node, start, node));
+                }
+            });
+
+            if (moves.length === 1) {
+                this.commandHistory.record(moves[0]);
+            } else if (moves.length > 1) {
+                this.commandHistory.record(new CompositeCommand(`move ${moves.length} nodes`, moves));
+            } else if (this.dragStart.size > 1) {
+                // A click on a group member without moving selects just that node
+                this.nodeManager.selectNode(this.dragNode.id);
+            }
+
             this.isDragging = false;
             this.dragNode = null;
+            this.dragStart = null;
             this.canvas.canvas.style.cursor = 'crosshair';
+            return;
+        }
+
+        const rect = this.canvas.endSelectionBox();
+        if (rect && (rect.width > 4 || rect.height > 4)) {
+            this.nodeManager.selectNodes(this.nodeManager.getNodesInRect(rect), this.boxAdditive);
+            this.suppressClick = true;
+        }
+    }
+
+    /**
+     * Turn play-test mode on or off
+     * While play-testing, the properties panel shows the mock roster and live pools
+     */
+    togglePlayTest() {
+        if (this.playTest.active) {
+            this.playTest.stop();
+            this.showMessage('Play-test ended', 'info');
+        } else {
+            this.nodeManager.clearSelection();
+            if (!this.playTest.start()) {
+                this.showMessage('Add some nodes before play-testing', 'error');
+                return;
+            }
+            this.playTest.renderPanel();
+            this.showMessage('Play-test: click nodes to select them', 'success');
+        }
+
+        this.updatePlayTestPanel();
+    }
+
+    /**
+     * Select or deselect a node in the play-test
+     * @param {string} nodeId - Node ID
+     */
+    togglePlayTestNode(nodeId) {
+        if (!this.playTest.toggleNode(nodeId)) {
+            this.showMessage(`${nodeId} is not available`, 'info');
+            return;
         }
+        this.playTest.renderPools();
+    }
+
+    /**
+     * Resolve the play-test contract and show the result
+     */
+    async runPlayTestResolution() {
+        try {
+            const { results } = await this.playTest.runResolution();
+            this.playTest.renderPanel();
+            this.showMessage(`Play-test reward: $${results.finalReward}`, 'success');
+        } catch (error) {
+            console.error('Play-test resolution failed:', error);
+            this.showMessage('Play-test resolution failed', 'error');
+        }
+    }
+
+    /**
+     * Swap the properties panel and the play-test panel, and lock editing controls while play-testing
+     */
+    updatePlayTestPanel() {
+        const active = this.playTest.active;
+
+        const playtestPanel = document.getElementById('playtestPanel');
+        const nodeEditor = document.getElementById('nodeEditor');
+        const noSelection = document.getElementById('noSelection');
+        const panelTitle = document.getElementById('propertiesPanelTitle');
+        if (playtestPanel) playtestPanel.style.display = active ? 'block' : 'none';
+        if (nodeEditor && active) nodeEditor.style.display = 'none';
+        if (noSelection) noSelection.style.display = active ? 'none' : 'block';
+        if (panelTitle) panelTitle.textContent = active ? 'Play-test' : 'Node Properties';
+
+        const toggleBtn = document.getElementById('playtestToggleBtn');
+        if (toggleBtn) {
+            toggleBtn.textContent = active ? 'Stop Play-test' : 'Play-test';
+            toggleBtn.classList.toggle('active', active);
+        }
+
+        ['newContractBtn', 'openContractBtn', 'createNodeBtn', 'buildConnectionsBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = active;
+        });
+        this.updateHistoryButtons();
     }
 
     /**
@@ -348,6 +665,8 @@ class EditorMain {
     createNodeAt(x, y) {
         const node = this.nodeManager.createNode(x, y);
         if (node) {
+            this.commandHistory.record(new CreateNodeCommand(this.nodeManager, node));
+
             // Select the newly created node
             this.nodeManager.selectNode(node.id);
             this.showMessage(`Created node ${node.id}`, 'success');
@@ -383,33 +702,91 @@ class EditorMain {
             id: document.getElementById('nodeId')?.value,
             description: document.getElementById('nodeDescription')?.value,
             effectDesc: document.getElementById('nodeEffectDesc')?.value,
-            effect1: document.getElementById('nodeEffect1')?.value,
-            effect2: document.getElementById('nodeEffect2')?.value,
             type: document.getElementById('nodeType')?.value,
             color: document.getElementById('nodeColor')?.value,
             gateCondition: document.getElementById('nodeGateCondition')?.value,
             connections: document.getElementById('nodeConnections')?.value
         };
 
-        // Apply updates
+        // Connections are stored as an array, so compare them as a list
+        const current = property => property === 'connections'
+            ? selectedNode.connections.join(',')
+            : selectedNode[property];
+        if (updates.connections !== undefined) {
+            updates.connections = updates.connections.split(',').map(s => s.trim()).filter(s => s).join(',');
+        }
+
+        // Apply updates (each through the undo history)
         Object.entries(updates).forEach(([property, value]) => {
-            if (value !== undefined && value !== selectedNode[property]) {
-                this.nodeManager.updateNodeProperty(selectedNode.id, property, value);
+            if (value !== undefined && value !== current(property)) {
+                this.commandHistory.execute(new UpdateNodePropertyCommand(this.nodeManager, selectedNode, property, value));
             }
         });
+
+        // Effects are compared by content since the inputs always produce a new array
+        const effects = this.readEffectInputs();
+        if (JSON.stringify(effects) !== JSON.stringify(selectedNode.effects || [])) {
+            this.commandHistory.execute(new UpdateNodePropertyCommand(this.nodeManager, selectedNode, 'effects', effects));
+        }
     }
 
     /**
-     * Delete the currently selected node
+     * Delete the currently selected nodes
      */
-    deleteSelectedNode() {
-        const selectedNode = this.nodeManager.getSelectedNode();
-        if (!selectedNode) return;
+    deleteSelectedNodes() {
+        const nodes = this.nodeManager.getSelectedNodes();
+        if (nodes.length === 0) return;
+
+        const label = nodes.length === 1 ? `node ${nodes[0].id}` : `${nodes.length} nodes`;
+        if (!confirm(`Delete ${label}?`)) return;
+
+        // Each deletion remembers the connections left by the ones before it
+        const deletions = nodes.map(node => {
+            const command = new DeleteNodeCommand(this.nodeManager, node);
+            command.execute();
+            return command;
+        });
+        this.commandHistory.record(deletions.length === 1 ? deletions[0] : new CompositeCommand(`delete ${label}`, deletions));
 
-        if (confirm(`Delete node ${selectedNode.id}?`)) {
-            this.nodeManager.deleteNode(selectedNode.id);
-            this.showMessage(`Deleted node ${selectedNode.id}`, 'success');
+        this.connectionManager.buildAllConnections();
+        this.showMessage(`Deleted ${label}`, 'success');
+    }
+
+    /**
+     * Copy the selected nodes to the editor clipboard
+     */
+    copySelection() {
+        const nodes = this.nodeManager.getSelectedNodes();
+        if (nodes.length === 0) {
+            this.showMessage('Select nodes to copy', 'info');
+            return;
+        }
+
+        this.clipboard = this.nodeManager.copyNodes(nodes);
+        this.pasteCount = 0;
+        this.showMessage(`Copied ${nodes.length} node${nodes.length === 1 ? '' : 's'}`, 'success');
+    }
+
+    /**
+     * Paste the clipboard as new nodes with new IDs, offset from the copied ones
+     */
+    pasteClipboard() {
+        if (!this.clipboard || this.clipboard.length === 0) {
+            this.showMessage('Nothing to paste', 'info');
+            return;
         }
+
+        // Repeated pastes step further away so copies don't stack on top of each other
+        this.pasteCount++;
+        const offset = this.canvas.gridSize * 2 * this.pasteCount;
+        const pasted = this.nodeManager.pasteNodes(this.clipboard, offset, offset);
+
+        const creations = pasted.map(node => new CreateNodeCommand(this.nodeManager, node));
+        this.commandHistory.record(new CompositeCommand(`paste ${pasted.length} nodes`, creations));
+
+        this.nodeManager.selectNodes(pasted);
+        this.connectionManager.buildAllConnections();
+        this.showMessage(`Pasted ${pasted.length} node${pasted.length === 1 ? '' : 's'}`, 'success');
     }
 
     /**
@@ -423,6 +800,8 @@ class EditorMain {
         }
 
         this.nodeManager.clearAllNodes();
+        this.fileManager.metadata = {};
+        this.commandHistory.clear();
         this.showMessage('New contract created', 'success');
     }
 
@@ -446,6 +825,8 @@ class EditorMain {
         try {
             const success = await this.fileManager.importContract(file);
             if (success) {
+                // Imported nodes replace everything the history refers to
+                this.commandHistory.clear();
                 // Auto-zoom to fit imported nodes
                 this.zoomToFit();
                 // Update UI state
@@ -463,10 +844,11 @@ class EditorMain {
 
     /**
      * Save the current contract
+     * @param {string} format - 'csv' or 'json'
      */
-    async saveContract() {
+    async saveContract(format = 'csv') {
         try {
-            const success = await this.fileManager.exportContract();
+            const success = await this.fileManager.exportContract(null, format);
             if (!success) {
                 console.error('Export failed through FileManager');
             }
@@ -522,8 +904,16 @@ class EditorMain {
             return;
         }
 
-        // Validate and remove invalid connections first
+        // Validate and remove invalid connections first (undoable)
+        const before = snapshotConnections(this.nodeManager);
         this.connectionManager.removeInvalidConnections();
+        const after = snapshotConnections(this.nodeManager);
+        const changed = [...before].some(([node, connections]) =>
+            connections.join(',') !== after.get(node).join(','));
+        if (changed) {
+            this.commandHistory.record(new ConnectionsChangeCommand(this.nodeManager, before, after,
+                'invalid connection removal'));
+        }
 
         // Build all connections from node data
         this.connectionManager.buildAllConnections();
@@ -549,6 +939,73 @@ class EditorMain {
         }
     }
 
+    /**
+     * Undo the last editor change
+     */
+    undo() {
+        const command = this.commandHistory.undo();
+        if (!command) {
+            this.showMessage('Nothing to undo', 'info');
+            return;
+        }
+        this.refreshAfterHistoryChange();
+        this.showMessage(`Undid ${command.label}`, 'success');
+    }
+
+    /**
+     * Redo the last undone editor change
+     */
+    redo() {
+        const command = this.commandHistory.redo();
+        if (!command) {
+            this.showMessage('Nothing to redo', 'info');
+            return;
+        }
+        this.refreshAfterHistoryChange();
+        this.showMessage(`Redid ${command.label}`, 'success');
+    }
+
+    /**
+     * Bring connection lines and the properties panel in line with the node data after undo/redo
+     */
+    refreshAfterHistoryChange() {
+        this.connectionManager.buildAllConnections();
+        this.nodeManager.refreshSelection();
+    }
+
+    /**
+     * Re-check the contract and refresh the badges and issues panel
+     */
+    runValidation() {
+        this.liveValidator.validate();
+        this.liveValidator.renderIssues(nodeId => this.focusNode(nodeId));
+    }
+
+    /**
+     * Select a node and center the view on it (issues panel click)
+     * @param {string} nodeId - Node ID
+     */
+    focusNode(nodeId) {
+        const node = this.nodeManager.getNodeById(nodeId);
+        if (!node) return;
+
+        if (!this.playTest.active) {
+            this.nodeManager.selectNode(nodeId);
+        }
+        this.canvas.centerOn(node.x + node.width / 2, node.y + node.height / 2);
+    }
+
+    /**
+     * Enable or disable the undo/redo buttons
+     */
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        const locked = this.playTest && this.playTest.active;
+        if (undoBtn) undoBtn.disabled = locked || !this.commandHistory.canUndo();
+        if (redoBtn) redoBtn.disabled = locked || !this.commandHistory.canRedo();
+    }
+
     /**
      * Update toolbar state
      */
@@ -564,6 +1021,8 @@ class EditorMain {
         if (snapBtn) {
             snapBtn.textContent = this.canvas?.snapToGrid ? 'Snap: ON' : 'Snap: OFF';
         }
+
+        this.updateHistoryButtons();
     }
 
     /**
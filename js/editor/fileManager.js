@@ -10,6 +10,7 @@ class FileManager {
 
         // File validation configuration
         this.requiredColumns = ['Node ID', 'Description', 'X', 'Y', 'Connections'];
+        // 'Effect 3', 'Effect 4', ... are also accepted (see EffectExpression.EFFECT_COLUMN_PATTERN)
         this.optionalColumns = ['Effect Desc', 'Effect 1', 'Effect 2', 'Type', 'Color', 'Width', 'Height', 'GateCondition'];
         this.allValidColumns = [...this.requiredColumns, ...this.optionalColumns];
 
@@ -23,15 +24,19 @@ class FileManager {
             json: { extension: 'json', mimeType: 'application/json' }
         };
 
+        // Contract metadata (name, briefing, ...) from the last import, written back on export
+        this.metadata = {};
+
         console.log('FileManager initialized with enhanced validation');
     }
 
     /**
-     * Export contract to CSV format with comprehensive data validation
+     * Export contract to CSV or JSON format with comprehensive data validation
      * @param {string} filename - Optional filename (will generate if not provided)
+     * @param {string} format - 'csv' or 'json'
      * @returns {Promise<boolean>} Success status
      */
-    async exportContract(filename = null) {
+    async exportContract(filename = null, format = 'csv') {
         try {
             const nodes = this.nodeManager.getAllNodes();
 
@@ -47,14 +52,14 @@ class FileManager {
                 return false;
             }
 
-            // Generate CSV content
-            const csvContent = this.generateCSVContent(nodes);
+            // Generate file content
+            const content = format === 'json' ? this.generateJSONContent(nodes) : this.generateCSVContent(nodes);
 
             // Generate filename if not provided
-            const exportFilename = filename || this.generateFilename();
+            const exportFilename = filename || this.generateFilename(format);
 
             // Download the file
-            const success = this.downloadFile(csvContent, exportFilename, this.exportFormats.csv.mimeType);
+            const success = this.downloadFile(content, exportFilename, this.exportFormats[format].mimeType);
 
             if (success) {
                 this.showExportSuccess(exportFilename);
@@ -75,11 +80,34 @@ class FileManager {
     /**
      * Generate CSV content from node data with proper formatting
      * @param {Array} nodes - Array of node objects to export
-     * @returns {string} CSV content
+     * @returns {string} CSV content (metadata lines, then the rows)
      */
     generateCSVContent(nodes) {
-        // Prepare data for CSV export
-        const csvData = nodes.map(node => {
+        return ContractFormat.toCSV(this.convertToRows(nodes), this.metadata);
+    }
+
+    /**
+     * Generate JSON contract content from node data
+     * @param {Array} nodes - Array of node objects to export
+     * @returns {string} JSON content
+     * @throws {Error} If an effect or gate condition cannot be converted
+     */
+    generateJSONContent(nodes) {
+        return ContractFormat.stringify(ContractFormat.rowsToContract(this.convertToRows(nodes), this.metadata));
+    }
+
+    /**
+     * Convert node objects to CSV rows
+     * @param {Array} nodes - Array of node objects to export
+     * @returns {Array} Rows keyed by CSV column
+     */
+    convertToRows(nodes) {
+        // Every row needs the same columns: emit as many "Effect N" columns as the
+        // longest effect list (at least two, matching the original format)
+        const nodeEffects = nodes.map(node => (node.effects || []).filter(effect => effect && effect.trim() !== ''));
+        const effectColumnCount = Math.max(2, ...nodeEffects.map(effects => effects.length));
+
+        return nodes.map((node, index) => {
             // Build connections string from array
             const connectionsStr = Array.isArray(node.connections)
                 ? node.connections.join(',')
@@ -89,8 +117,7 @@ class FileManager {
                 'Node ID': node.id || '',
                 'Description': node.description || '',
                 'Effect Desc': node.effectDesc || '',
-                'Effect 1': node.effect1 || '',
-                'Effect 2': node.effect2 || '',
+                ...EffectExpression.toEffectColumns(nodeEffects[index], effectColumnCount),
                 'Type': node.type || 'Normal',
                 'Color': node.color || 'Grey',
                 'X': this.formatCoordinate(node.x),
@@ -101,16 +128,6 @@ class FileManager {
                 'Connections': connectionsStr
             };
         });
-
-        // Use Papa Parse to generate well-formatted CSV
-        return Papa.unparse(csvData, {
-            quotes: true,
-            quoteChar: '"',
-            escapeChar: '"',
-            delimiter: ',',
-            header: true,
-            newline: '\r\n'
-        });
     }
 
     /**
@@ -127,15 +144,17 @@ class FileManager {
 
             // Validate file type
             if (!this.isValidFileType(file)) {
-                this.showImportError('Invalid file type. Please select a CSV file.');
+                this.showImportError('Invalid file type. Please select a CSV or JSON file.');
                 return false;
             }
 
             // Read file content
-            const csvContent = await this.readFileContent(file);
+            const fileContent = await this.readFileContent(file);
 
-            // Parse and validate CSV content
-            const parseResult = await this.parseCSVContent(csvContent);
+            // Parse and validate CSV or JSON content
+            const parseResult = this.isJSONFile(file)
+                ? this.parseJSONContent(fileContent)
+                : await this.parseCSVContent(fileContent);
             if (!parseResult.success) {
                 this.showImportError(`Import failed: ${parseResult.error}`);
                 return false;
@@ -161,6 +180,7 @@ class FileManager {
 
             // Import the nodes
             this.nodeManager.setAllNodes(nodes);
+            this.metadata = parseResult.metadata;
 
             // Build connections automatically
             if (this.connectionManager) {
@@ -195,7 +215,17 @@ class FileManager {
     async parseCSVContent(csvContent) {
         return new Promise((resolve) => {
             try {
-                Papa.parse(csvContent, {
+                const { metadata, csvText } = ContractFormat.splitCSVMetadata(csvContent);
+                const metadataErrors = ContractFormat.validateMetadata(metadata);
+                if (metadataErrors.length > 0) {
+                    resolve({
+                        success: false,
+                        error: `Invalid contract metadata: ${metadataErrors.join('; ')}`
+                    });
+                    return;
+                }
+
+                Papa.parse(csvText, {
                     header: true,
                     skipEmptyLines: true,
                     transformHeader: (header) => header.trim(),
@@ -223,6 +253,7 @@ class FileManager {
                         resolve({
                             success: true,
                             data: results.data,
+                            metadata: metadata,
                             errors: results.errors
                         });
                     },
@@ -242,6 +273,28 @@ class FileManager {
         });
     }
 
+    /**
+     * Parse JSON contract content into the same rows a CSV import produces
+     * @param {string} jsonContent - Raw JSON content
+     * @returns {Object} Parse result with success status and data/metadata/error
+     */
+    parseJSONContent(jsonContent) {
+        try {
+            const contract = ContractFormat.parseJSON(jsonContent);
+            return {
+                success: true,
+                data: ContractFormat.contractToRows(contract),
+                metadata: { ...(contract.metadata || {}) },
+                errors: []
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Validate imported data structure and content
      * @param {Array} data - Parsed CSV data
@@ -314,7 +367,8 @@ class FileManager {
         }
 
         // Check for unknown columns (warning, not error)
-        const unknownColumns = headers.filter(header => !this.allValidColumns.includes(header));
+        const unknownColumns = headers.filter(header =>
+            !this.allValidColumns.includes(header) && !EffectExpression.EFFECT_COLUMN_PATTERN.test(header));
         if (unknownColumns.length > 0) {
             console.warn(`Unknown columns found (will be ignored): ${unknownColumns.join(', ')}`);
         }
@@ -363,8 +417,7 @@ class FileManager {
                 id: row['Node ID'] || '',
                 description: row['Description'] || '',
                 effectDesc: row['Effect Desc'] || '',
-                effect1: row['Effect 1'] || '',
-                effect2: row['Effect 2'] || '',
+                effects: EffectExpression.getRowEffects(row),
                 type: row['Type'] || 'Normal',
                 color: row['Color'] || 'Grey',
                 x: parseFloat(row['X']) || 0,
@@ -492,8 +545,8 @@ class FileManager {
      * @returns {boolean} True if valid file type
      */
     isValidFileType(file) {
-        const validExtensions = ['.csv'];
-        const validMimeTypes = ['text/csv', 'application/csv', 'text/plain'];
+        const validExtensions = ['.csv', '.json'];
+        const validMimeTypes = ['text/csv', 'application/csv', 'text/plain', 'application/json'];
 
         const fileName = file.name.toLowerCase();
         const hasValidExtension = validExtensions.some(ext => fileName.endsWith(ext));
@@ -502,13 +555,23 @@ class FileManager {
         return hasValidExtension || hasValidMimeType;
     }
 
+    /**
+     * Check if a file should be read as a JSON contract
+     * @param {File} file - File to check
+     * @returns {boolean} True for .json files
+     */
+    isJSONFile(file) {
+        return file.name.toLowerCase().endsWith('.json') || file.type === 'application/json';
+    }
+
     /**
      * Generate filename for export
+     * @param {string} format - 'csv' or 'json'
      * @returns {string} Generated filename
      */
-    generateFilename() {
+    generateFilename(format = 'csv') {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-        return `contract-${timestamp}.csv`;
+        return `contract-${timestamp}.${this.exportFormats[format].extension}`;
     }
 
     /**
@@ -0,0 +1,147 @@
+/**
+ * Johnson Contract Editor - Live Validation
+ * Re-checks the contract after every edit so problems show up on the canvas
+ * instead of only on import/export
+ *
+ * Errors are things the game or export will reject (bad effects, bad gate conditions,
+ * dangling connections, duplicate IDs). Warnings are contracts that load but don't play
+ * as intended (unreachable nodes, gates that can never open, cycles, orphans, ignored
+ * fields); the structural ones come from analyzeContract() in js/contractAnalyzer.js.
+ */
+
+class LiveValidator {
+    constructor(nodeManager) {
+        this.nodeManager = nodeManager;
+        this.issues = [];   // { nodeId, severity: 'error' | 'warning', message }
+
+        console.log('LiveValidator initialized');
+    }
+
+    /**
+     * Check every node and hand the result to NodeManager for the canvas badges
+     * @returns {Array} Issues, errors first
+     */
+    validate() {
+        const nodes = this.nodeManager.getAllNodes();
+        const idCounts = new Map();
+        nodes.forEach(node => idCounts.set(node.id, (idCounts.get(node.id) || 0) + 1));
+
+        const issues = [];
+        nodes.forEach(node => issues.push(...this.checkNode(node, idCounts)));
+        issues.push(...this.checkReachability(nodes));
+
+        this.issues = [
+            ...issues.filter(issue => issue.severity === 'error'),
+            ...issues.filter(issue => issue.severity === 'warning')
+        ];
+        this.nodeManager.setValidationIssues(this.issues);
+        return this.issues;
+    }
+
+    /**
+     * Field-level checks for one node, using the same rules as import/export
+     * @param {Object} node - Editor node
+     * @param {Map} idCounts - Node ID → number of nodes using it
+     * @returns {Array} Issues for this node
+     */
+    checkNode(node, idCounts) {
+        const issues = [];
+        const error = message => issues.push({ nodeId: node.id, severity: 'error', message });
+        const warning = message => issues.push({ nodeId: node.id, severity: 'warning', message });
+
+        if (!node.id || !/^[a-zA-Z0-9_-]+$/.test(node.id)) {
+            error(`Invalid node ID '${node.id || ''}'. Must contain only letters, numbers, underscores, and hyphens`);
+        } else if (idCounts.get(node.id) > 1) {
+            error(`Duplicate node ID '${node.id}'`);
+        }
+
+        const effects = (node.effects || []).filter(effect => effect && effect.trim() !== '');
+        if (node.type === 'Gate') {
+            const gateValidation = ValidationUtils.validateGateCondition(node.gateCondition, { nodeId: node.id });
+            if (!gateValidation.valid) {
+                gateValidation.errors.forEach(message => error(message));
+            }
+            if (effects.length > 0) {
+                warning('Gate node has effects defined but they will be ignored');
+            }
+        } else {
+            (node.effects || []).forEach((effect, index) => {
+                if (!effect || effect.trim() === '') return;
+                ValidationUtils.validateEffectString(effect, { columnName: `Effect ${index + 1}` })
+                    .errors.forEach(message => error(message));
+            });
+            if (node.gateCondition && node.gateCondition.trim() !== '') {
+                warning('Non-gate node has a gate condition defined but it will be ignored');
+            }
+        }
+
+        (node.connections || []).forEach(targetId => {
+            if (targetId === node.id) {
+                error('Connection to itself');
+            } else if (!idCounts.has(targetId)) {
+                error(`Connection reference '${targetId}' not found in node IDs`);
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Structural warnings from the contract analyzer: unreachable nodes, gates that can never
+     * open, cycles and orphans
+     * @param {Array} nodes - Editor nodes
+     * @returns {Array} Warning issues
+     */
+    checkReachability(nodes) {
+        const contractNodes = nodes.map(node => ({
+            id: node.id,
+            type: node.type,
+            gateCondition: node.gateCondition || '',
+            connections: [...(node.connections || [])],
+            effects: []     // Pools don't matter for reachability
+        }));
+
+        return analyzeContract(contractNodes).issues;
+    }
+
+    /**
+     * Number of errors and warnings
+     * @returns {Object} { errors, warnings }
+     */
+    getIssueCounts() {
+        return {
+            errors: this.issues.filter(issue => issue.severity === 'error').length,
+            warnings: this.issues.filter(issue => issue.severity === 'warning').length
+        };
+    }
+
+    /**
+     * List every issue in the issues panel; clicking one calls onFocus with its node ID
+     * @param {Function} onFocus - Called with the node ID of the clicked issue
+     */
+    renderIssues(onFocus) {
+        const summary = document.getElementById('issuesSummary');
+        const list = document.getElementById('issuesList');
+        const { errors, warnings } = this.getIssueCounts();
+
+        if (summary) {
+            summary.textContent = errors + warnings === 0
+                ? 'No issues'
+                : `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`;
+        }
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `issue-item issue-${issue.severity}`;
+            item.title = 'Click to show the node';
+            item.textContent = `${issue.nodeId}: ${issue.message}`;
+            item.addEventListener('click', () => onFocus(issue.nodeId));
+            list.appendChild(item);
+        });
+    }
+}
+
+// Export for use in other modules
+window.LiveValidator = LiveValidator;
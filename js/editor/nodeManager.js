@@ -7,9 +7,11 @@ class NodeManager {
     constructor(canvas) {
         this.canvas = canvas;
         this.nodes = [];
-        this.selectedNode = null;
+        this.selectedNode = null;   // Set only while exactly one node is selected
+        this.selectedNodes = [];
         this.nextNodeId = 1;
         this.connectionManager = null; // Will be set by editorMain
+        this.validationIssues = new Map(); // Node ID → live validation issues (set by LiveValidator)
 
         // Node appearance settings
         this.minWidth = 80;
@@ -27,6 +29,12 @@ class NodeManager {
             Grey: "#757575"
         };
 
+        // Validation badge colors (match --error-color / --warning-color)
+        this.badgeColors = {
+            error: '#e74c3c',
+            warning: '#f39c12'
+        };
+
         // Currently selected color for new nodes
         this.selectedColor = 'Red';
 
@@ -57,8 +65,7 @@ class NodeManager {
             id: `NODE${String(this.nextNodeId).padStart(3, '0')}`,
             description: "New Node",
             effectDesc: "Node effect description",
-            effect1: "",
-            effect2: "",
+            effects: [], // Ordered effect strings (any number)
             type: "Normal",
             color: this.selectedColor,
             x: coords.x,
@@ -106,9 +113,11 @@ class NodeManager {
         // Remove the node
         this.nodes.splice(index, 1);
 
-        // Clear selection if this node was selected
-        if (this.selectedNode && this.selectedNode.id === nodeId) {
-            this.clearSelection();
+        // Drop the node from the selection
+        if (this.selectedNodes.includes(node)) {
+            node.selected = false;
+            this.selectedNodes = this.selectedNodes.filter(selected => selected !== node);
+            this.updateSelectionDisplay();
         }
 
         console.log('Deleted node:', nodeId);
@@ -120,6 +129,25 @@ class NodeManager {
         return true;
     }
 
+    /**
+     * Put an existing node object back into the contract (undo/redo)
+     * @param {Object} node - Node object (keeps its ID)
+     * @param {number} index - Position in the node list (drawing order)
+     */
+    insertNode(node, index = this.nodes.length) {
+        if (this.nodes.includes(node)) return false;
+
+        node.selected = false;
+        this.nodes.splice(Math.min(index, this.nodes.length), 0, node);
+
+        const idNum = parseInt(node.id.replace(/\D/g, ''));
+        if (idNum >= this.nextNodeId) this.nextNodeId = idNum + 1;
+
+        this.updateNodeCount();
+        this.canvas.render();
+        return true;
+    }
+
     /**
      * Select a node by ID
      */
@@ -131,33 +159,184 @@ class NodeManager {
         if (!node) return false;
 
         node.selected = true;
-        this.selectedNode = node;
+        this.selectedNodes = [node];
 
         console.log('Selected node:', nodeId);
 
-        // Update properties panel
-        this.updatePropertiesPanel(node);
-
-        // Trigger re-render
-        this.canvas.render();
+        // Update properties panel and re-render
+        this.updateSelectionDisplay();
 
         return true;
     }
 
+    /**
+     * Add a node to the selection, or remove it if already selected (shift-click)
+     * @param {string} nodeId - Node ID
+     * @returns {boolean} True if the node is selected afterwards
+     */
+    toggleNodeSelection(nodeId) {
+        const node = this.nodes.find(n => n.id === nodeId);
+        if (!node) return false;
+
+        node.selected = !node.selected;
+        this.selectedNodes = node.selected
+            ? [...this.selectedNodes, node]
+            : this.selectedNodes.filter(selected => selected !== node);
+
+        this.updateSelectionDisplay();
+        return node.selected;
+    }
+
+    /**
+     * Select several nodes at once
+     * @param {Array} nodes - Node objects
+     * @param {boolean} additive - Keep the current selection (shift held)
+     */
+    selectNodes(nodes, additive = false) {
+        if (!additive) {
+            this.selectedNodes.forEach(node => { node.selected = false; });
+            this.selectedNodes = [];
+        }
+
+        nodes.forEach(node => {
+            if (!node.selected) {
+                node.selected = true;
+                this.selectedNodes.push(node);
+            }
+        });
+
+        this.updateSelectionDisplay();
+    }
+
+    /**
+     * Select every node
+     */
+    selectAllNodes() {
+        this.selectNodes(this.nodes);
+    }
+
     /**
      * Clear node selection
      */
     clearSelection() {
+        this.selectedNodes.forEach(node => { node.selected = false; });
+        this.selectedNodes = [];
+
+        // Hide properties panel and re-render
+        this.updateSelectionDisplay();
+    }
+
+    /**
+     * Drop nodes that are no longer in the contract from the selection (after undo/redo)
+     * and refresh the properties panel
+     */
+    refreshSelection() {
+        this.selectedNodes = this.selectedNodes.filter(node => this.nodes.includes(node));
+        this.updateSelectionDisplay();
+    }
+
+    /**
+     * Show the properties panel for a single selected node, or a summary for several
+     */
+    updateSelectionDisplay() {
+        this.selectedNode = this.selectedNodes.length === 1 ? this.selectedNodes[0] : null;
+
         if (this.selectedNode) {
-            this.selectedNode.selected = false;
-            this.selectedNode = null;
+            this.updatePropertiesPanel(this.selectedNode);
+        } else {
+            this.hidePropertiesPanel();
         }
 
-        // Hide properties panel
-        this.hidePropertiesPanel();
+        this.canvas.render();
+    }
+
+    /**
+     * Get all selected nodes
+     */
+    getSelectedNodes() {
+        return [...this.selectedNodes];
+    }
+
+    /**
+     * Get nodes that overlap a rectangle (box selection)
+     * @param {Object} rect - {left, top, right, bottom} in canvas coordinates
+     * @returns {Array} Node objects
+     */
+    getNodesInRect(rect) {
+        return this.nodes.filter(node =>
+            node.x < rect.right && node.x + node.width > rect.left &&
+            node.y < rect.bottom && node.y + node.height > rect.top);
+    }
+
+    /**
+     * Copy nodes for the clipboard (detached from the live nodes)
+     * @param {Array} nodes - Node objects
+     * @returns {Array} Plain node copies
+     */
+    copyNodes(nodes) {
+        return nodes.map(node => ({
+            ...node,
+            effects: [...(node.effects || [])],
+            connections: [...(node.connections || [])],
+            selected: false
+        }));
+    }
+
+    /**
+     * Add copies of clipboard nodes with new IDs
+     * Connections between copied nodes are remapped to the new IDs; connections
+     * to nodes outside the copy are dropped. Node: gate conditions are remapped the
+     * same way, but keep IDs outside the copy (dropping them would change the threshold)
+     * @param {Array} clipboard - Nodes from copyNodes()
+     * @param {number} offsetX - Horizontal offset from the original positions
+     * @param {number} offsetY - Vertical offset from the original positions
+     * @returns {Array} New node objects
+     */
+    pasteNodes(clipboard, offsetX, offsetY) {
+        const idMap = new Map();
+        clipboard.forEach(source => {
+            idMap.set(source.id, `NODE${String(this.nextNodeId).padStart(3, '0')}`);
+            this.nextNodeId++;
+        });
+
+        const pasted = clipboard.map(source => {
+            const coords = this.canvas.snapToGridCoords(source.x + offsetX, source.y + offsetY);
+            return {
+                ...source,
+                id: idMap.get(source.id),
+                effects: [...source.effects],
+                connections: source.connections.filter(id => idMap.has(id)).map(id => idMap.get(id)),
+                gateCondition: this.remapGateCondition(source.gateCondition, idMap),
+                x: coords.x,
+                y: coords.y,
+                selected: false
+            };
+        });
+
+        this.nodes.push(...pasted);
+        console.log('Pasted nodes:', pasted.map(node => node.id).join(', '));
 
-        // Trigger re-render
+        this.updateNodeCount();
         this.canvas.render();
+        return pasted;
+    }
+
+    /**
+     * Replace node IDs in a "Node:ID,ID;Threshold" gate condition
+     * @param {string} gateCondition - Gate condition (other condition types are returned as-is)
+     * @param {Map} idMap - Old node ID → new node ID
+     * @returns {string} Remapped gate condition
+     */
+    remapGateCondition(gateCondition, idMap) {
+        if (!gateCondition || !gateCondition.startsWith('Node:')) {
+            return gateCondition;
+        }
+
+        const [conditionPart, ...rest] = gateCondition.split(';');
+        const nodeIds = conditionPart.substring('Node:'.length).split(',')
+            .map(id => id.trim())
+            .map(id => idMap.get(id) || id);
+        return [`Node:${nodeIds.join(',')}`, ...rest].join(';');
     }
 
     /**
@@ -243,9 +422,60 @@ class NodeManager {
             this.drawRegularNode(node, ctx, color);
         }
 
+        this.drawValidationBadge(node, ctx);
+
         ctx.restore();
     }
 
+    /**
+     * Store live validation issues by node for the canvas badges
+     * @param {Array} issues - { nodeId, severity, message } from LiveValidator
+     */
+    setValidationIssues(issues) {
+        this.validationIssues = new Map();
+        issues.forEach(issue => {
+            if (!this.validationIssues.has(issue.nodeId)) {
+                this.validationIssues.set(issue.nodeId, []);
+            }
+            this.validationIssues.get(issue.nodeId).push(issue);
+        });
+        this.canvas.render();
+    }
+
+    /**
+     * Most severe live validation issue of a node
+     * @param {string} nodeId - Node ID
+     * @returns {string|null} 'error', 'warning' or null
+     */
+    getNodeIssueSeverity(nodeId) {
+        const issues = this.validationIssues.get(nodeId);
+        if (!issues || issues.length === 0) return null;
+        return issues.some(issue => issue.severity === 'error') ? 'error' : 'warning';
+    }
+
+    /**
+     * Draw a "!" badge on the top-left corner of nodes with validation issues
+     */
+    drawValidationBadge(node, ctx) {
+        const severity = this.getNodeIssueSeverity(node.id);
+        if (!severity) return;
+
+        const radius = 8;
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = this.badgeColors[severity];
+        ctx.fill();
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        ctx.font = 'bold 11px "Segoe UI", sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText('!', node.x, node.y + 1);
+    }
+
     /**
      * Draw gate node with rounded rectangle
      */
@@ -568,8 +798,6 @@ class NodeManager {
             nodeId: document.getElementById('nodeId'),
             nodeDescription: document.getElementById('nodeDescription'),
             nodeEffectDesc: document.getElementById('nodeEffectDesc'),
-            nodeEffect1: document.getElementById('nodeEffect1'),
-            nodeEffect2: document.getElementById('nodeEffect2'),
             nodeType: document.getElementById('nodeType'),
             nodeColor: document.getElementById('nodeColor'),
             nodeGateCondition: document.getElementById('nodeGateCondition'),
@@ -582,8 +810,7 @@ class NodeManager {
         if (elements.nodeId) elements.nodeId.value = node.id;
         if (elements.nodeDescription) elements.nodeDescription.value = node.description || '';
         if (elements.nodeEffectDesc) elements.nodeEffectDesc.value = node.effectDesc || '';
-        if (elements.nodeEffect1) elements.nodeEffect1.value = node.effect1 || '';
-        if (elements.nodeEffect2) elements.nodeEffect2.value = node.effect2 || '';
+        this.renderEffectsList(node.effects || []);
         if (elements.nodeType) elements.nodeType.value = node.type;
         if (elements.nodeColor) elements.nodeColor.value = node.color;
         if (elements.nodeGateCondition) elements.nodeGateCondition.value = node.gateCondition || '';
@@ -594,13 +821,11 @@ class NodeManager {
         // Toggle field visibility based on node type
         const isGate = node.type === 'Gate';
         const descGroup = document.getElementById('descriptionGroup');
-        const effect1Group = document.getElementById('effect1Group');
-        const effect2Group = document.getElementById('effect2Group');
+        const effectsGroup = document.getElementById('effectsGroup');
         const gateConditionGroup = document.getElementById('gateConditionGroup');
 
         if (descGroup) descGroup.style.display = isGate ? 'none' : 'block';
-        if (effect1Group) effect1Group.style.display = isGate ? 'none' : 'block';
-        if (effect2Group) effect2Group.style.display = isGate ? 'none' : 'block';
+        if (effectsGroup) effectsGroup.style.display = isGate ? 'none' : 'block';
         if (gateConditionGroup) gateConditionGroup.style.display = isGate ? 'block' : 'none';
 
         // Show the editor panel
@@ -610,6 +835,39 @@ class NodeManager {
         if (noSelection) noSelection.style.display = 'none';
     }
 
+    /**
+     * Render one input row per effect in the properties panel (NEW)
+     * @param {Array<string>} effects - Node's effect strings in order
+     */
+    renderEffectsList(effects) {
+        const list = document.getElementById('nodeEffectsList');
+        if (!list) return;
+
+        list.innerHTML = '';
+        effects.forEach((effect, index) => {
+            const row = document.createElement('div');
+            row.className = 'effect-row';
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'effect-input';
+            input.dataset.index = index;
+            input.value = effect || '';
+            input.placeholder = `Effect ${index + 1}, e.g. +2 Damage or None;+;2;Damage`;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'effect-remove-btn';
+            removeBtn.dataset.index = index;
+            removeBtn.title = `Remove effect ${index + 1}`;
+            removeBtn.textContent = '×';
+
+            row.appendChild(input);
+            row.appendChild(removeBtn);
+            list.appendChild(row);
+        });
+    }
+
     /**
      * Hide properties panel
      */
@@ -618,6 +876,14 @@ class NodeManager {
         const noSelection = document.getElementById('noSelection');
         if (nodeEditor) nodeEditor.style.display = 'none';
         if (noSelection) noSelection.style.display = 'block';
+
+        // Several selected nodes are edited as a group (move, copy, delete)
+        const hint = document.getElementById('noSelectionHint');
+        if (hint) {
+            hint.textContent = this.selectedNodes.length > 1
+                ? `${this.selectedNodes.length} nodes selected. Drag to move them together, Ctrl+C / Ctrl+V to duplicate, Delete to remove.`
+                : 'Click on a node to edit its properties, or click on the canvas to create a new node.';
+        }
     }
 
     /**
@@ -0,0 +1,388 @@
+/**
+ * Johnson Contract Editor - Play-test Mode
+ * Runs the editor's current nodes through the game's GameState with a mock runner roster,
+ * so a contract can be clicked through and resolved without exporting it
+ */
+
+class PlayTestManager {
+    constructor(nodeManager, canvas, fileManager = null) {
+        this.nodeManager = nodeManager;
+        this.canvas = canvas;
+        this.fileManager = fileManager;    // Source of the contract metadata (base reward, damage table, ...)
+        this.active = false;
+        this.gameState = null;
+        this.selection = [];        // Selected node IDs in selection order
+        this.lastResults = null;    // Results of the last simulated resolution
+        this.rng = new SeededRandom();
+
+        // Mock roster (one runner per slot, like the game; null is an empty slot). The slot count
+        // follows the balancing runnerSlotCount, or the contract's maxHiredRunners once built
+        const balancingConfig = typeof BALANCING_DATA !== 'undefined' ? BALANCING_DATA : getDefaultBalancingConfig();
+        this.maxRunners = balancingConfig.runnerSlotCount || 3;
+        this.runnerTypes = ['Face', 'Muscle', 'Hacker', 'Ninja'];
+        this.roster = this.runnerTypes.slice(0, this.maxRunners).map((type, index) => this.createMockRunner(index, type));
+
+        // Overlay colors
+        this.selectedColor = '#FFDF20';
+        this.unavailableShade = 'rgba(0, 0, 0, 0.6)';
+
+        // Draw the play-test state on top of the nodes
+        window.addEventListener('canvasRendered', () => {
+            if (this.active) this.drawOverlay();
+        });
+
+        console.log('PlayTestManager initialized');
+    }
+
+    /**
+     * Create a mock runner with 4 points in its own stat and 1 in the others
+     * @param {number} index - Roster slot
+     * @param {string} runnerType - Face, Muscle, Hacker or Ninja
+     * @returns {Object} Runner in the game's runner format
+     */
+    createMockRunner(index, runnerType) {
+        const stats = { face: 1, muscle: 1, hacker: 1, ninja: 1 };
+        stats[runnerType.toLowerCase()] = 4;
+
+        return {
+            id: `PLAYTEST_RUNNER_${index + 1}`,
+            name: `${runnerType} ${index + 1}`,
+            level: 1,
+            runnerType: runnerType,
+            stats: stats,
+            traits: [],
+            runnerState: 'Ready',
+            hiringState: 'Hired',
+            timesHired: 0,
+            contractsCompleted: 0,
+            lastHiredTimestamp: 0,
+            generatedTimestamp: 0
+        };
+    }
+
+    /**
+     * Start play-testing the current nodes
+     * @returns {boolean} False if there is nothing to play-test
+     */
+    start() {
+        if (this.nodeManager.getAllNodes().length === 0) {
+            return false;
+        }
+
+        this.active = true;
+        this.selection = [];
+        this.lastResults = null;
+        this.rebuild();
+        return true;
+    }
+
+    /**
+     * Leave play-test mode
+     */
+    stop() {
+        this.active = false;
+        this.gameState = null;
+        this.selection = [];
+        this.lastResults = null;
+        this.canvas.render();
+    }
+
+    /**
+     * Editor nodes in the shape GameState.setContractData() accepts
+     * @returns {Array} Contract nodes
+     */
+    getContractNodes() {
+        return this.nodeManager.getAllNodes().map(node => ({
+            id: node.id,
+            description: node.description,
+            effectDescription: node.effectDesc,
+            effects: [...(node.effects || [])],
+            type: node.type,
+            color: node.color,
+            gateCondition: node.gateCondition || '',
+            connections: [...(node.connections || [])],
+            x: node.x,
+            y: node.y
+        }));
+    }
+
+    /**
+     * Build a fresh GameState from the current nodes and roster, then replay the selection
+     * Selections that are no longer reachable (e.g. after deselecting their parent) are dropped
+     */
+    rebuild() {
+        const balancingConfig = typeof BALANCING_DATA !== 'undefined' ? BALANCING_DATA : getDefaultBalancingConfig();
+
+        const gameState = new GameState(this.rng);
+        gameState.quiet = true;
+        gameState.setBalancingConfig({ ...balancingConfig, damageRollDelay: 0 });
+        gameState.setDamageTable(typeof DAMAGE_TABLE !== 'undefined' ? DAMAGE_TABLE : []);
+        if (typeof RUNNER_TRAITS !== 'undefined') gameState.setRunnerTraits(RUNNER_TRAITS);
+        if (typeof HEAT_TIERS !== 'undefined') gameState.setHeatTiers(HEAT_TIERS);
+
+        gameState.setContractData(this.getContractNodes(), {
+            name: 'Play-test',
+            metadata: this.fileManager ? this.fileManager.metadata : {}
+        });
+
+        // Runners are copied so a resolution's injuries and level-ups don't stick; empty slots are
+        // skipped, and runners past the contract's slot count are kept for later but not hired
+        this.maxRunners = gameState.getMaxHiredRunners();
+        gameState.hiredRunners = this.roster.slice(0, this.maxRunners).filter(Boolean)
+            .map(runner => JSON.parse(JSON.stringify(runner)));
+        gameState.updateAvailableNodes();
+        gameState.calculateCurrentPools();
+
+        this.selection = this.selection.filter(nodeId => gameState.selectNode(nodeId));
+        this.gameState = gameState;
+        this.canvas.render();
+    }
+
+    /**
+     * Select a node, or deselect it (and anything that depended on it)
+     * @param {string} nodeId - Node ID
+     * @returns {boolean} True if the selection changed
+     */
+    toggleNode(nodeId) {
+        if (!this.gameState) return false;
+
+        if (this.selection.includes(nodeId)) {
+            this.selection = this.selection.filter(id => id !== nodeId);
+            this.rebuild();
+            return true;
+        }
+
+        if (this.gameState.selectNode(nodeId)) {
+            this.selection.push(nodeId);
+            this.canvas.render();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Clear the selection and the last result
+     */
+    resetSelection() {
+        this.selection = [];
+        this.lastResults = null;
+        this.rebuild();
+    }
+
+    /**
+     * Change a mock runner
+     * @param {number} index - Roster slot
+     * @param {string} field - 'runnerType' or a stat name (face, muscle, hacker, ninja)
+     * @param {string|number} value - New value ('' as runnerType empties the slot)
+     */
+    setRunnerField(index, field, value) {
+        if (field === 'runnerType') {
+            if (!value) {
+                this.roster[index] = null;
+            } else if (!this.roster[index]) {
+                this.roster[index] = this.createMockRunner(index, value);
+            } else {
+                this.roster[index].runnerType = value;
+                this.roster[index].name = `${value} ${index + 1}`;
+            }
+        } else if (this.roster[index]) {
+            this.roster[index].stats[field] = Math.max(0, parseInt(value) || 0);
+        }
+
+        this.rosterChanged();
+    }
+
+    /**
+     * Replace the roster with generated runners
+     */
+    randomizeRoster() {
+        const balancingConfig = typeof BALANCING_DATA !== 'undefined' ? BALANCING_DATA : getDefaultBalancingConfig();
+        const traits = typeof RUNNER_TRAITS !== 'undefined' ? RUNNER_TRAITS : [];
+
+        this.roster = generateRunnerBatch(this.maxRunners, RUNNER_NAME_TABLE, balancingConfig, this.rng, 0, traits)
+            .map(runner => ({ ...runner, hiringState: 'Hired' }));
+        this.rosterChanged();
+    }
+
+    /**
+     * Runner stats change gates and runner conditions, so the state is rebuilt
+     */
+    rosterChanged() {
+        if (this.active) this.rebuild();
+    }
+
+    /**
+     * Current pools with the prevention the game will apply
+     * damageRolls includes the heat tier's extra rolls (heatDamageRolls), as in executeContractResolution();
+     * expectedAddedRisk is what the damage table's Add Risk rolls are expected to add on top of riskApplied
+     * @returns {Object|null} {pools, damagePrevented, riskPrevented, damageRolls, heatDamageRolls, riskApplied,
+     *   expectedAddedRisk, baseReward}
+     */
+    getPoolSummary() {
+        if (!this.gameState) return null;
+
+        const pools = { ...this.gameState.currentPools };
+        const damagePrevented = Math.min(pools.damage, Math.floor(pools.grit / 2));
+        const riskPrevented = Math.min(pools.risk, Math.floor(pools.veil / 2));
+        const heatDamageRolls = getHeatDamageRolls(this.gameState);
+        const damageRolls = Math.max(0, Math.floor(pools.damage - Math.floor(pools.grit / 2))) + heatDamageRolls;
+        const roll = calculateRollExpectation(this.gameState.getContractDamageTable(), this.gameState.balancingConfig.maxDamageRollValue);
+
+        return {
+            pools: pools,
+            damagePrevented: Math.max(0, damagePrevented),
+            riskPrevented: Math.max(0, riskPrevented),
+            damageRolls: damageRolls,
+            heatDamageRolls: heatDamageRolls,
+            riskApplied: Math.max(0, Math.floor(pools.risk - Math.floor(pools.veil / 2))),
+            expectedAddedRisk: damageRolls * roll.addedRisk,
+            baseReward: this.gameState.getContractBaseReward() + pools.money
+        };
+    }
+
+    /**
+     * Resolve the contract with the current selection (damage rolls, reward, runner outcomes)
+     * The play-test state is rebuilt afterwards, so it can be run again for another roll
+     * @returns {Promise<Object>} {results, runners} - resolution results and the runners after it
+     */
+    async runResolution() {
+        const gameState = this.gameState;
+        const runners = gameState.hiredRunners.slice();
+        const results = await executeContractResolution(gameState, null);
+
+        this.lastResults = { results, runners };
+        this.rebuild();
+        return this.lastResults;
+    }
+
+    /**
+     * Shade unavailable nodes and outline selected ones
+     */
+    drawOverlay() {
+        if (!this.gameState) return;
+
+        const ctx = this.canvas.ctx;
+        ctx.save();
+        ctx.scale(this.canvas.zoom, this.canvas.zoom);
+        ctx.translate(this.canvas.panX / this.canvas.zoom, this.canvas.panY / this.canvas.zoom);
+
+        this.nodeManager.getAllNodes().forEach(editorNode => {
+            const node = this.gameState.getNodeById(editorNode.id);
+            if (!node) return;
+
+            if (node.selected) {
+                ctx.strokeStyle = this.selectedColor;
+                ctx.lineWidth = 4;
+                ctx.strokeRect(editorNode.x - 3, editorNode.y - 3, editorNode.width + 6, editorNode.height + 6);
+            } else if (!node.available) {
+                ctx.fillStyle = this.unavailableShade;
+                ctx.fillRect(editorNode.x, editorNode.y, editorNode.width, editorNode.height);
+            }
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Show the mock roster, pools and last result in the play-test panel
+     */
+    renderPanel() {
+        this.renderRoster();
+        this.renderPools();
+        this.renderResults();
+    }
+
+    /**
+     * One row per roster slot: runner type and the four stats
+     */
+    renderRoster() {
+        const list = document.getElementById('playtestRoster');
+        if (!list) return;
+
+        list.innerHTML = '';
+        for (let index = 0; index < this.maxRunners; index++) {
+            const runner = this.roster[index] || null;
+            const row = document.createElement('div');
+            row.className = 'playtest-runner';
+
+            const typeSelect = document.createElement('select');
+            typeSelect.className = 'playtest-runner-type';
+            typeSelect.dataset.index = index;
+            ['', ...this.runnerTypes].forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = type || 'Empty';
+                typeSelect.appendChild(option);
+            });
+            typeSelect.value = runner ? runner.runnerType : '';
+            row.appendChild(typeSelect);
+
+            ['face', 'muscle', 'hacker', 'ninja'].forEach(stat => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = 0;
+                input.className = 'playtest-runner-stat';
+                input.dataset.index = index;
+                input.dataset.stat = stat;
+                input.title = stat.charAt(0).toUpperCase() + stat.slice(1);
+                input.value = runner ? runner.stats[stat] : '';
+                input.disabled = !runner;
+                row.appendChild(input);
+            });
+
+            list.appendChild(row);
+        }
+    }
+
+    /**
+     * Live pool values for the current selection
+     */
+    renderPools() {
+        const container = document.getElementById('playtestPools');
+        const summary = this.getPoolSummary();
+        if (!container || !summary) return;
+
+        const { pools } = summary;
+        const issues = this.gameState.getConfigurationIssues()
+            .map(issue => `<li>${issue}</li>`).join('');
+        container.innerHTML = `
+            <div>Damage: <strong>${pools.damage}</strong> (${summary.damagePrevented} prevented)</div>
+            <div>Risk: <strong>${pools.risk}</strong> (${summary.riskPrevented} prevented)</div>
+            <div>Money: <strong>${pools.money}</strong></div>
+            <div>Grit: <strong>${pools.grit}</strong></div>
+            <div>Veil: <strong>${pools.veil}</strong></div>
+            <div class="playtest-outlook">Reward before damage: $${summary.baseReward},
+                ${summary.damageRolls} damage roll${summary.damageRolls === 1 ? '' : 's'}${summary.heatDamageRolls > 0 ? ` (${summary.heatDamageRolls} from heat)` : ''}, ${summary.riskApplied} risk${summary.expectedAddedRisk > 0 ? ` (+${summary.expectedAddedRisk.toFixed(1)} expected from damage rolls)` : ''}</div>
+            ${issues ? `<ul class="playtest-issues" title="The game would not execute the contract with this roster">${issues}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Result of the last simulated resolution
+     */
+    renderResults() {
+        const container = document.getElementById('playtestResults');
+        if (!container) return;
+
+        if (!this.lastResults) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const { results, runners } = this.lastResults;
+        const rolls = results.damageRolls.length > 0
+            ? results.damageRolls.map(roll => `<li>Roll ${roll.rollNumber} (${roll.roll}): ${roll.description}</li>`).join('')
+            : '<li>No damage rolls</li>';
+        const outcomes = runners.map(runner => `<li>${runner.name}: ${runner.runnerState}</li>`).join('');
+
+        container.innerHTML = `
+            <h4>Last Resolution</h4>
+            <div>Reward: <strong>$${results.finalReward}</strong>, risk applied: <strong>${results.riskApplied}</strong></div>
+            <ul>${rolls}</ul>
+            <ul>${outcomes}</ul>
+        `;
+    }
+}
+
+// Export for use in other modules
+window.PlayTestManager = PlayTestManager;
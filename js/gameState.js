@@ -3,8 +3,14 @@
  * Manages the current state of the game including runners, contracts, and calculated pools
  */
 
+// Runner slots when no balancing config is loaded (see runnerSlotCount in balancing.csv)
+const DEFAULT_RUNNER_SLOT_COUNT = 3;
+
 class GameState {
-    constructor() {
+    /**
+     * @param {SeededRandom} rng - Optional random source; a randomly seeded one is created if omitted
+     */
+    constructor(rng = null) {
         this.contractData = null;
         this.runners = this.initializeRunners(); // Legacy property, will be phased out
         this.playerMoney = 0;
@@ -19,7 +25,7 @@ class GameState {
         // NEW: Runner pools
         this.generatedRunners = [];      // Current batch of generated runners
         this.previouslyHiredRunners = []; // All runners hired during this session
-        this.hiredRunners = [];          // Currently hired runners (max 3)
+        this.hiredRunners = [];          // Currently hired runners (see getMaxHiredRunners)
 
         // NEW: Configuration data
         this.balancingConfig = null;     // Loaded from balancing.csv
@@ -28,26 +34,65 @@ class GameState {
             secondParts: []              // From runner_name_table.csv
         };
         this.damageTable = [];           // From damage_table.csv
+        this.runnerTraits = [];          // From runner_traits.csv
+        this.heatTiers = [];             // From heat_tiers.csv
+        this.contractCatalog = [];       // Library contracts the board can offer (see contractBoard.js)
+
+        // NEW: Heat consequences (see heatManager.js)
+        this.heatEvent = null;           // Pending heat event, e.g. a payoff offer
+        this.gameOver = false;           // Set when risk reaches a game over heat tier
+
+        // NEW: Contract board
+        this.contractBoard = [];         // Current offers
+        this.contractOffersCreated = 0;  // Running count, used for unique offer ids
+
+        // NEW: Seedable random source shared by runner generation and damage rolls
+        this.rng = rng || new SeededRandom();
+
+        // NEW: Suppress per-calculation debug logging (scratch states used by the solver)
+        this.quiet = false;
+
+        // NEW: Step-by-step record of the last calculateCurrentPools() run
+        this.calculationTrace = [];
+
+        // NEW: Stat changes from the selected runner stat effects (see resolveRunnerStatEffects)
+        this.runnerStatBonuses = new Map(); // Hired runner → {stat: change}
+        this.runnerStatEffects = [];        // [{nodeId, effect, applied, description, targetRunner}]
+
+        // NEW: Where the loaded contract came from {key, name, rows, offer, metadata} (for save files)
+        this.contractSource = null;
+
+        // NEW: Metadata of the loaded contract (title, briefing, baseReward, maxHiredRunners,
+        // composition, damageTable)
+        this.contractMetadata = {};
+    }
+
+    /**
+     * Restart the random sequence from a new seed
+     * @param {number|string} seed - Seed value
+     */
+    setSeed(seed) {
+        this.rng.setSeed(seed);
+        console.log(`Random seed set to ${this.rng.getSeed()}`);
+    }
+
+    /**
+     * Get the seed the current random sequence started from
+     * @returns {number|string} Seed value
+     */
+    getSeed() {
+        return this.rng.getSeed();
     }
 
     /**
      * Initialize empty runner configuration
+     * @param {number} slotCount - Number of runner slots
      */
-    initializeRunners() {
-        return [
-            {
-                type: 'Empty',
-                stats: { face: 0, muscle: 0, hacker: 0, ninja: 0 }
-            },
-            {
-                type: 'Empty',
-                stats: { face: 0, muscle: 0, hacker: 0, ninja: 0 }
-            },
-            {
-                type: 'Empty',
-                stats: { face: 0, muscle: 0, hacker: 0, ninja: 0 }
-            }
-        ];
+    initializeRunners(slotCount = DEFAULT_RUNNER_SLOT_COUNT) {
+        return Array.from({ length: slotCount }, () => ({
+            type: 'Empty',
+            stats: { face: 0, muscle: 0, hacker: 0, ninja: 0 }
+        }));
     }
 
     /**
@@ -66,16 +111,27 @@ class GameState {
     /**
      * Set contract data from CSV loader
      * @param {Array} contractData - Parsed contract data
+     * @param {Object} source - Optional {key, name, offer, metadata}: library key, display name, the
+     *                          contract board offer it was taken from (stored for saves) and the
+     *                          contract's metadata (CSVLoader.lastMetadata)
      */
-    setContractData(contractData) {
+    setContractData(contractData, source = {}) {
         try {
+            this.contractMetadata = { ...(source.metadata || {}) };
+            this.contractSource = {
+                key: source.key || null,
+                name: source.name || null,
+                rows: contractData,
+                offer: source.offer || null,
+                metadata: this.contractMetadata
+            };
+
             this.contractData = contractData.map(node => {
                 const baseNode = {
                     id: node['Node ID'] || node.id,
                     description: node['Description'] || node.description,
                     effectDescription: node['Effect Desc'] || node.effectDescription,
-                    effect1: node['Effect 1'] || node.effect1,
-                    effect2: node['Effect 2'] || node.effect2,
+                    effects: this.getNodeEffects(node),
                     type: node['Type'] || node.type,
                     color: node['Color'] || node.color,
                     gateCondition: node['GateCondition'] || node.gateCondition || '',
@@ -100,6 +156,7 @@ class GameState {
                     baseNode.y = 0;
                 }
 
+                this.defineLegacyEffectAccessors(baseNode);
                 return baseNode;
             });
 
@@ -118,6 +175,61 @@ class GameState {
         }
     }
 
+    /**
+     * Base reward of the loaded contract (metadata baseReward, else the balancing contractBaseReward)
+     * @returns {number} Reward before node money and multipliers
+     */
+    getContractBaseReward() {
+        if (this.contractMetadata.baseReward !== undefined) {
+            return this.contractMetadata.baseReward;
+        }
+        return this.balancingConfig ? this.balancingConfig.contractBaseReward : 0;
+    }
+
+    /**
+     * Damage table for the loaded contract (its own table if the metadata has one)
+     * @returns {Array} Damage table entries
+     */
+    getContractDamageTable() {
+        return this.contractMetadata.damageTable || this.damageTable;
+    }
+
+    /**
+     * Number of runner slots from the balancing config
+     * @returns {number} Slot count
+     */
+    getRunnerSlotCount() {
+        return (this.balancingConfig && this.balancingConfig.runnerSlotCount) || DEFAULT_RUNNER_SLOT_COUNT;
+    }
+
+    /**
+     * How many runners can be hired for the loaded contract
+     * (the contract's maxHiredRunners, else the balancing runnerSlotCount)
+     * @returns {number} Hiring limit
+     */
+    getMaxHiredRunners() {
+        return this.contractMetadata.maxHiredRunners || this.getRunnerSlotCount();
+    }
+
+    /**
+     * Check the hired team against the contract's composition rules
+     * @returns {Array<string>} One message per broken rule
+     */
+    getCompositionIssues() {
+        return (this.contractMetadata.composition || []).map(rule => {
+            const count = this.hiredRunners.filter(runner =>
+                runner.runnerType.toLowerCase() === rule.runnerType.toLowerCase()).length;
+
+            if (rule.min !== undefined && count < rule.min) {
+                return `Needs at least ${rule.min} ${rule.runnerType} (${count} hired)`;
+            }
+            if (rule.max !== undefined && count > rule.max) {
+                return `Allows no more than ${rule.max} ${rule.runnerType} (${count} hired)`;
+            }
+            return null;
+        }).filter(Boolean);
+    }
+
     /**
      * Parse connection string into array
      * @param {string|Array} connections - Connection string from CSV or array from editor
@@ -178,11 +290,11 @@ class GameState {
 
     /**
      * Set runner type for a specific slot
-     * @param {number} slotIndex - Runner slot index (0-2)
+     * @param {number} slotIndex - Runner slot index
      * @param {string} runnerType - Runner type
      */
     setRunnerType(slotIndex, runnerType) {
-        if (slotIndex >= 0 && slotIndex < 3) {
+        if (slotIndex >= 0 && slotIndex < this.runners.length) {
             this.runners[slotIndex].type = runnerType;
             this.calculateCurrentPools();
         }
@@ -190,12 +302,12 @@ class GameState {
 
     /**
      * Set runner stat for a specific slot and stat type
-     * @param {number} slotIndex - Runner slot index (0-2)
+     * @param {number} slotIndex - Runner slot index
      * @param {string} statType - Stat type (face, muscle, hacker, ninja)
      * @param {number} value - Stat value
      */
     setRunnerStat(slotIndex, statType, value) {
-        if (slotIndex >= 0 && slotIndex < 3 &&
+        if (slotIndex >= 0 && slotIndex < this.runners.length &&
             ['face', 'muscle', 'hacker', 'ninja'].includes(statType)) {
             this.runners[slotIndex].stats[statType] = Math.max(0, Math.min(10, value));
             this.calculateCurrentPools();
@@ -209,41 +321,57 @@ class GameState {
     calculateCurrentPools() {
         const startTime = performance.now();
 
-        // Reset pools
+        // Reset pools and trace
         this.currentPools = this.initializePools();
+        this.calculationTrace = [];
+
+        // PASS 0: Runner stat effects, so RunnerStat conditions and per sources see their changes
+        this.resolveRunnerStatEffects();
 
         // PASS 1: Collect and separate effects by operator type
         const standardEffects = [];
         const percentageEffects = [];
 
+        const collectEffect = (effect, traceInfo, label) => {
+            if (!effect || effect.trim() === '') return;
+
+            const { ast, error } = EffectExpression.tryParse(effect);
+            if (error) {
+                console.warn(`Skipping invalid effect on ${label}: ${error.message}`, effect);
+                return;
+            }
+
+            // NEW: Runner effects don't touch the pools (stat changes ran in pass 0, Heal and
+            // Injure resolve when the contract is executed)
+            if (EffectExpression.isRunnerEffect(ast)) {
+                return;
+            }
+
+            if (ast.operator === '%') {
+                percentageEffects.push({ effect, ...traceInfo });
+            } else {
+                standardEffects.push({ effect, ...traceInfo });
+            }
+        };
+
         this.selectedNodes.forEach(nodeId => {
             const node = this.getNodeById(nodeId);
             if (node && node.type !== 'Gate') {
-                // Separate effects by operator type
-                [node.effect1, node.effect2].forEach(effect => {
-                    if (!effect || effect.trim() === '') return;
-
-                    const parts = effect.split(';');
-                    if (parts.length >= 4) {
-                        const operator = parts[1];
-                        if (operator === '%') {
-                            percentageEffects.push(effect);
-                        } else {
-                            standardEffects.push(effect);
-                        }
-                    }
-                });
+                node.effects.forEach(effect => collectEffect(effect, { nodeId: node.id }, node.id));
             }
         });
 
+        // NEW: Hired runners' traits are effect sources too (applied after the node effects)
+        this.getHiredTraitEffects().forEach(({ effect, source }) => collectEffect(effect, { source }, source));
+
         // PASS 2: Apply standard effects first (+, -, *, /)
-        standardEffects.forEach(effect => this.applyEffect(effect));
+        standardEffects.forEach(({ effect, nodeId, source }) => this.applyEffect(effect, { pass: 'standard', nodeId, source }));
 
         // PASS 3: Calculate preliminary prevention for prevention-based conditions
         this.calculatePreventionAmounts();
 
         // PASS 4: Apply percentage effects (after all base calculations)
-        percentageEffects.forEach(effect => this.applyEffect(effect));
+        percentageEffects.forEach(({ effect, nodeId, source }) => this.applyEffect(effect, { pass: 'percentage', nodeId, source }));
 
         // PASS 5: Apply final prevention mechanics (unchanged, runs last)
         this.applyPreventionMechanics();
@@ -256,6 +384,22 @@ class GameState {
         return { ...this.currentPools };
     }
 
+    /**
+     * Collect the pool effects of hired runners' traits (NEW)
+     * @returns {Array<Object>} [{effect, source}] where source reads "Runner Name (Trait)"
+     */
+    getHiredTraitEffects() {
+        const effects = [];
+        this.hiredRunners.forEach(runner => {
+            (runner.traits || []).forEach(trait => {
+                if (trait.effect && trait.effect.trim() !== '') {
+                    effects.push({ effect: trait.effect, source: `${runner.name} (${trait.name})` });
+                }
+            });
+        });
+        return effects;
+    }
+
     /**
      * Calculate prevention amounts based on current pool values
      * This runs AFTER standard effects but BEFORE percentage effects
@@ -279,12 +423,54 @@ class GameState {
         this.preventionData.preliminaryDamagePrevented = Math.max(0, actualDamagePrevented);
         this.preventionData.preliminaryRiskPrevented = Math.max(0, actualRiskPrevented);
 
+        this.recordPreventionTrace('preliminaryPrevention', actualDamagePrevented, actualRiskPrevented);
+
         // Log for debugging
-        if (actualDamagePrevented > 0 || actualRiskPrevented > 0) {
+        if (!this.quiet && (actualDamagePrevented > 0 || actualRiskPrevented > 0)) {
             console.log(`Preliminary prevention: ${actualDamagePrevented} damage, ${actualRiskPrevented} risk`);
         }
     }
 
+    /**
+     * Get a node's ordered effect list from any supported input shape (NEW)
+     * Accepts an effects array, "Effect N" CSV columns, or legacy effect1/effect2 properties
+     * @param {Object} node - Raw node (CSV row or node object)
+     * @returns {Array<string>} Non-empty effect strings in order
+     */
+    getNodeEffects(node) {
+        let effects;
+        if (Array.isArray(node.effects)) {
+            effects = node.effects;
+        } else if (EffectExpression.getEffectColumns(node).length > 0) {
+            effects = EffectExpression.getRowEffects(node);
+        } else {
+            effects = [node.effect1, node.effect2];
+        }
+
+        return effects.filter(effect => typeof effect === 'string' && effect.trim() !== '');
+    }
+
+    /**
+     * Keep node.effect1 / node.effect2 working as aliases for the first two effects (NEW)
+     * Non-enumerable so they are not duplicated when nodes are copied or serialized
+     * @param {Object} node - Game state node with an effects array
+     */
+    defineLegacyEffectAccessors(node) {
+        [0, 1].forEach(index => {
+            Object.defineProperty(node, `effect${index + 1}`, {
+                configurable: true,
+                enumerable: false,
+                get() {
+                    return this.effects[index] || '';
+                },
+                set(value) {
+                    this.effects[index] = value || '';
+                    this.effects = this.effects.filter(effect => effect && effect.trim() !== '');
+                }
+            });
+        });
+    }
+
     /**
      * Apply effects from a specific node
      * @param {Object} node - Node to apply effects from
@@ -295,50 +481,53 @@ class GameState {
             return;
         }
 
-        if (node.effect1) {
-            this.applyEffect(node.effect1);
-        }
-        if (node.effect2) {
-            this.applyEffect(node.effect2);
-        }
+        node.effects.forEach(effect => this.applyEffect(effect, { nodeId: node.id }));
     }
 
     /**
-     * Apply a single effect string
-     * @param {string} effectString - Effect in format "Condition;Operator;Amount;Stat"
+     * Apply a single effect string (MODIFIED)
+     * @param {string} effectString - Effect expression or legacy "Condition;Operator;Amount;Stat" string
+     * @param {Object} traceInfo - Optional {pass, nodeId, source} recorded in the calculation trace
+     *                             (source names a non-node origin such as a runner trait)
      */
-    applyEffect(effectString) {
+    applyEffect(effectString, traceInfo = {}) {
         try {
-            const parts = effectString.split(';');
-            if (parts.length < 4) {
-                console.warn('Invalid effect format (requires 4 parts):', effectString);
+            const { ast, error } = EffectExpression.tryParse(effectString);
+            if (error) {
+                console.warn(`Invalid effect (${error.message}):`, effectString);
                 return;
             }
-
-            const [condition, operator, amount, stat] = parts;
-
-            // Evaluate condition - this now returns a multiplier (1 or greater) instead of boolean
-            const conditionMultiplier = this.evaluateCondition(condition);
-            if (conditionMultiplier === 0) {
-                return; // Condition not met
-            }
-
-            // Validate and parse amount
-            const numAmount = parseFloat(amount);
-            if (isNaN(numAmount)) {
-                console.warn('Invalid amount in effect:', effectString);
+            if (EffectExpression.isRunnerEffect(ast)) {
                 return;
             }
 
-            // Validate stat
-            const statKey = stat.toLowerCase();
-            if (!this.currentPools.hasOwnProperty(statKey)) {
-                console.warn('Invalid stat in effect:', stat);
+            // Conditions and "per" sources resolve through evaluateCondition / current pools
+            const resolution = EffectExpression.resolve(ast, this.getEffectContext());
+
+            const trace = {
+                pass: traceInfo.pass || 'standard',
+                nodeId: traceInfo.nodeId || null,
+                source: traceInfo.source || null,
+                effect: effectString,
+                pool: ast.stat,
+                operator: ast.operator,
+                baseAmount: ast.amount,
+                multiplier: resolution.multiplier,
+                amount: resolution.amount,
+                before: this.currentPools[ast.stat],
+                after: this.currentPools[ast.stat],
+                applied: false,
+                reason: resolution.reason
+            };
+            this.calculationTrace.push(trace);
+
+            if (!resolution.applies) {
                 return;
             }
+            const effectiveAmount = resolution.amount;
 
-            // Apply the effect with condition multiplier
-            const effectiveAmount = numAmount * conditionMultiplier;
+            const statKey = ast.stat;
+            const operator = ast.operator;
             const currentValue = this.currentPools[statKey];
             let newValue = currentValue;
 
@@ -355,6 +544,7 @@ class GameState {
                 case '/':
                     if (effectiveAmount === 0) {
                         console.warn('Division by zero in effect:', effectString);
+                        trace.reason = 'division by zero';
                         return;
                     }
                     newValue = currentValue / effectiveAmount;
@@ -367,12 +557,14 @@ class GameState {
                     break;
                 default:
                     console.warn('Unknown operator in effect:', operator);
+                    trace.reason = 'unknown operator';
                     return;
             }
 
             // Handle overflow and underflow
             if (!isFinite(newValue)) {
                 console.warn('Non-finite result in effect:', effectString);
+                trace.reason = 'non-finite result';
                 return;
             }
 
@@ -383,11 +575,88 @@ class GameState {
                 this.currentPools[statKey] = Math.max(0, this.currentPools[statKey]);
             }
 
+            trace.after = this.currentPools[statKey];
+            trace.applied = true;
+
         } catch (error) {
             console.error('Error applying effect:', effectString, error);
         }
     }
 
+    /**
+     * Evaluation hooks for EffectExpression.resolve() against this state (NEW)
+     * @returns {Object} {evaluateCondition, getPool}
+     */
+    getEffectContext() {
+        return {
+            evaluateCondition: condition => this.evaluateCondition(condition),
+            getPool: pool => this.currentPools[pool]
+        };
+    }
+
+    /**
+     * Runner effects of the selected nodes, in selection order (NEW)
+     * @returns {Array<Object>} [{nodeId, effect, ast}]
+     */
+    getSelectedRunnerEffects() {
+        const runnerEffects = [];
+        this.selectedNodes.forEach(nodeId => {
+            const node = this.getNodeById(nodeId);
+            if (!node || node.type === 'Gate') return;
+
+            node.effects.forEach(effect => {
+                const { ast } = EffectExpression.tryParse(effect);
+                if (EffectExpression.isRunnerEffect(ast)) {
+                    runnerEffects.push({ nodeId: node.id, effect: effect, ast: ast });
+                }
+            });
+        });
+        return runnerEffects;
+    }
+
+    /**
+     * Resolve the stat changes of the selected runner stat effects (NEW)
+     * Runs before anything reads runner stats (pools, gates), in selection order: each target
+     * is the highest/lowest runner counting earlier changes. Their "if" conditions and "per"
+     * sources see runners and nodes, and every pool as 0 - the pools depend on the changed
+     * stats, so gates (updateAvailableNodes) and pools (calculateCurrentPools) both resolve
+     * against the same zeroed pools.
+     * @returns {Array<Object>} [{nodeId, effect, applied, description, targetRunner}]
+     */
+    resolveRunnerStatEffects() {
+        const pools = this.currentPools;
+        this.currentPools = this.initializePools();
+        try {
+            this.runnerStatBonuses = new Map();
+            this.runnerStatEffects = this.getSelectedRunnerEffects()
+                .filter(({ ast }) => ast.action === 'stat')
+                .map(({ nodeId, effect, ast }) => ({ nodeId: nodeId, effect: effect, ...applyRunnerEffect(ast, this) }));
+        } finally {
+            this.currentPools = pools;
+        }
+        return this.runnerStatEffects;
+    }
+
+    /**
+     * Change a hired runner's stat for the current contract (NEW)
+     * @param {Object} runner - Hired runner
+     * @param {string} stat - Stat name (face, muscle, hacker, ninja)
+     * @param {number} change - Points to add (negative to remove)
+     */
+    addRunnerStatBonus(runner, stat, change) {
+        const bonuses = this.runnerStatBonuses.get(runner) || {};
+        bonuses[stat] = (bonuses[stat] || 0) + change;
+        this.runnerStatBonuses.set(runner, bonuses);
+    }
+
+    /**
+     * Drop the runner stat changes once the contract is over (NEW)
+     */
+    clearRunnerStatBonuses() {
+        this.runnerStatBonuses = new Map();
+        this.runnerStatEffects = [];
+    }
+
     /**
      * Evaluate condition and return multiplier
      * @param {string} condition - Condition to evaluate
@@ -406,6 +675,14 @@ class GameState {
                 return count;
             }
 
+            // Trait: Count how many hired runners have this trait (NEW)
+            if (condition.startsWith('Trait:')) {
+                const traitName = condition.substring('Trait:'.length).trim().toLowerCase();
+                return this.hiredRunners.filter(runner =>
+                    (runner.traits || []).some(trait => trait.name.toLowerCase() === traitName)
+                ).length;
+            }
+
             // RunnerStat: Calculate multiplier based on stat total divided by threshold
             if (condition.startsWith('RunnerStat:')) {
                 return this.evaluateRunnerStatCondition(condition);
@@ -519,10 +796,35 @@ class GameState {
      */
     getTotalRunnerStat(statType) {
         return this.hiredRunners.reduce((total, runner) => {
-            return total + (runner.stats[statType] || 0);
+            return total + (this.getEffectiveRunnerStats(runner)[statType] || 0);
         }, 0);
     }
 
+    /**
+     * Get a runner's stats after its injury penalty (NEW)
+     * Injured runners lose injuryStatPenaltyPerSeverity points per severity level from
+     * every stat (never below 0); everyone else uses their normal stats. Stat changes
+     * from the selected runner stat effects (runnerStatBonuses) count until the contract ends.
+     * @param {Object} runner - Runner object
+     * @returns {Object} Stats {face, muscle, hacker, ninja}
+     */
+    getEffectiveRunnerStats(runner) {
+        const stats = { ...runner.stats };
+        Object.entries(this.runnerStatBonuses.get(runner) || {}).forEach(([stat, bonus]) => {
+            stats[stat] = Math.max(0, (stats[stat] || 0) + bonus);
+        });
+        if (runner.runnerState !== 'Injured' || !this.balancingConfig) {
+            return stats;
+        }
+
+        const severity = runner.injury ? runner.injury.severity : 1;
+        const penalty = (this.balancingConfig.injuryStatPenaltyPerSeverity || 0) * severity;
+        Object.keys(stats).forEach(stat => {
+            stats[stat] = Math.max(0, (stats[stat] || 0) - penalty);
+        });
+        return stats;
+    }
+
     /**
      * Evaluate runner stat conditions and return multiplier
      * @param {string} condition - RunnerStat condition to evaluate
@@ -626,6 +928,53 @@ class GameState {
             finalDamage: Math.max(0, originalDamage - actualDamagePrevented),
             finalRisk: Math.max(0, originalRisk - actualRiskPrevented)
         };
+
+        this.recordPreventionTrace('finalPrevention', actualDamagePrevented, actualRiskPrevented);
+    }
+
+    /**
+     * Add prevention steps to the calculation trace (NEW)
+     * Prevention does not change the pool values, so before/after show the prevented result
+     * @param {string} pass - 'preliminaryPrevention' or 'finalPrevention'
+     * @param {number} damagePrevented - Damage prevented by Grit
+     * @param {number} riskPrevented - Risk prevented by Veil
+     */
+    recordPreventionTrace(pass, damagePrevented, riskPrevented) {
+        const steps = [
+            { pool: 'damage', source: 'grit', prevented: damagePrevented },
+            { pool: 'risk', source: 'veil', prevented: riskPrevented }
+        ];
+
+        steps.forEach(({ pool, source, prevented }) => {
+            if (!(prevented > 0)) return;
+
+            this.calculationTrace.push({
+                pass: pass,
+                nodeId: null,
+                effect: `${prevented * 2} ${source.charAt(0).toUpperCase() + source.slice(1)} prevents ${prevented}`,
+                pool: pool,
+                operator: '-',
+                baseAmount: prevented,
+                multiplier: 1,
+                amount: prevented,
+                before: this.currentPools[pool],
+                after: Math.max(0, this.currentPools[pool] - prevented),
+                applied: true,
+                reason: null
+            });
+        });
+    }
+
+    /**
+     * Get the trace of the last pool calculation (NEW)
+     * @param {string} pool - Optional pool name to filter by (damage, risk, money, grit, veil)
+     * @returns {Array<Object>} Trace steps in application order:
+     *   {pass, nodeId, effect, pool, operator, baseAmount, multiplier, amount, before, after, applied, reason}
+     */
+    getCalculationTrace(pool = null) {
+        return pool
+            ? this.calculationTrace.filter(step => step.pool === pool)
+            : this.calculationTrace.slice();
     }
 
     /**
@@ -640,22 +989,47 @@ class GameState {
 
     /**
      * Validate current runner configuration (MODIFIED)
+     * Problems are logged; getConfigurationIssues() returns them for display
      * @returns {boolean} True if configuration is valid
      */
     validateConfiguration() {
+        const issues = this.getConfigurationIssues();
+        if (!this.quiet) {
+            issues.forEach(issue => console.warn(issue));
+        }
+        return issues.length === 0;
+    }
+
+    /**
+     * Everything that stops the contract from being executed with the hired team
+     * @returns {Array<string>} Problem descriptions (empty if the contract can be executed)
+     */
+    getConfigurationIssues() {
+        const issues = [];
+
         // Check if at least one runner is hired
         if (this.hiredRunners.length === 0) {
-            console.warn('No runners hired');
-            return false;
+            issues.push('No runners hired');
         }
 
         // Check if contract is loaded
         if (!this.contractData || this.contractData.length === 0) {
-            console.warn('No contract data loaded');
-            return false;
+            issues.push('No contract data loaded');
+            return issues;
         }
 
-        return true;
+        // Runners hired before loading a contract with a lower runner limit
+        const maxHiredRunners = this.getMaxHiredRunners();
+        if (this.hiredRunners.length > maxHiredRunners) {
+            issues.push(`This contract allows only ${maxHiredRunners} runner${maxHiredRunners === 1 ? '' : 's'} (${this.hiredRunners.length} hired)`);
+        }
+
+        // Team composition rules from the contract metadata
+        if (this.hiredRunners.length > 0) {
+            issues.push(...this.getCompositionIssues());
+        }
+
+        return issues;
     }
 
     /**
@@ -696,6 +1070,9 @@ class GameState {
     updateAvailableNodes() {
         if (!this.contractData) return;
 
+        // NEW: RunnerStat gates count the selected runner stat effects
+        this.resolveRunnerStatEffects();
+
         this.contractData.forEach(node => {
             // Skip already selected nodes
             if (node.selected) {
@@ -866,8 +1243,9 @@ class GameState {
         // Sum the required stats across all hired runners (MODIFIED)
         let totalStats = 0;
         this.hiredRunners.forEach(runner => {
+            const stats = this.getEffectiveRunnerStats(runner);
             requiredStats.forEach(statName => {
-                totalStats += runner.stats[statName] || 0;
+                totalStats += stats[statName] || 0;
             });
         });
 
@@ -879,7 +1257,7 @@ class GameState {
      */
     reset() {
         this.contractData = null;
-        this.runners = this.initializeRunners();
+        this.runners = this.initializeRunners(this.getRunnerSlotCount());
         this.selectedNodes = [];
         this.currentPools = this.initializePools();
     }
@@ -897,7 +1275,8 @@ class GameState {
             runnerCount: this.runners.filter(r => r.type !== 'Empty').length,
             selectedNodeCount: this.selectedNodes.length,
             currentPools: { ...this.currentPools },
-            preventionData: this.preventionData || null
+            preventionData: this.preventionData || null,
+            seed: this.rng.getSeed()
         };
     }
 
@@ -1048,6 +1427,8 @@ class GameState {
     resetContract() {
         this.selectedNodes = [];
         this.contractData = null;
+        this.contractSource = null;
+        this.contractMetadata = {};
         this.currentPools = this.initializePools();
 
         // Clear UI state but preserve session data
@@ -1067,6 +1448,11 @@ class GameState {
         this.playerRisk = 0;
         this.playerLevel = 0;
         this.contractsCompleted = 0;
+        this.heatEvent = null;
+        this.gameOver = false;
+        this.contractBoard = [];
+        this.contractOffersCreated = 0;
+        this.rng = new SeededRandom();
 
         // Clear session storage
         this.clearSessionState();
@@ -1079,13 +1465,7 @@ class GameState {
     saveSessionState() {
         try {
             const sessionData = {
-                playerMoney: this.playerMoney,
-                playerRisk: this.playerRisk,
-                playerLevel: this.playerLevel,
-                contractsCompleted: this.contractsCompleted,
-                hiredRunners: this.hiredRunners,
-                generatedRunners: this.generatedRunners,
-                previouslyHiredRunners: this.previouslyHiredRunners,
+                ...this.getCampaignState(),
                 timestamp: Date.now()
             };
 
@@ -1125,14 +1505,7 @@ class GameState {
                 return false;
             }
 
-            // Restore state (updated for new runner system)
-            this.playerMoney = parsedData.playerMoney;
-            this.playerRisk = parsedData.playerRisk;
-            this.playerLevel = parsedData.playerLevel || 0;
-            this.contractsCompleted = parsedData.contractsCompleted;
-            this.hiredRunners = parsedData.hiredRunners || [];
-            this.generatedRunners = parsedData.generatedRunners || [];
-            this.previouslyHiredRunners = parsedData.previouslyHiredRunners || [];
+            this.applyCampaignState(parsedData);
 
             console.log('Session state loaded successfully');
             return true;
@@ -1142,6 +1515,104 @@ class GameState {
         }
     }
 
+    /**
+     * Get the campaign progress shared by session state and save slots (NEW)
+     * @returns {Object} Player stats, runner pools and random sequence position
+     */
+    getCampaignState() {
+        return {
+            playerMoney: this.playerMoney,
+            playerRisk: this.playerRisk,
+            playerLevel: this.playerLevel,
+            contractsCompleted: this.contractsCompleted,
+            hiredRunners: this.hiredRunners,
+            generatedRunners: this.generatedRunners,
+            previouslyHiredRunners: this.previouslyHiredRunners,
+            heatEvent: this.heatEvent,
+            gameOver: this.gameOver,
+            contractBoard: this.contractBoard,
+            contractOffersCreated: this.contractOffersCreated,
+            rngSeed: this.rng.getSeed(),
+            rngState: this.rng.getState()
+        };
+    }
+
+    /**
+     * Restore campaign progress from getCampaignState() data (NEW)
+     * @param {Object} campaign - Campaign state
+     */
+    applyCampaignState(campaign) {
+        // Restore state (updated for new runner system)
+        this.playerMoney = campaign.playerMoney;
+        this.playerRisk = campaign.playerRisk;
+        this.playerLevel = campaign.playerLevel || 0;
+        this.contractsCompleted = campaign.contractsCompleted;
+
+        // A runner can be in several lists; JSON gives each list its own copy, so share one object per id
+        // (otherwise unhiring, level-ups and injuries only reach one of the copies)
+        const runnersById = new Map();
+        const shareRunners = runners => (runners || []).map(runner => {
+            if (!runnersById.has(runner.id)) runnersById.set(runner.id, runner);
+            return runnersById.get(runner.id);
+        });
+        this.hiredRunners = shareRunners(campaign.hiredRunners);
+        this.generatedRunners = shareRunners(campaign.generatedRunners);
+        this.previouslyHiredRunners = shareRunners(campaign.previouslyHiredRunners);
+        this.heatEvent = campaign.heatEvent || null;
+        this.gameOver = Boolean(campaign.gameOver);
+        this.contractBoard = campaign.contractBoard || [];
+        this.contractOffersCreated = campaign.contractOffersCreated || 0;
+
+        // Continue the random sequence where the campaign left off
+        if (campaign.rngSeed !== undefined) {
+            this.rng.setSeed(campaign.rngSeed);
+            if (typeof campaign.rngState === 'number') {
+                this.rng.setState(campaign.rngState);
+            }
+        }
+    }
+
+    /**
+     * Get the contract in progress (NEW)
+     * The contract rows are included so file-loaded and since-changed library contracts restore exactly
+     * @returns {Object|null} {key, name, rows, offer, metadata, selectedNodes} or null when no contract is loaded
+     */
+    getContractProgress() {
+        if (!this.contractData || !this.contractSource) {
+            return null;
+        }
+
+        return {
+            key: this.contractSource.key,
+            name: this.contractSource.name,
+            rows: this.contractSource.rows,
+            offer: this.contractSource.offer,
+            metadata: this.contractSource.metadata,
+            selectedNodes: this.selectedNodes.slice()
+        };
+    }
+
+    /**
+     * Reload a contract in progress and re-select its nodes in the original order (NEW)
+     * @param {Object} progress - Data from getContractProgress()
+     * @returns {boolean} True if every saved node could be selected again
+     */
+    restoreContractProgress(progress) {
+        if (!progress || !Array.isArray(progress.rows)) {
+            this.resetContract();
+            return true;
+        }
+
+        this.setContractData(progress.rows, { key: progress.key, name: progress.name, offer: progress.offer, metadata: progress.metadata });
+
+        const missing = (progress.selectedNodes || []).filter(nodeId => !this.selectNode(nodeId));
+        if (missing.length > 0) {
+            console.warn(`Could not restore node selection: ${missing.join(', ')}`);
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Clear session storage
      */
@@ -1202,6 +1673,33 @@ class GameState {
         console.log(`Name table loaded: ${firstParts.length} first parts, ${secondParts.length} second parts`);
     }
 
+    /**
+     * NEW: Set runner trait definitions (rolled for newly generated runners)
+     * @param {Array} runnerTraits - Trait definitions
+     */
+    setRunnerTraits(runnerTraits) {
+        this.runnerTraits = runnerTraits;
+        console.log(`Runner traits loaded: ${runnerTraits.length} traits`);
+    }
+
+    /**
+     * NEW: Set heat tier definitions
+     * @param {Array} heatTiers - Heat tiers sorted by minRisk
+     */
+    setHeatTiers(heatTiers) {
+        this.heatTiers = heatTiers;
+        console.log(`Heat tiers loaded: ${heatTiers.length} tiers`);
+    }
+
+    /**
+     * NEW: Set the contracts the contract board can offer
+     * @param {Array} catalog - Entries from createContractCatalog()
+     */
+    setContractCatalog(catalog) {
+        this.contractCatalog = catalog;
+        console.log(`Contract catalog loaded: ${catalog.length} contracts`);
+    }
+
     /**
      * NEW: Set damage table
      * @param {Array} damageTable - Damage table entries
@@ -1231,17 +1729,18 @@ class GameState {
     }
 
     /**
-     * NEW: Get runner stat totals for hired runners
+     * NEW: Get runner stat totals for hired runners (after injury penalties)
      * @returns {Object} Total stats
      */
     getHiredRunnerStatTotals() {
         const totals = {face: 0, muscle: 0, hacker: 0, ninja: 0};
 
         this.hiredRunners.forEach(runner => {
-            totals.face += runner.stats.face;
-            totals.muscle += runner.stats.muscle;
-            totals.hacker += runner.stats.hacker;
-            totals.ninja += runner.stats.ninja;
+            const stats = this.getEffectiveRunnerStats(runner);
+            totals.face += stats.face;
+            totals.muscle += stats.muscle;
+            totals.hacker += stats.hacker;
+            totals.ninja += stats.ninja;
         });
 
         return totals;
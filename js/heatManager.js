@@ -0,0 +1,142 @@
+/**
+ * Heat Manager Module
+ * Turns accumulated player risk into heat tiers with gameplay consequences
+ * Tiers come from Resources/heat_tiers.csv (embedded as HEAT_TIERS)
+ */
+
+/**
+ * Find the heat tier for a risk value
+ * @param {Number} playerRisk - Accumulated player risk
+ * @param {Array} heatTiers - Tier definitions {name, minRisk, hiringCostPercent, extraDamageRolls, payoffCostPerRisk, gameOver, description}
+ * @returns {Object|null} Highest tier whose minRisk is reached, or null if there are no tiers
+ */
+function getHeatTier(playerRisk, heatTiers) {
+    let current = null;
+    (heatTiers || []).forEach(tier => {
+        if (playerRisk >= tier.minRisk && (!current || tier.minRisk >= current.minRisk)) {
+            current = tier;
+        }
+    });
+    return current;
+}
+
+/**
+ * Get the heat tier the player is currently in
+ * @param {GameState} gameState - Current game state
+ * @returns {Object|null} Heat tier
+ */
+function getCurrentHeatTier(gameState) {
+    return getHeatTier(gameState.playerRisk, gameState.heatTiers);
+}
+
+/**
+ * Extra damage rolls the player's heat tier adds to every contract
+ * @param {GameState} gameState - Current game state
+ * @returns {Number} Extra damage rolls (0 without a tier)
+ */
+function getHeatDamageRolls(gameState) {
+    const tier = getCurrentHeatTier(gameState);
+    return tier ? Math.max(0, tier.extraDamageRolls || 0) : 0;
+}
+
+/**
+ * Describe the active modifiers of a heat tier for the UI
+ * @param {Object|null} tier - Heat tier
+ * @returns {Array<String>} One line per modifier (empty when the tier has none)
+ */
+function getHeatModifierDescriptions(tier) {
+    if (!tier) return [];
+
+    const modifiers = [];
+    if (tier.gameOver) {
+        modifiers.push('Game over');
+    }
+    if (tier.hiringCostPercent) {
+        modifiers.push(`${tier.hiringCostPercent > 0 ? '+' : ''}${tier.hiringCostPercent}% hiring cost`);
+    }
+    if (tier.extraDamageRolls) {
+        modifiers.push(`+${tier.extraDamageRolls} damage roll${tier.extraDamageRolls === 1 ? '' : 's'} per contract`);
+    }
+    if (tier.payoffCostPerRisk > 0) {
+        modifiers.push(`Contacts offer to bury heat for $${tier.payoffCostPerRisk} per risk`);
+    }
+    return modifiers;
+}
+
+/**
+ * Apply heat consequences after a contract has added its risk
+ * Reaching a game over tier ends the campaign; tiers with a payoff cost offer to
+ * lower risk for money until the next contract
+ * @param {GameState} gameState - Game state (risk already applied)
+ * @param {Object|null} tierBefore - Heat tier before the contract
+ * @returns {Object} {tierBefore, tierAfter, tierChanged, gameOver, payoffOffer}
+ */
+function updateHeatAfterContract(gameState, tierBefore) {
+    const tierAfter = getCurrentHeatTier(gameState);
+
+    gameState.heatEvent = null;
+    if (tierAfter && tierAfter.gameOver) {
+        gameState.gameOver = true;
+    } else if (tierAfter && tierAfter.payoffCostPerRisk > 0) {
+        gameState.heatEvent = createHeatPayoffOffer(gameState, tierAfter);
+    }
+
+    return {
+        tierBefore: tierBefore,
+        tierAfter: tierAfter,
+        tierChanged: (tierBefore ? tierBefore.name : null) !== (tierAfter ? tierAfter.name : null),
+        gameOver: gameState.gameOver,
+        payoffOffer: gameState.heatEvent
+    };
+}
+
+/**
+ * Create an offer to lower risk by heatPayoffRiskReduction for money
+ * @param {GameState} gameState - Current game state
+ * @param {Object} tier - Heat tier making the offer
+ * @returns {Object|null} {type: 'payoff', tierName, riskReduction, cost}, or null if there is no risk to remove
+ */
+function createHeatPayoffOffer(gameState, tier) {
+    const reduction = Math.min(gameState.balancingConfig.heatPayoffRiskReduction || 0, gameState.playerRisk);
+    if (reduction <= 0) {
+        return null;
+    }
+
+    return {
+        type: 'payoff',
+        tierName: tier.name,
+        riskReduction: reduction,
+        cost: Math.round(reduction * tier.payoffCostPerRisk)
+    };
+}
+
+/**
+ * Accept the pending heat payoff offer
+ * @param {GameState} gameState - Current game state
+ * @returns {Object} {success: boolean, message: string}
+ */
+function acceptHeatPayoff(gameState) {
+    const offer = gameState.heatEvent;
+    if (!offer || offer.type !== 'payoff') {
+        return {success: false, message: 'No payoff offer available'};
+    }
+
+    if (gameState.playerMoney < offer.cost) {
+        return {success: false, message: 'Not enough money'};
+    }
+
+    gameState.playerMoney -= offer.cost;
+    gameState.playerRisk = Math.max(0, gameState.playerRisk - offer.riskReduction);
+    gameState.heatEvent = null;
+
+    return {success: true, message: `Paid $${offer.cost} to lower risk by ${offer.riskReduction}`};
+}
+
+/**
+ * Turn down the pending heat payoff offer
+ * @param {GameState} gameState - Current game state
+ */
+function declineHeatPayoff(gameState) {
+    gameState.heatEvent = null;
+}
+
@@ -10,6 +10,7 @@ class JohnsonApp {
         this.uiManager = null;
         this.gameState = null;
         this.visualRenderer = null;
+        this.saveManager = null;
         this.isInitialized = false;
     }
 
@@ -22,6 +23,7 @@ class JohnsonApp {
             this.gameState = new GameState();
             this.csvLoader = new CSVLoader();
             this.uiManager = new UIManager(this.gameState, this.csvLoader);
+            this.saveManager = new SaveManager();
 
             // Initialize visual prototype renderer
             const canvas = document.getElementById('gameCanvas');
@@ -45,6 +47,22 @@ class JohnsonApp {
             const damageTable = await this.csvLoader.loadDamageTable();
             this.gameState.setDamageTable(damageTable);
 
+            const runnerTraits = await this.csvLoader.loadRunnerTraits();
+            this.gameState.setRunnerTraits(runnerTraits);
+
+            const heatTiers = await this.csvLoader.loadHeatTiers();
+            this.gameState.setHeatTiers(heatTiers);
+
+            // NEW: Contracts the contract board can offer
+            if (typeof CONTRACT_LIBRARY !== 'undefined') {
+                this.gameState.setContractCatalog(createContractCatalog(
+                    CONTRACT_LIBRARY,
+                    csvText => this.csvLoader.parseCSV(csvText)
+                ));
+            } else {
+                console.warn('CONTRACT_LIBRARY not available - contract board will be empty');
+            }
+
             // Load session state if available
             const sessionLoaded = this.gameState.loadSessionState();
             if (sessionLoaded) {
@@ -56,7 +74,10 @@ class JohnsonApp {
                 const initialRunners = generateRunnerBatch(
                     balancingConfig.generatedRunnerBatchSize,
                     this.gameState.nameTable,
-                    balancingConfig
+                    balancingConfig,
+                    this.gameState.rng,
+                    this.gameState.playerLevel,
+                    this.gameState.runnerTraits
                 );
                 this.gameState.setGeneratedRunners(initialRunners);
 
@@ -64,6 +85,9 @@ class JohnsonApp {
                 this.gameState.playerMoney = balancingConfig.playerStartingMoney;
             }
 
+            // NEW: Fill the contract board (sessions from before the board have none)
+            refillContractBoard(this.gameState);
+
             // Set up event listeners
             this.setupEventListeners();
 
@@ -73,6 +97,8 @@ class JohnsonApp {
             // Initialize hired runners display
             this.uiManager.updateHiredRunnersDisplay();
             this.uiManager.updateGameStateDisplay();
+            this.renderContractBoard();
+            this.refreshSaveSlots();
 
             // Restore UI from session if session was loaded
             if (sessionLoaded) {
@@ -105,18 +131,18 @@ class JohnsonApp {
      * Set up global event listeners
      */
     setupEventListeners() {
-        // Handle contract dropdown selection
-        const contractDropdown = document.getElementById('contract-dropdown');
-        if (contractDropdown) {
-            contractDropdown.addEventListener('change', this.handleDropdownSelection.bind(this));
-        }
-
         // Handle file input changes
         const fileInput = document.getElementById('contract-file');
         if (fileInput) {
             fileInput.addEventListener('change', this.handleFileLoad.bind(this));
         }
 
+        // NEW: Procedurally generated contracts
+        const generateContractBtn = document.getElementById('generate-contract');
+        if (generateContractBtn) {
+            generateContractBtn.addEventListener('click', this.handleGenerateContract.bind(this));
+        }
+
         // Handle contract execution
         const executeBtn = document.getElementById('execute-contract');
         if (executeBtn) {
@@ -148,29 +174,131 @@ class JohnsonApp {
             generateBtn.addEventListener('click', this.handleGenerateNewRunners.bind(this));
         }
 
+        // Random seed controls
+        const applySeedBtn = document.getElementById('apply-seed');
+        if (applySeedBtn) {
+            applySeedBtn.addEventListener('click', this.handleApplySeed.bind(this));
+        }
+
+        // Save slot controls
+        const saveBtn = document.getElementById('save-game');
+        if (saveBtn) saveBtn.addEventListener('click', this.handleSaveGame.bind(this));
+
+        const loadSaveBtn = document.getElementById('load-save');
+        if (loadSaveBtn) loadSaveBtn.addEventListener('click', this.handleLoadSave.bind(this));
+
+        const deleteSaveBtn = document.getElementById('delete-save');
+        if (deleteSaveBtn) deleteSaveBtn.addEventListener('click', this.handleDeleteSave.bind(this));
+
+        const exportSaveBtn = document.getElementById('export-save');
+        if (exportSaveBtn) exportSaveBtn.addEventListener('click', this.handleExportSave.bind(this));
+
+        const importSaveInput = document.getElementById('import-save');
+        if (importSaveInput) importSaveInput.addEventListener('change', this.handleImportSave.bind(this));
+
+        // NEW: Heat events and game over
+        const acceptHeatBtn = document.getElementById('accept-heat-event');
+        if (acceptHeatBtn) acceptHeatBtn.addEventListener('click', this.handleAcceptHeatEvent.bind(this));
+
+        const declineHeatBtn = document.getElementById('decline-heat-event');
+        if (declineHeatBtn) declineHeatBtn.addEventListener('click', this.handleDeclineHeatEvent.bind(this));
+
+        const newCampaignBtn = document.getElementById('new-campaign');
+        if (newCampaignBtn) newCampaignBtn.addEventListener('click', this.handleNewCampaign.bind(this));
+
         // Handle window resize for responsive canvas
         window.addEventListener('resize', this.handleResize.bind(this));
     }
 
     /**
-     * Handle contract dropdown selection
+     * Restart the random sequence from the seed entered in the Game State section
      */
-    async handleDropdownSelection(event) {
-        const contractKey = event.target.value;
-        if (!contractKey) return; // Empty selection
+    handleApplySeed() {
+        const seedInput = document.getElementById('seed-input');
+        if (!seedInput) return;
+
+        const seed = seedInput.value.trim();
+        if (seed === '') {
+            this.updateLoadingMessage('Enter a seed value first.');
+            return;
+        }
+
+        this.gameState.setSeed(seed);
+        seedInput.value = '';
+        this.uiManager.updateGameStateDisplay();
+        this.gameState.saveSessionState();
+        this.updateLoadingMessage(`Random seed set to ${this.gameState.getSeed()}. Generate new runners to use it.`);
+    }
+
+    /**
+     * NEW: Pay the pending heat payoff offer
+     */
+    handleAcceptHeatEvent() {
+        const result = acceptHeatPayoff(this.gameState);
+        this.updateLoadingMessage(result.message);
+        if (result.success) {
+            this.uiManager.updateGameStateDisplay();
+            this.gameState.saveSessionState();
+        }
+    }
+
+    /**
+     * NEW: Turn down the pending heat payoff offer
+     */
+    handleDeclineHeatEvent() {
+        declineHeatPayoff(this.gameState);
+        this.uiManager.updateGameStateDisplay();
+        this.gameState.saveSessionState();
+    }
+
+    /**
+     * NEW: Start over after a game over (keeps the loaded configuration)
+     */
+    handleNewCampaign() {
+        const config = this.gameState.balancingConfig;
+        this.gameState.resetSession();
+        this.gameState.playerMoney = config.playerStartingMoney;
+        this.gameState.setGeneratedRunners(generateRunnerBatch(
+            config.generatedRunnerBatchSize,
+            this.gameState.nameTable,
+            config,
+            this.gameState.rng,
+            this.gameState.playerLevel,
+            this.gameState.runnerTraits
+        ));
+        refillContractBoard(this.gameState);
+
+        this.uiManager.resetContractForNew();
+        this.uiManager.updateHiredRunnersDisplay();
+        this.uiManager.updateGameStateDisplay();
+        this.renderContractBoard();
+        this.uiManager.updateButtonStates();
+        this.gameState.saveSessionState();
+        this.updateLoadingMessage('New campaign started.');
+    }
+
+    /**
+     * Load the contract behind a contract board offer
+     * @param {string} offerId - Offer id
+     */
+    async handleTakeContractOffer(offerId) {
+        const offer = getContractOffer(this.gameState, offerId);
+        if (!offer) return;
 
         try {
             this.updateLoadingMessage('Loading contract from library...');
 
             // Load contract from library
-            const contractData = await this.csvLoader.loadFromLibrary(contractKey);
+            const contractData = await this.csvLoader.loadFromLibrary(offer.contractKey);
 
             if (contractData && contractData.length > 0) {
-                this.gameState.setContractData(contractData);
-
-                // Get contract name from library
-                const contractName = CONTRACT_LIBRARY[contractKey].name;
-                this.uiManager.updateContractDisplay(contractName);
+                this.gameState.setContractData(contractData, {
+                    key: offer.contractKey,
+                    name: offer.name,
+                    offer: offer,
+                    metadata: this.csvLoader.lastMetadata
+                });
+                this.showLoadedContract(offer.name, ` (x${offer.rewardMultiplier})`);
 
                 // Create and load visual contract data
                 if (this.visualRenderer) {
@@ -180,7 +308,7 @@ class JohnsonApp {
                     this.syncVisualWithGameState();
                 }
 
-                this.updateLoadingMessage(`Contract "${contractName}" loaded successfully.`);
+                this.updateLoadingMessage(`Contract "${offer.name}" loaded successfully.`);
 
                 // Enable execute button if runners are hired
                 const executeBtn = document.getElementById('execute-contract');
@@ -199,9 +327,9 @@ class JohnsonApp {
             console.error('Error loading contract from library:', error);
             this.updateLoadingMessage(`Error loading contract: ${error.message}`);
             this.uiManager.updateContractDisplay('Error loading contract');
-            // Reset dropdown
-            event.target.value = '';
         }
+
+        this.renderContractBoard();
     }
 
     /**
@@ -216,8 +344,8 @@ class JohnsonApp {
             const contractData = await this.csvLoader.loadFile(file);
 
             if (contractData && contractData.length > 0) {
-                this.gameState.setContractData(contractData);
-                this.uiManager.updateContractDisplay(file.name);
+                this.gameState.setContractData(contractData, { name: file.name, metadata: this.csvLoader.lastMetadata });
+                this.showLoadedContract(file.name);
 
                 // Create and load visual contract data
                 if (this.visualRenderer) {
@@ -235,9 +363,8 @@ class JohnsonApp {
                     executeBtn.disabled = this.gameState.hiredRunners.length === 0;
                 }
 
-                // Clear dropdown selection
-                const dropdown = document.getElementById('contract-dropdown');
-                if (dropdown) dropdown.value = '';
+                // Custom contracts are not a board offer
+                this.renderContractBoard();
             } else {
                 throw new Error('No valid data found in contract file');
             }
@@ -249,6 +376,54 @@ class JohnsonApp {
         }
     }
 
+    /**
+     * NEW: Generate a random contract tree and load it
+     */
+    handleGenerateContract() {
+        try {
+            if (typeof CONTRACT_NODE_POOL === 'undefined') {
+                throw new Error('Contract node pool not loaded');
+            }
+
+            const contractData = generateContract(CONTRACT_NODE_POOL, {}, this.gameState.rng);
+            const contractName = 'Generated Contract';
+            this.gameState.setContractData(contractData, { name: contractName });
+            this.showLoadedContract(contractName);
+
+            if (this.visualRenderer) {
+                this.visualRenderer.loadContract(this.csvLoader.createVisualContractData(contractData));
+                this.syncVisualWithGameState();
+            }
+
+            this.updateLoadingMessage(`Generated a contract with ${contractData.length} nodes.`);
+
+            // Enable execute button if runners are hired
+            const executeBtn = document.getElementById('execute-contract');
+            if (executeBtn) {
+                executeBtn.disabled = this.gameState.hiredRunners.length === 0;
+            }
+
+            // Generated contracts are not a board offer
+            this.renderContractBoard();
+        } catch (error) {
+            console.error('Error generating contract:', error);
+            this.updateLoadingMessage(`Error generating contract: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the loaded contract's title, briefing and terms, and refresh hiring (the contract's
+     * metadata can limit how many runners may be hired)
+     * @param {string} name - Name to show if the metadata has no title
+     * @param {string} suffix - Appended to the name, e.g. the offer's reward multiplier
+     */
+    showLoadedContract(name, suffix = '') {
+        const metadata = this.gameState.contractMetadata;
+        this.uiManager.updateContractDisplay(`${metadata.title || name}${suffix}`, metadata);
+        this.uiManager.updateHiredRunnersDisplay();
+        this.renderRunnerIndex();
+    }
+
     /**
      * Handle loading the example contract
      */
@@ -280,8 +455,8 @@ class JohnsonApp {
             const contractData = this.csvLoader.parseCSV(actualCsvText);
 
             if (contractData && contractData.length > 0) {
-                this.gameState.setContractData(contractData);
-                this.uiManager.updateContractDisplay('Contract_Example1.csv');
+                this.gameState.setContractData(contractData, { name: 'Contract_Example1.csv', metadata: this.csvLoader.lastMetadata });
+                this.showLoadedContract('Contract_Example1.csv');
 
                 // Create and load visual contract data
                 if (this.visualRenderer) {
@@ -310,6 +485,154 @@ class JohnsonApp {
     }
 
 
+    /**
+     * Save the game into the slot named in the save name field (or the selected slot)
+     */
+    handleSaveGame() {
+        const nameInput = document.getElementById('save-name');
+        const slotSelect = document.getElementById('save-slots');
+        const name = (nameInput && nameInput.value.trim()) || (slotSelect && slotSelect.value);
+
+        if (!name) {
+            this.updateLoadingMessage('Enter a save name first.');
+            return;
+        }
+
+        if (this.saveManager.saveToSlot(name, this.gameState)) {
+            if (nameInput) nameInput.value = '';
+            this.refreshSaveSlots(name);
+            this.updateLoadingMessage(`Game saved to "${name}".`);
+        } else {
+            this.updateLoadingMessage(`Could not save "${name}" (storage full or unavailable).`);
+        }
+    }
+
+    /**
+     * Load the selected save slot
+     */
+    handleLoadSave() {
+        const slotSelect = document.getElementById('save-slots');
+        const name = slotSelect ? slotSelect.value : '';
+        if (!name) {
+            this.updateLoadingMessage('Select a save to load.');
+            return;
+        }
+
+        const saveData = this.saveManager.loadFromSlot(name);
+        if (!saveData) {
+            this.updateLoadingMessage(`Save "${name}" could not be loaded.`);
+            return;
+        }
+
+        this.applyLoadedSave(saveData);
+    }
+
+    /**
+     * Delete the selected save slot
+     */
+    handleDeleteSave() {
+        const slotSelect = document.getElementById('save-slots');
+        const name = slotSelect ? slotSelect.value : '';
+        if (!name || !confirm(`Delete save "${name}"?`)) return;
+
+        this.saveManager.deleteSlot(name);
+        this.refreshSaveSlots();
+        this.updateLoadingMessage(`Deleted save "${name}".`);
+    }
+
+    /**
+     * Download the selected slot, or the current game if no slot is selected, as a JSON file
+     */
+    handleExportSave() {
+        const slotSelect = document.getElementById('save-slots');
+        const name = slotSelect ? slotSelect.value : '';
+
+        const saveData = name
+            ? this.saveManager.loadFromSlot(name)
+            : this.saveManager.createSaveData(this.gameState, 'current');
+
+        if (!saveData) {
+            this.updateLoadingMessage(`Save "${name}" could not be exported.`);
+            return;
+        }
+
+        this.saveManager.downloadSave(saveData);
+        this.updateLoadingMessage(`Exported save "${saveData.name}".`);
+    }
+
+    /**
+     * Load a save from a JSON file
+     */
+    async handleImportSave(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        try {
+            const saveData = this.saveManager.importFromJSON(await file.text());
+            this.applyLoadedSave(saveData);
+        } catch (error) {
+            console.error('Error importing save file:', error);
+            this.updateLoadingMessage(`Error importing save: ${error.message}`);
+        } finally {
+            event.target.value = '';
+        }
+    }
+
+    /**
+     * Restore save data into the game and rebuild the UI around it
+     * @param {Object} saveData - Save data from SaveManager
+     */
+    applyLoadedSave(saveData) {
+        const contractRestored = this.saveManager.applySaveData(this.gameState, saveData);
+        this.gameState.saveSessionState();
+
+        this.uiManager.updateHiredRunnersDisplay();
+        this.uiManager.updateGameStateDisplay();
+        this.renderContractBoard();
+
+        const progress = this.gameState.getContractProgress();
+        if (progress) {
+            this.showLoadedContract(progress.name || 'Saved contract');
+            if (this.visualRenderer) {
+                this.visualRenderer.loadContract(this.csvLoader.createVisualContractData(progress.rows));
+                this.syncVisualWithGameState();
+            }
+            this.uiManager.updatePoolsDisplay();
+        } else {
+            this.uiManager.resetContractForNew();
+        }
+        this.uiManager.updateButtonStates();
+
+        this.updateLoadingMessage(contractRestored
+            ? `Loaded save "${saveData.name}".`
+            : `Loaded save "${saveData.name}", but some selected nodes could not be restored.`);
+    }
+
+    /**
+     * Repopulate the save slot dropdown
+     * @param {string} selectedName - Slot to select afterwards (optional)
+     */
+    refreshSaveSlots(selectedName = '') {
+        const slotSelect = document.getElementById('save-slots');
+        if (!slotSelect) return;
+
+        const slots = this.saveManager.listSlots();
+        slotSelect.innerHTML = '';
+
+        if (slots.length === 0) {
+            slotSelect.appendChild(new Option('No saves', ''));
+            return;
+        }
+
+        slotSelect.appendChild(new Option('Select a save...', ''));
+        slots.forEach(slot => {
+            const date = new Date(slot.savedAt).toLocaleString();
+            const contract = slot.contractName ? `, ${slot.contractName}` : '';
+            slotSelect.appendChild(new Option(`${slot.name} (Lv ${slot.playerLevel}, $${slot.playerMoney}${contract}) - ${date}`, slot.name));
+        });
+        slotSelect.value = selectedName;
+    }
+
     /**
      * Handle node selection from visual prototype
      * @param {string} nodeId - ID of the node that was clicked
@@ -366,12 +689,24 @@ class JohnsonApp {
             return;
         }
 
+        if (this.gameState.gameOver) {
+            this.updateLoadingMessage('Game over - start a new campaign to take more contracts.');
+            return;
+        }
+
         // Validate that runners are hired
         if (this.gameState.hiredRunners.length === 0) {
             this.updateLoadingMessage('No runners hired. Please hire runners before executing contract.');
             return;
         }
 
+        // Runner limit and composition rules of the contract
+        const issues = this.gameState.getConfigurationIssues();
+        if (issues.length > 0) {
+            this.updateLoadingMessage(`Cannot execute contract: ${issues.join('; ')}`);
+            return;
+        }
+
         try {
             // Show loading state
             this.uiManager.setExecutionLoading(true);
@@ -388,6 +723,20 @@ class JohnsonApp {
                 level: this.gameState.playerLevel
             };
 
+            // NEW: Expected payout of the player's selection, plus a snapshot for the
+            // solver (resolution unhires the runners, so capture them now)
+            const offer = getActiveContractOffer(this.gameState);
+            const rewardMultiplier = offer ? offer.rewardMultiplier : 1;
+            const expectedPayout = calculateExpectedPayout(
+                this.gameState.currentPools,
+                this.gameState.balancingConfig,
+                this.gameState.getContractDamageTable(),
+                rewardMultiplier,
+                this.gameState.getContractBaseReward(),
+                getHeatDamageRolls(this.gameState)
+            );
+            const solverSnapshot = createSolverState(this.gameState);
+
             // Add small delay to show loading state
             await new Promise(resolve => setTimeout(resolve, 500));
 
@@ -418,13 +767,22 @@ class JohnsonApp {
                 finalRisk: resolutionResults.riskApplied,
                 moneyEarned: moneyEarned,
                 runnersLeveledUp: resolutionResults.runnersLeveledUp,
+                runnersRecovered: resolutionResults.runnersRecovered,
+                runnerEffects: resolutionResults.runnerEffects,
+                heat: resolutionResults.heat,
+                heatDamageRolls: resolutionResults.heatDamageRolls,
+                rewardMultiplier: resolutionResults.rewardMultiplier,
+                contractBoard: resolutionResults.contractBoard,
                 playerLevelGained: resolutionResults.playerLevelGained,
-                preventionApplied: this.formatPreventionInfo()
+                preventionApplied: this.formatPreventionInfo(),
+                expectedReward: expectedPayout.expectedReward,
+                expectedAddedRisk: expectedPayout.expectedAddedRisk
             };
 
             // Update UI with new game state
             this.uiManager.updateGameStateDisplay();
             this.uiManager.updateHiredRunnersDisplay(); // No runners hired after execution
+            this.renderContractBoard();
 
             // Clear loading state
             this.uiManager.setExecutionLoading(false);
@@ -432,6 +790,9 @@ class JohnsonApp {
             // Show results modal with damage rolls
             this.uiManager.showExecutionResults(executionResults);
 
+            // NEW: Solve for the best possible selection once the modal is visible
+            setTimeout(() => this.showBestPossible(solverSnapshot, rewardMultiplier), 0);
+
             // Update loading message
             if (executionResults.success) {
                 this.updateLoadingMessage('Contract completed successfully!');
@@ -461,6 +822,22 @@ class JohnsonApp {
         }
     }
 
+    /**
+     * NEW: Run the contract solver on a pre-execution snapshot and show the result
+     * @param {GameState} solverSnapshot - Snapshot from createSolverState()
+     * @param {Number} rewardMultiplier - Reward multiplier of the contract's board offer
+     */
+    showBestPossible(solverSnapshot, rewardMultiplier = 1) {
+        try {
+            // Smaller search limit than the CLI tools so the UI stays responsive
+            const bestPossible = solveContract(solverSnapshot, { maxStates: 5000, rewardMultiplier: rewardMultiplier });
+            this.uiManager.updateBestPossibleDisplay(bestPossible);
+        } catch (error) {
+            console.error('Contract solver failed:', error);
+            this.uiManager.updateBestPossibleDisplay(null);
+        }
+    }
+
     /**
      * Format prevention information for results display
      * @returns {string} Formatted prevention info
@@ -559,7 +936,10 @@ class JohnsonApp {
         const newRunners = generateRunnerBatch(
             this.gameState.balancingConfig.generatedRunnerBatchSize,
             this.gameState.nameTable,
-            this.gameState.balancingConfig
+            this.gameState.balancingConfig,
+            this.gameState.rng,
+            this.gameState.playerLevel,
+            this.gameState.runnerTraits
         );
         this.gameState.setGeneratedRunners(newRunners);
         this.renderRunnerIndex();
@@ -638,14 +1018,29 @@ class JohnsonApp {
                 <div class="runner-card-stat"><span>Hacker:</span><span>${runner.stats.hacker}</span></div>
                 <div class="runner-card-stat"><span>Ninja:</span><span>${runner.stats.ninja}</span></div>
             </div>
-            <div class="runner-card-state ${runner.runnerState.toLowerCase()}">${runner.runnerState}</div>
+            <div class="runner-card-state ${runner.runnerState.toLowerCase()}">${this.formatRunnerState(runner)}</div>
         `;
 
+        // NEW: Trait badges (description as tooltip)
+        const traits = getRunnerTraits(runner);
+        if (traits.length > 0) {
+            const traitList = document.createElement('div');
+            traitList.className = 'runner-card-traits';
+            traits.forEach(trait => {
+                const badge = document.createElement('span');
+                badge.className = 'runner-trait';
+                badge.textContent = trait.name;
+                badge.title = trait.description;
+                traitList.appendChild(badge);
+            });
+            card.insertBefore(traitList, card.querySelector('.runner-card-state'));
+        }
+
         // Add hire button
         const validation = validateHiring(runner, this.gameState);
         const hireButton = document.createElement('button');
         hireButton.className = 'hire-button';
-        hireButton.textContent = `Hire - $${this.gameState.balancingConfig.hiringCost}`;
+        hireButton.textContent = `Hire - $${getHiringCost(runner, this.gameState.balancingConfig, getCurrentHeatTier(this.gameState))}`;
         hireButton.disabled = !validation.canHire;
 
         if (!validation.canHire) {
@@ -675,6 +1070,104 @@ class JohnsonApp {
         });
 
         card.appendChild(hireButton);
+
+        // NEW: Paid treatment heals an injury early
+        if (runner.runnerState === 'Injured') {
+            card.appendChild(this.createTreatButton(runner));
+        }
+
+        return card;
+    }
+
+    /**
+     * NEW: Describe a runner's state, e.g. "Injured (Serious) - 2 contracts to recover"
+     */
+    formatRunnerState(runner) {
+        const injury = getRunnerInjury(runner, this.gameState.balancingConfig);
+        if (!injury) {
+            return runner.runnerState;
+        }
+        const contracts = injury.contractsRemaining === 1 ? 'contract' : 'contracts';
+        return `Injured (${getInjurySeverityName(injury.severity)}) - ${injury.contractsRemaining} ${contracts} to recover`;
+    }
+
+    /**
+     * NEW: Create the treat button for an injured runner's card
+     */
+    createTreatButton(runner) {
+        const validation = validateTreatment(runner, this.gameState);
+        const treatButton = document.createElement('button');
+        treatButton.className = 'hire-button treat-button';
+        treatButton.textContent = `Treat - $${getTreatmentCost(runner, this.gameState.balancingConfig)}`;
+        treatButton.disabled = !validation.canTreat;
+        if (!validation.canTreat) {
+            treatButton.title = validation.reason;
+        }
+
+        treatButton.addEventListener('click', () => {
+            const result = treatRunner(runner, this.gameState);
+            this.updateLoadingMessage(result.message);
+            if (result.success) {
+                this.renderRunnerIndex();
+                this.uiManager.updateHiredRunnersDisplay();
+                this.uiManager.updateGameStateDisplay();
+                this.gameState.saveSessionState();
+            }
+        });
+
+        return treatButton;
+    }
+
+    /**
+     * NEW: Render the contract board offers
+     */
+    renderContractBoard() {
+        const board = document.getElementById('contract-board');
+        if (!board) return;
+
+        board.innerHTML = '';
+
+        if (this.gameState.contractBoard.length === 0) {
+            board.textContent = 'No contracts on offer';
+            return;
+        }
+
+        this.gameState.contractBoard.forEach(offer => {
+            board.appendChild(this.createContractOfferCard(offer));
+        });
+    }
+
+    /**
+     * NEW: Create a contract board offer card
+     */
+    createContractOfferCard(offer) {
+        const active = getActiveContractOffer(this.gameState);
+
+        const card = document.createElement('div');
+        card.className = 'contract-offer';
+        if (active && active.id === offer.id) {
+            card.classList.add('active');
+        }
+        card.title = `${offer.description}\n${offer.analysis.nodeCount} nodes, ` +
+            `${offer.analysis.damageSources} damage sources, ${offer.analysis.gateCount} gates`;
+
+        const contracts = offer.expiresIn === 1 ? 'contract' : 'contracts';
+        card.innerHTML = `
+            <div class="contract-offer-name">${offer.name}</div>
+            <div class="contract-offer-details">
+                <span class="contract-offer-difficulty">${'★'.repeat(offer.difficulty)}</span>
+                <span>x${offer.rewardMultiplier}</span>
+                <span>${offer.expiresIn} ${contracts} left</span>
+            </div>
+        `;
+
+        const takeButton = document.createElement('button');
+        takeButton.className = 'btn btn-secondary';
+        takeButton.textContent = 'Take';
+        takeButton.disabled = this.gameState.gameOver;
+        takeButton.addEventListener('click', () => this.handleTakeContractOffer(offer.id));
+        card.appendChild(takeButton);
+
         return card;
     }
 
@@ -704,38 +1197,8 @@ class JohnsonApp {
     }
 }
 
-// Populate contract dropdown from CONTRACT_LIBRARY
-function populateContractDropdown() {
-    const dropdown = document.getElementById('contract-dropdown');
-    if (!dropdown || typeof CONTRACT_LIBRARY === 'undefined') {
-        console.warn('Contract dropdown or CONTRACT_LIBRARY not available');
-        return;
-    }
-
-    // Get all contract keys and sort them alphabetically by name
-    const contracts = Object.keys(CONTRACT_LIBRARY).map(key => ({
-        key: key,
-        name: CONTRACT_LIBRARY[key].name,
-        description: CONTRACT_LIBRARY[key].description
-    })).sort((a, b) => a.name.localeCompare(b.name));
-
-    // Populate dropdown with sorted contracts
-    contracts.forEach(contract => {
-        const option = document.createElement('option');
-        option.value = contract.key;
-        option.textContent = contract.name;
-        option.title = contract.description; // Tooltip showing description
-        dropdown.appendChild(option);
-    });
-
-    console.log(`Loaded ${contracts.length} contracts into dropdown`);
-}
-
 // Initialize application when DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
-    // Populate contract dropdown first
-    populateContractDropdown();
-
     const app = new JohnsonApp();
 
     // Make app available globally for debugging
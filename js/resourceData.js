@@ -9,7 +9,7 @@
  * Run: node Tools/generate-balancing-embedded.js
  * Or use: generate-balancing.bat
  *
- * Generated: 2025-10-10T07:39:56.627Z
+ * Generated: 2026-10-19T18:50:24.227Z
  */
 
 // Balancing Configuration Data
@@ -23,7 +23,25 @@ const BALANCING_DATA = {
     "runnerRandomStatAllocation": 2,
     "damageRollDelay": 200,
     "maxDamageRollValue": 100,
-    "playerStartingMoney": 500
+    "playerStartingMoney": 500,
+    "runnerLevelPerPlayerLevel": 0.5,
+    "runnerLevelSpread": 1,
+    "hiringCostPerLevel": 50,
+    "runnerTraitsPerRunner": 1,
+    "injuryMaxSeverity": 3,
+    "injuryRecoveryPerSeverity": 1,
+    "injuryStatPenaltyPerSeverity": 1,
+    "treatmentCostPerContract": 75,
+    "heatPayoffRiskReduction": 5,
+    "contractBoardSize": 3,
+    "contractOfferMinExpiry": 2,
+    "contractOfferMaxExpiry": 4,
+    "contractRewardPerDifficulty": 0.15,
+    "runnerSlotCount": 3,
+    "damageTargetWeightPerNode": 0.25,
+    "damageTargetWeightPerMuscle": 0.05,
+    "damageTargetWeightPerNinja": -0.05,
+    "damageTargetMinWeight": 0.1
 };
 
 // Runner Name Table Data
@@ -274,9 +292,569 @@ const DAMAGE_TABLE = [
     }
 ];
 
+// Runner Traits Data
+const RUNNER_TRAITS = [
+    {
+        "name": "Shadow",
+        "weight": 10,
+        "effect": "+1 Veil per NodeColor:Purple",
+        "injuryWeight": 1,
+        "hiringCostPercent": 0,
+        "description": "+1 Veil for each selected Purple node"
+    },
+    {
+        "name": "Bruiser",
+        "weight": 10,
+        "effect": "+1 Grit per NodeColor:Red",
+        "injuryWeight": 1,
+        "hiringCostPercent": 0,
+        "description": "+1 Grit for each selected Red node"
+    },
+    {
+        "name": "Negotiator",
+        "weight": 10,
+        "effect": "+50 Money per NodeColor:Yellow",
+        "injuryWeight": 1,
+        "hiringCostPercent": 0,
+        "description": "+50 Money for each selected Yellow node"
+    },
+    {
+        "name": "Ghost",
+        "weight": 8,
+        "effect": "-1 Risk",
+        "injuryWeight": 1,
+        "hiringCostPercent": 10,
+        "description": "-1 Risk on every contract"
+    },
+    {
+        "name": "Lucky",
+        "weight": 8,
+        "effect": "",
+        "injuryWeight": 0.5,
+        "hiringCostPercent": 0,
+        "description": "Half as likely to be chosen for Injury or Death"
+    },
+    {
+        "name": "Reckless",
+        "weight": 8,
+        "effect": "+1 Damage",
+        "injuryWeight": 2,
+        "hiringCostPercent": -25,
+        "description": "Works cheap but draws fire: +1 Damage and twice as likely to be hurt"
+    },
+    {
+        "name": "Bargain",
+        "weight": 10,
+        "effect": "",
+        "injuryWeight": 1,
+        "hiringCostPercent": -20,
+        "description": "Hiring cost is 20% lower"
+    },
+    {
+        "name": "Veteran",
+        "weight": 6,
+        "effect": "%10 Money",
+        "injuryWeight": 1,
+        "hiringCostPercent": 30,
+        "description": "+10% Money but hiring cost is 30% higher"
+    }
+];
+
+// Heat Tiers Data
+const HEAT_TIERS = [
+    {
+        "name": "Cold",
+        "minRisk": 0,
+        "hiringCostPercent": 0,
+        "extraDamageRolls": 0,
+        "payoffCostPerRisk": 0,
+        "gameOver": false,
+        "description": "Nobody is looking for you"
+    },
+    {
+        "name": "Warm",
+        "minRisk": 10,
+        "hiringCostPercent": 10,
+        "extraDamageRolls": 0,
+        "payoffCostPerRisk": 0,
+        "gameOver": false,
+        "description": "Fixers charge more to work with you"
+    },
+    {
+        "name": "Hot",
+        "minRisk": 20,
+        "hiringCostPercent": 25,
+        "extraDamageRolls": 1,
+        "payoffCostPerRisk": 40,
+        "gameOver": false,
+        "description": "Corp security is on alert"
+    },
+    {
+        "name": "Burning",
+        "minRisk": 35,
+        "hiringCostPercent": 50,
+        "extraDamageRolls": 2,
+        "payoffCostPerRisk": 60,
+        "gameOver": false,
+        "description": "Every job draws a response"
+    },
+    {
+        "name": "Burned",
+        "minRisk": 50,
+        "hiringCostPercent": 0,
+        "extraDamageRolls": 0,
+        "payoffCostPerRisk": 0,
+        "gameOver": true,
+        "description": "Your cover is blown and the crew scatters"
+    }
+];
+
+// Contract Generator Node Pool Data
+const CONTRACT_NODE_POOL = [
+    {
+        "role": "Entry",
+        "color": "Grey",
+        "weight": 10,
+        "description": "Server Farm Entrance",
+        "effectDescription": "+1 Risk\n+1 Damage",
+        "effects": [
+            "+1 Risk",
+            "+1 Damage"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Entry",
+        "color": "Grey",
+        "weight": 10,
+        "description": "Loading Dock",
+        "effectDescription": "+1 Risk",
+        "effects": [
+            "+1 Risk"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Entry",
+        "color": "Grey",
+        "weight": 8,
+        "description": "Rooftop Landing",
+        "effectDescription": "+1 Damage",
+        "effects": [
+            "+1 Damage"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Checkpoint",
+        "color": "Grey",
+        "weight": 10,
+        "description": "Main Building Lobby",
+        "effectDescription": "+1 Risk\n+1 Damage",
+        "effects": [
+            "+1 Risk",
+            "+1 Damage"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Checkpoint",
+        "color": "Grey",
+        "weight": 10,
+        "description": "Security Hub",
+        "effectDescription": "+1 Risk\n+1 Damage",
+        "effects": [
+            "+1 Risk",
+            "+1 Damage"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Checkpoint",
+        "color": "Grey",
+        "weight": 8,
+        "description": "Vault Antechamber",
+        "effectDescription": "+2 Risk",
+        "effects": [
+            "+2 Risk"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Checkpoint",
+        "color": "Grey",
+        "weight": 8,
+        "description": "Data Core Room",
+        "effectDescription": "+1 Risk\n+1 Damage",
+        "effects": [
+            "+1 Risk",
+            "+1 Damage"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Exit",
+        "color": "Grey",
+        "weight": 10,
+        "description": "Extraction Point",
+        "effectDescription": "No Effect",
+        "effects": [],
+        "gateCondition": ""
+    },
+    {
+        "role": "Exit",
+        "color": "Grey",
+        "weight": 8,
+        "description": "Getaway Van",
+        "effectDescription": "+1 Risk",
+        "effects": [
+            "+1 Risk"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Exit",
+        "color": "Grey",
+        "weight": 6,
+        "description": "Escape after the Alarm",
+        "effectDescription": "+1 Risk\n+1 Damage",
+        "effects": [
+            "+1 Risk",
+            "+1 Damage"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Red",
+        "weight": 10,
+        "description": "Blast Through the Wall",
+        "effectDescription": "+2 Grit",
+        "effects": [
+            "+2 Grit"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Red",
+        "weight": 8,
+        "description": "Take Down the Guards",
+        "effectDescription": "+2 Grit for each Muscle",
+        "effects": [
+            "+2 Grit per RunnerType:Muscle"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Red",
+        "weight": 6,
+        "description": "Grab the Cash Box",
+        "effectDescription": "+200 Money\n+1 Damage",
+        "effects": [
+            "+200 Money",
+            "+1 Damage"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Red",
+        "weight": 8,
+        "description": "Fight Your Way Through",
+        "effectDescription": "+3 Grit\n+1 Damage",
+        "effects": [
+            "+3 Grit",
+            "+1 Damage"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Blue",
+        "weight": 10,
+        "description": "Hack the Door Controls",
+        "effectDescription": "+2 Veil",
+        "effects": [
+            "+2 Veil"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Blue",
+        "weight": 8,
+        "description": "Loop the Camera Feeds",
+        "effectDescription": "+1 Veil for each Hacker",
+        "effects": [
+            "+1 Veil per RunnerType:Hacker"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Blue",
+        "weight": 6,
+        "description": "Copy the Payroll Database",
+        "effectDescription": "+150 Money\n+1 Risk",
+        "effects": [
+            "+150 Money",
+            "+1 Risk"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Blue",
+        "weight": 8,
+        "description": "Take Over the Security Drones",
+        "effectDescription": "+1 Grit\n+1 Veil",
+        "effects": [
+            "+1 Grit",
+            "+1 Veil"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Purple",
+        "weight": 10,
+        "description": "Slip Past the Patrols",
+        "effectDescription": "+2 Veil",
+        "effects": [
+            "+2 Veil"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Purple",
+        "weight": 8,
+        "description": "Crawl Through the Vents",
+        "effectDescription": "+2 Veil for each Ninja",
+        "effects": [
+            "+2 Veil per RunnerType:Ninja"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Purple",
+        "weight": 6,
+        "description": "Lift the Keycards",
+        "effectDescription": "+100 Money\n+1 Risk",
+        "effects": [
+            "+100 Money",
+            "+1 Risk"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Purple",
+        "weight": 8,
+        "description": "Stick to the Shadows",
+        "effectDescription": "+3 Veil\n+1 Risk",
+        "effects": [
+            "+3 Veil",
+            "+1 Risk"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Yellow",
+        "weight": 10,
+        "description": "Bribe the Night Guard",
+        "effectDescription": "+100 Money\n+1 Risk",
+        "effects": [
+            "+100 Money",
+            "+1 Risk"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Yellow",
+        "weight": 8,
+        "description": "Talk Your Way In",
+        "effectDescription": "+2 Veil for each Face",
+        "effects": [
+            "+2 Veil per RunnerType:Face"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Yellow",
+        "weight": 8,
+        "description": "Pose as Inspectors",
+        "effectDescription": "+1 Veil\n+1 Grit",
+        "effects": [
+            "+1 Veil",
+            "+1 Grit"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Branch",
+        "color": "Yellow",
+        "weight": 6,
+        "description": "Sell Out a Rival Crew",
+        "effectDescription": "+250 Money\n+2 Risk",
+        "effects": [
+            "+250 Money",
+            "+2 Risk"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Gate",
+        "color": "Red",
+        "weight": 10,
+        "description": "",
+        "effectDescription": "≥ 4 Muscle",
+        "effects": [],
+        "gateCondition": "RunnerStat:muscle;4"
+    },
+    {
+        "role": "Gate",
+        "color": "Red",
+        "weight": 6,
+        "description": "",
+        "effectDescription": "Muscle on the team",
+        "effects": [],
+        "gateCondition": "RunnerType:muscle;1"
+    },
+    {
+        "role": "Gate",
+        "color": "Blue",
+        "weight": 10,
+        "description": "",
+        "effectDescription": "≥ 4 Hacker",
+        "effects": [],
+        "gateCondition": "RunnerStat:hacker;4"
+    },
+    {
+        "role": "Gate",
+        "color": "Blue",
+        "weight": 6,
+        "description": "",
+        "effectDescription": "Hacker on the team",
+        "effects": [],
+        "gateCondition": "RunnerType:hacker;1"
+    },
+    {
+        "role": "Gate",
+        "color": "Purple",
+        "weight": 10,
+        "description": "",
+        "effectDescription": "≥ 4 Ninja",
+        "effects": [],
+        "gateCondition": "RunnerStat:ninja;4"
+    },
+    {
+        "role": "Gate",
+        "color": "Purple",
+        "weight": 6,
+        "description": "",
+        "effectDescription": "Ninja on the team",
+        "effects": [],
+        "gateCondition": "RunnerType:ninja;1"
+    },
+    {
+        "role": "Gate",
+        "color": "Yellow",
+        "weight": 10,
+        "description": "",
+        "effectDescription": "≥ 4 Face",
+        "effects": [],
+        "gateCondition": "RunnerStat:face;4"
+    },
+    {
+        "role": "Gate",
+        "color": "Yellow",
+        "weight": 6,
+        "description": "",
+        "effectDescription": "Face on the team",
+        "effects": [],
+        "gateCondition": "RunnerType:face;1"
+    },
+    {
+        "role": "Synergy",
+        "color": "Green",
+        "weight": 10,
+        "description": "Versatile Approach",
+        "effectDescription": "+10% Reward for each color chosen",
+        "effects": [
+            "%10 Money per ColorForEach"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Synergy",
+        "color": "Green",
+        "weight": 8,
+        "description": "Tech Savvy",
+        "effectDescription": "+10% Reward for each Blue node chosen",
+        "effects": [
+            "%10 Money per NodeColor:Blue"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Synergy",
+        "color": "Green",
+        "weight": 8,
+        "description": "Muscle Memory",
+        "effectDescription": "+10% Reward for each Red node chosen",
+        "effects": [
+            "%10 Money per NodeColor:Red"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Synergy",
+        "color": "Green",
+        "weight": 8,
+        "description": "Ghost Protocol",
+        "effectDescription": "+10% Reward for each Purple node chosen",
+        "effects": [
+            "%10 Money per NodeColor:Purple"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Synergy",
+        "color": "Green",
+        "weight": 8,
+        "description": "Smooth Operator",
+        "effectDescription": "+10% Reward for each Yellow node chosen",
+        "effects": [
+            "%10 Money per NodeColor:Yellow"
+        ],
+        "gateCondition": ""
+    },
+    {
+        "role": "Synergy",
+        "color": "Green",
+        "weight": 6,
+        "description": "Risk Averse",
+        "effectDescription": "+15% Reward for each Damage and Risk pair prevented",
+        "effects": [
+            "%15 Money per RiskDamPair"
+        ],
+        "gateCondition": ""
+    }
+];
+
 console.log('Resource data loaded:', {
     balancingParams: Object.keys(BALANCING_DATA).length,
     firstNameParts: RUNNER_NAME_TABLE.firstParts.length,
     secondNameParts: RUNNER_NAME_TABLE.secondParts.length,
-    damageTableEntries: DAMAGE_TABLE.length
+    damageTableEntries: DAMAGE_TABLE.length,
+    runnerTraits: RUNNER_TRAITS.length,
+    heatTiers: HEAT_TIERS.length,
+    contractNodePool: CONTRACT_NODE_POOL.length
 });
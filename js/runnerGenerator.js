@@ -5,24 +5,32 @@
 
 /**
  * Generate a single runner
- * @param {Number} level - Runner level (default 1 for MVP)
+ * @param {Number} level - Runner level (see rollRunnerLevel)
  * @param {Array} firstNameParts - Available first name parts
  * @param {Array} secondNameParts - Available second name parts
  * @param {Object} balancingConfig - Balancing configuration
+ * @param {SeededRandom} rng - Random source (GameState.rng); a randomly seeded one is used if omitted
+ * @param {Array} traitTable - Trait definitions to roll from (GameState.runnerTraits); none if omitted
  * @returns {Object} Generated runner object
  */
-function generateRunner(level, firstNameParts, secondNameParts, balancingConfig) {
-    // Generate unique ID
-    const id = `RUNNER_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+function generateRunner(level, firstNameParts, secondNameParts, balancingConfig, rng, traitTable = []) {
+    rng = rng || new SeededRandom();
+
+    // Generate unique ID from the random source, so a seed always gives the same IDs
+    // (one draw from 36^6 values, e.g. RUNNER_K3F9ZQ)
+    const id = `RUNNER_${rng.nextInt(Math.pow(36, 6)).toString(36).toUpperCase().padStart(6, '0')}`;
 
     // Randomly select runner type
-    const runnerType = randomRunnerType();
+    const runnerType = randomRunnerType(rng);
 
     // Generate name
-    const name = generateRunnerName(firstNameParts, secondNameParts);
+    const name = generateRunnerName(firstNameParts, secondNameParts, rng);
 
     // Allocate stats
-    const stats = allocateStats(runnerType, level, balancingConfig);
+    const stats = allocateStats(runnerType, level, balancingConfig, rng);
+
+    // Roll traits
+    const traits = rollRunnerTraits(traitTable, balancingConfig.runnerTraitsPerRunner || 0, rng);
 
     // Create runner object
     const runner = {
@@ -31,6 +39,7 @@ function generateRunner(level, firstNameParts, secondNameParts, balancingConfig)
         level: level,
         runnerType: runnerType,
         stats: stats,
+        traits: traits,
         runnerState: 'Ready',
         hiringState: 'Unhired',
         timesHired: 0,
@@ -47,24 +56,50 @@ function generateRunner(level, firstNameParts, secondNameParts, balancingConfig)
  * @param {Number} batchSize - Number of runners to generate
  * @param {Object} nameTable - Object with firstParts and secondParts arrays
  * @param {Object} balancingConfig - Balancing configuration
+ * @param {SeededRandom} rng - Random source (GameState.rng)
+ * @param {Number} playerLevel - Player level the runner levels scale with (default 0)
+ * @param {Array} traitTable - Trait definitions to roll from (default none)
  * @returns {Array<Object>} Array of generated runners
  */
-function generateRunnerBatch(batchSize, nameTable, balancingConfig) {
+function generateRunnerBatch(batchSize, nameTable, balancingConfig, rng, playerLevel = 0, traitTable = []) {
+    rng = rng || new SeededRandom();
+
     const runners = [];
     for (let i = 0; i < batchSize; i++) {
-        const runner = generateRunner(1, nameTable.firstParts, nameTable.secondParts, balancingConfig);
+        const level = rollRunnerLevel(playerLevel, balancingConfig, rng);
+        const runner = generateRunner(level, nameTable.firstParts, nameTable.secondParts, balancingConfig, rng, traitTable);
         runners.push(runner);
     }
     return runners;
 }
 
+/**
+ * Roll the level of a generated runner
+ * Levels are spread evenly around 1 + playerLevel * runnerLevelPerPlayerLevel
+ * (rounded down), up to runnerLevelSpread levels either way, and never below 1
+ * @param {Number} playerLevel - Current player level
+ * @param {Object} balancingConfig - Balancing configuration
+ * @param {SeededRandom} rng - Random source
+ * @returns {Number} Runner level
+ */
+function rollRunnerLevel(playerLevel, balancingConfig, rng) {
+    const levelPerPlayerLevel = balancingConfig.runnerLevelPerPlayerLevel || 0;
+    const spread = Math.max(0, Math.floor(balancingConfig.runnerLevelSpread || 0));
+
+    const centerLevel = 1 + Math.floor((playerLevel || 0) * levelPerPlayerLevel);
+    const level = spread > 0 ? centerLevel + rng.nextRange(-spread, spread) : centerLevel;
+
+    return Math.max(1, level);
+}
+
 /**
  * Randomly select runner type
+ * @param {SeededRandom} rng - Random source
  * @returns {String} "Hacker" | "Face" | "Muscle" | "Ninja"
  */
-function randomRunnerType() {
+function randomRunnerType(rng) {
     const types = ['Hacker', 'Face', 'Muscle', 'Ninja'];
-    return types[Math.floor(Math.random() * types.length)];
+    return rng.pick(types);
 }
 
 /**
@@ -73,13 +108,15 @@ function randomRunnerType() {
  * - Level 1: 4 points total (2 to main stat, 2 random)
  * - Main stat gets mainStatAllocation points (default 2)
  * - Remaining points distributed randomly
+ * - Each level above 1 adds runnerLevelUpStatGain points, as if the runner had leveled up
  *
  * @param {String} runnerType - Runner type
  * @param {Number} level - Runner level
  * @param {Object} balancingConfig - Balancing configuration
+ * @param {SeededRandom} rng - Random source
  * @returns {Object} Stats object {face, muscle, hacker, ninja}
  */
-function allocateStats(runnerType, level, balancingConfig) {
+function allocateStats(runnerType, level, balancingConfig, rng) {
     // Initialize all stats to 0
     const stats = {
         face: 0,
@@ -88,40 +125,148 @@ function allocateStats(runnerType, level, balancingConfig) {
         ninja: 0
     };
 
+    const mainStatAllocation = balancingConfig.runnerMainStatAllocation || 2;
+    const randomStatAllocation = balancingConfig.runnerRandomStatAllocation || 2;
+    allocateStatPoints(stats, runnerType, mainStatAllocation + randomStatAllocation, balancingConfig, rng);
+
+    for (let currentLevel = 1; currentLevel < level; currentLevel++) {
+        allocateStatPoints(stats, runnerType, getLevelUpStatGain(balancingConfig), balancingConfig, rng);
+    }
+
+    return stats;
+}
+
+/**
+ * Add stat points to a stats object using the allocation rules of allocateStats()
+ * The main stat receives up to runnerMainStatAllocation points, the rest go to random stats
+ * @param {Object} stats - Stats object to modify {face, muscle, hacker, ninja}
+ * @param {String} runnerType - Runner type (its stat is the main stat)
+ * @param {Number} points - Total points to allocate
+ * @param {Object} balancingConfig - Balancing configuration
+ * @param {SeededRandom} rng - Random source
+ * @returns {Object} Points added per stat {face, muscle, hacker, ninja}
+ */
+function allocateStatPoints(stats, runnerType, points, balancingConfig, rng) {
+    const gains = { face: 0, muscle: 0, hacker: 0, ninja: 0 };
+
     // Determine main stat based on runner type
     const mainStatKey = runnerType.toLowerCase();
 
     // Allocate main stat points
-    const mainStatAllocation = balancingConfig.runnerMainStatAllocation || 2;
-    stats[mainStatKey] = mainStatAllocation;
+    const mainStatAllocation = Math.min(points, balancingConfig.runnerMainStatAllocation || 2);
+    gains[mainStatKey] += mainStatAllocation;
 
     // Allocate random stat points
-    const randomStatAllocation = balancingConfig.runnerRandomStatAllocation || 2;
     const statKeys = ['face', 'muscle', 'hacker', 'ninja'];
-
-    for (let i = 0; i < randomStatAllocation; i++) {
+    for (let i = 0; i < points - mainStatAllocation; i++) {
         // Pick a random stat
-        const randomStatKey = statKeys[Math.floor(Math.random() * statKeys.length)];
-        stats[randomStatKey] += 1;
+        const randomStatKey = rng.pick(statKeys);
+        gains[randomStatKey] += 1;
     }
 
-    return stats;
+    statKeys.forEach(stat => {
+        stats[stat] = (stats[stat] || 0) + gains[stat];
+    });
+
+    return gains;
+}
+
+/**
+ * Level up a runner and grow its stats by runnerLevelUpStatGain points
+ * @param {Object} runner - Runner object (modified in place)
+ * @param {Object} balancingConfig - Balancing configuration
+ * @param {SeededRandom} rng - Random source
+ * @returns {Object} Level-up record {runner, name, levelBefore, levelAfter, statsBefore, statsAfter, statGains}
+ */
+function levelUpRunner(runner, balancingConfig, rng) {
+    const levelBefore = runner.level;
+    const statsBefore = { ...runner.stats };
+
+    runner.level += 1;
+    const statGains = allocateStatPoints(runner.stats, runner.runnerType, getLevelUpStatGain(balancingConfig), balancingConfig, rng);
+
+    return {
+        runner: runner,
+        name: runner.name,
+        levelBefore: levelBefore,
+        levelAfter: runner.level,
+        statsBefore: statsBefore,
+        statsAfter: { ...runner.stats },
+        statGains: statGains
+    };
+}
+
+/**
+ * Stat points gained per level (runnerLevelUpStatGain, default 4)
+ * @param {Object} balancingConfig - Balancing configuration
+ * @returns {Number} Stat points
+ */
+function getLevelUpStatGain(balancingConfig) {
+    return balancingConfig.runnerLevelUpStatGain !== undefined ? balancingConfig.runnerLevelUpStatGain : 4;
+}
+
+/**
+ * Roll distinct traits for a runner, weighted by each trait's weight
+ * Runners keep a copy of their trait definitions so saved runners stay unchanged
+ * when runner_traits.csv is edited
+ * @param {Array} traitTable - Trait definitions {name, weight, effect, injuryWeight, hiringCostPercent, description}
+ * @param {Number} count - Number of traits to roll
+ * @param {SeededRandom} rng - Random source
+ * @returns {Array<Object>} Rolled traits (fewer than count if the table runs out)
+ */
+function rollRunnerTraits(traitTable, count, rng) {
+    const remaining = (traitTable || []).filter(trait => trait.weight > 0);
+    const traits = [];
+
+    for (let i = 0; i < count && remaining.length > 0; i++) {
+        const trait = rng.pickWeighted(remaining, candidate => candidate.weight);
+        remaining.splice(remaining.indexOf(trait), 1);
+        traits.push({
+            name: trait.name,
+            effect: trait.effect || '',
+            injuryWeight: trait.injuryWeight !== undefined ? trait.injuryWeight : 1,
+            hiringCostPercent: trait.hiringCostPercent || 0,
+            description: trait.description || ''
+        });
+    }
+
+    return traits;
+}
+
+/**
+ * Get a runner's traits (runners generated before traits existed have none)
+ * @param {Object} runner - Runner object
+ * @returns {Array<Object>} Trait list
+ */
+function getRunnerTraits(runner) {
+    return Array.isArray(runner.traits) ? runner.traits : [];
+}
+
+/**
+ * Combined chance multiplier for a runner being picked as a damage target
+ * (product of its traits' injury weights; 1 for runners without traits)
+ * @param {Object} runner - Runner object
+ * @returns {Number} Target weight
+ */
+function getRunnerTargetWeight(runner) {
+    return getRunnerTraits(runner).reduce((weight, trait) => weight * Math.max(0, trait.injuryWeight), 1);
 }
 
 /**
  * Generate random runner name from name table
  * @param {Array} firstParts - First name parts
  * @param {Array} secondParts - Second name parts
+ * @param {SeededRandom} rng - Random source
  * @returns {String} Generated name
  */
-function generateRunnerName(firstParts, secondParts) {
+function generateRunnerName(firstParts, secondParts, rng) {
     if (!firstParts || firstParts.length === 0 || !secondParts || secondParts.length === 0) {
         console.warn('Name table not loaded, using default name');
         return 'Runner Unknown';
     }
 
-    const firstName = firstParts[Math.floor(Math.random() * firstParts.length)];
-    const secondName = secondParts[Math.floor(Math.random() * secondParts.length)];
+    const firstName = rng.pick(firstParts);
+    const secondName = rng.pick(secondParts);
 
     return `${firstName} ${secondName}`;
 }
@@ -16,8 +16,9 @@ function hireRunner(runner, gameState) {
         return {success: false, message: validation.reason, slot: -1};
     }
 
-    // Deduct money
-    gameState.playerMoney -= gameState.balancingConfig.hiringCost;
+    // Deduct money (remembered so unhiring refunds exactly what was paid)
+    runner.hiringCostPaid = getHiringCost(runner, gameState.balancingConfig, getCurrentHeatTier(gameState));
+    gameState.playerMoney -= runner.hiringCostPaid;
 
     // Add to hired runners
     gameState.hiredRunners.push(runner);
@@ -42,6 +43,37 @@ function hireRunner(runner, gameState) {
     };
 }
 
+/**
+ * Get the cost of hiring a runner: hiringCost plus hiringCostPerLevel for each level above 1,
+ * then adjusted by the runner's trait hiring cost percentages and the heat tier's
+ * hiring cost percentage (rounded, never negative)
+ * @param {Object} runner - Runner to hire
+ * @param {Object} balancingConfig - Balancing configuration
+ * @param {Object|null} heatTier - Current heat tier (see getCurrentHeatTier), if any
+ * @returns {Number} Hiring cost
+ */
+function getHiringCost(runner, balancingConfig, heatTier = null) {
+    const levelsAboveFirst = Math.max(0, (runner.level || 1) - 1);
+    const baseCost = balancingConfig.hiringCost + levelsAboveFirst * (balancingConfig.hiringCostPerLevel || 0);
+
+    const traitPercent = getRunnerTraits(runner).reduce((total, trait) => total + (trait.hiringCostPercent || 0), 0);
+    const heatPercent = heatTier ? (heatTier.hiringCostPercent || 0) : 0;
+    return Math.max(0, Math.round(baseCost * (1 + traitPercent / 100) * (1 + heatPercent / 100)));
+}
+
+/**
+ * Amount refunded when a hired runner is let go: what was paid at hiring time
+ * @param {Object} runner - Hired runner
+ * @param {GameState} gameState - Current game state
+ * @returns {Number} Refund
+ */
+function getHiringRefund(runner, gameState) {
+    if (typeof runner.hiringCostPaid === 'number') {
+        return runner.hiringCostPaid;
+    }
+    return getHiringCost(runner, gameState.balancingConfig, getCurrentHeatTier(gameState));
+}
+
 /**
  * Validate if runner can be hired
  * @param {Object} runner - Runner to validate
@@ -49,6 +81,11 @@ function hireRunner(runner, gameState) {
  * @returns {Object} {canHire: boolean, reason: string}
  */
 function validateHiring(runner, gameState) {
+    // No hiring once the campaign is over
+    if (gameState.gameOver) {
+        return {canHire: false, reason: 'Game over'};
+    }
+
     // Check if runner is dead
     if (runner.runnerState === 'Dead') {
         return {canHire: false, reason: 'Runner is dead'};
@@ -59,13 +96,17 @@ function validateHiring(runner, gameState) {
         return {canHire: false, reason: 'Already hired'};
     }
 
-    // Check if slots are full
-    if (gameState.hiredRunners.length >= 3) {
-        return {canHire: false, reason: 'All slots full'};
+    // Check if slots are full (the loaded contract can set its own runner limit)
+    const maxHiredRunners = gameState.getMaxHiredRunners();
+    if (gameState.hiredRunners.length >= maxHiredRunners) {
+        const reason = gameState.contractMetadata.maxHiredRunners
+            ? `Contract allows only ${maxHiredRunners} runner${maxHiredRunners === 1 ? '' : 's'}`
+            : 'All slots full';
+        return {canHire: false, reason: reason};
     }
 
     // Check if player has enough money
-    if (gameState.playerMoney < gameState.balancingConfig.hiringCost) {
+    if (gameState.playerMoney < getHiringCost(runner, gameState.balancingConfig, getCurrentHeatTier(gameState))) {
         return {canHire: false, reason: 'Not enough money'};
     }
 
@@ -92,7 +133,7 @@ function unhireRunner(runner, gameState) {
     runner.hiringState = 'Unhired';
 
     // Refund money
-    gameState.playerMoney += gameState.balancingConfig.hiringCost;
+    gameState.playerMoney += getHiringRefund(runner, gameState);
 
     // Recalculate pools
     gameState.calculateCurrentPools();
@@ -110,7 +151,7 @@ function unhireAllRunners(gameState) {
     });
 
     // Refund money for all runners
-    const refundAmount = gameState.hiredRunners.length * gameState.balancingConfig.hiringCost;
+    const refundAmount = gameState.hiredRunners.reduce((total, runner) => total + getHiringRefund(runner, gameState), 0);
     gameState.playerMoney += refundAmount;
 
     gameState.hiredRunners = [];
@@ -119,6 +160,245 @@ function unhireAllRunners(gameState) {
     gameState.calculateCurrentPools();
 }
 
+// ===== INJURIES =====
+
+const INJURY_SEVERITY_NAMES = ['Minor', 'Serious', 'Critical'];
+
+/**
+ * Injure a runner with a random severity (1 to injuryMaxSeverity)
+ * Recovery takes injuryRecoveryPerSeverity contracts per severity level
+ * @param {Object} runner - Runner to injure (modified in place)
+ * @param {Object} balancingConfig - Balancing configuration
+ * @param {SeededRandom} rng - Random source
+ * @returns {Object} The runner's injury {severity, contractsRemaining}
+ */
+function injureRunner(runner, balancingConfig, rng) {
+    const config = balancingConfig || {};
+    const maxSeverity = Math.max(1, Math.floor(config.injuryMaxSeverity || 1));
+    const severity = maxSeverity > 1 ? rng.nextRange(1, maxSeverity) : 1;
+
+    runner.runnerState = 'Injured';
+    runner.injury = {
+        severity: severity,
+        contractsRemaining: getInjuryRecoveryTime(severity, config)
+    };
+    return runner.injury;
+}
+
+/**
+ * Kill a runner (any injury no longer matters)
+ * @param {Object} runner - Runner to kill (modified in place)
+ */
+function killRunner(runner) {
+    runner.runnerState = 'Dead';
+    runner.injury = null;
+}
+
+/**
+ * Contracts needed to recover from an injury of a given severity
+ * @param {Number} severity - Injury severity
+ * @param {Object} balancingConfig - Balancing configuration
+ * @returns {Number} Contracts
+ */
+function getInjuryRecoveryTime(severity, balancingConfig) {
+    const perSeverity = balancingConfig.injuryRecoveryPerSeverity !== undefined ? balancingConfig.injuryRecoveryPerSeverity : 1;
+    return Math.max(0, Math.ceil(severity * perSeverity));
+}
+
+/**
+ * Get an injured runner's injury
+ * Runners injured before severities existed count as a fresh Minor injury
+ * @param {Object} runner - Runner object
+ * @param {Object} balancingConfig - Balancing configuration
+ * @returns {Object|null} {severity, contractsRemaining}, or null if the runner is not injured
+ */
+function getRunnerInjury(runner, balancingConfig) {
+    if (runner.runnerState !== 'Injured') {
+        return null;
+    }
+    if (!runner.injury) {
+        runner.injury = { severity: 1, contractsRemaining: getInjuryRecoveryTime(1, balancingConfig || {}) };
+    }
+    return runner.injury;
+}
+
+/**
+ * Display name of an injury severity
+ * @param {Number} severity - Injury severity
+ * @returns {String} "Minor" | "Serious" | "Critical" | "Severity N"
+ */
+function getInjurySeverityName(severity) {
+    return INJURY_SEVERITY_NAMES[severity - 1] || `Severity ${severity}`;
+}
+
+/**
+ * Count one completed contract towards the recovery of every injured runner
+ * Runners whose timer runs out return to 'Ready'
+ * @param {Array<Object>} runners - Runners to advance (duplicates are advanced once)
+ * @param {Object} balancingConfig - Balancing configuration
+ * @returns {Array<Object>} Runners that recovered
+ */
+function advanceInjuryRecovery(runners, balancingConfig) {
+    const recovered = [];
+
+    new Set(runners).forEach(runner => {
+        const injury = getRunnerInjury(runner, balancingConfig);
+        if (!injury) return;
+
+        injury.contractsRemaining = Math.max(0, injury.contractsRemaining - 1);
+        if (injury.contractsRemaining === 0) {
+            runner.runnerState = 'Ready';
+            runner.injury = null;
+            recovered.push(runner);
+        }
+    });
+
+    return recovered;
+}
+
+/**
+ * Cost to heal an injured runner now: treatmentCostPerContract per contract of recovery left
+ * @param {Object} runner - Injured runner
+ * @param {Object} balancingConfig - Balancing configuration
+ * @returns {Number} Treatment cost (0 if the runner is not injured)
+ */
+function getTreatmentCost(runner, balancingConfig) {
+    const injury = getRunnerInjury(runner, balancingConfig);
+    if (!injury) {
+        return 0;
+    }
+    return Math.max(0, injury.contractsRemaining) * (balancingConfig.treatmentCostPerContract || 0);
+}
+
+/**
+ * Validate if a runner can be treated
+ * @param {Object} runner - Runner to validate
+ * @param {GameState} gameState - Current game state
+ * @returns {Object} {canTreat: boolean, reason: string}
+ */
+function validateTreatment(runner, gameState) {
+    if (runner.runnerState !== 'Injured') {
+        return {canTreat: false, reason: 'Runner is not injured'};
+    }
+
+    if (gameState.playerMoney < getTreatmentCost(runner, gameState.balancingConfig)) {
+        return {canTreat: false, reason: 'Not enough money'};
+    }
+
+    return {canTreat: true, reason: ''};
+}
+
+/**
+ * Pay to heal an injured runner immediately
+ * @param {Object} runner - Injured runner
+ * @param {GameState} gameState - Current game state
+ * @returns {Object} {success: boolean, message: string, cost: number}
+ */
+function treatRunner(runner, gameState) {
+    const validation = validateTreatment(runner, gameState);
+    if (!validation.canTreat) {
+        return {success: false, message: validation.reason, cost: 0};
+    }
+
+    const cost = getTreatmentCost(runner, gameState.balancingConfig);
+    gameState.playerMoney -= cost;
+    runner.runnerState = 'Ready';
+    runner.injury = null;
+
+    // A hired runner loses its injury stat penalty
+    if (runner.hiringState === 'Hired') {
+        gameState.calculateCurrentPools();
+    }
+
+    return {success: true, message: `Treated ${runner.name} for $${cost}`, cost: cost};
+}
+
+// ===== RUNNER EFFECTS =====
+
+/**
+ * Apply a node effect that targets a hired runner (Heal, Injure or a runner stat change)
+ * Stat changes are applied by GameState.resolveRunnerStatEffects() while planning;
+ * Heal and Injure when the contract is executed.
+ * @param {Object} ast - Runner effect AST from EffectExpression.parse()
+ * @param {GameState} gameState - Current game state (hired runners, conditions, rng)
+ * @returns {Object} {applied: boolean, description: string, targetRunner: Object|null}
+ */
+function applyRunnerEffect(ast, gameState) {
+    const resolution = EffectExpression.resolve(ast, gameState.getEffectContext());
+    if (!resolution.applies) {
+        return {applied: false, description: `No effect (${resolution.reason})`, targetRunner: null};
+    }
+
+    const target = pickRunnerEffectTarget(ast, gameState);
+    if (!target) {
+        const state = {heal: 'injured ', injure: 'ready '}[ast.action] || '';
+        return {applied: false, description: `No effect (no ${state}${ast.target.runnerType || 'runner'} hired)`, targetRunner: null};
+    }
+
+    switch (ast.action) {
+        case 'heal':
+            target.runnerState = 'Ready';
+            target.injury = null;
+            return {applied: true, description: `${target.name} was healed`, targetRunner: target};
+
+        case 'injure': {
+            const injury = injureRunner(target, gameState.balancingConfig, gameState.rng);
+            return {applied: true, description: `${target.name} got injured (${getInjurySeverityName(injury.severity)})`, targetRunner: target};
+        }
+
+        default: {
+            // Runner stat change: lasts until the contract ends (see GameState.clearRunnerStatBonuses)
+            const change = ast.operator === '-' ? -resolution.amount : resolution.amount;
+            gameState.addRunnerStatBonus(target, ast.runnerStat, change);
+            return {
+                applied: true,
+                description: `${target.name} ${change >= 0 ? '+' : ''}${change} ${EffectExpression.formatPoolName(ast.runnerStat)} for this contract`,
+                targetRunner: target
+            };
+        }
+    }
+}
+
+/**
+ * Choose the hired runner a runner effect acts on
+ * Heal only picks injured runners, Injure only ready ones and stat changes anyone alive.
+ * "highest"/"lowest" compare effective stats (first hired wins ties); random Injure
+ * targets follow the runners' trait injury weights. Stat changes never pick at random
+ * (the parser requires highest/lowest), so planning always shows the same target.
+ * @param {Object} ast - Runner effect AST
+ * @param {GameState} gameState - Current game state
+ * @returns {Object|null} Target runner, or null if no hired runner qualifies
+ */
+function pickRunnerEffectTarget(ast, gameState) {
+    const target = ast.target;
+    const candidates = gameState.hiredRunners.filter(runner => {
+        if (target.runnerType && runner.runnerType.toLowerCase() !== target.runnerType.toLowerCase()) {
+            return false;
+        }
+        switch (ast.action) {
+            case 'heal': return runner.runnerState === 'Injured';
+            case 'injure': return runner.runnerState === 'Ready';
+            default: return runner.runnerState !== 'Dead';
+        }
+    });
+
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    if (target.pick === 'random') {
+        return ast.action === 'injure'
+            ? gameState.rng.pickWeighted(candidates, getRunnerTargetWeight)
+            : gameState.rng.pick(candidates);
+    }
+
+    const statOf = runner => gameState.getEffectiveRunnerStats(runner)[target.pickStat] || 0;
+    return candidates.reduce((best, runner) => {
+        const better = target.pick === 'highest' ? statOf(runner) > statOf(best) : statOf(runner) < statOf(best);
+        return better ? runner : best;
+    });
+}
+
 /**
  * Update runner state based on damage evaluation
  * @param {Object} runner - Runner to update
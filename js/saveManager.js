@@ -0,0 +1,304 @@
+/**
+ * Save Manager Module
+ * Named campaign save slots in localStorage plus JSON save file export/import
+ *
+ * Save files are versioned. When the format changes, bump SAVE_VERSION and add a
+ * migration from the previous version to SaveManager.MIGRATIONS - older slots and
+ * exported files are upgraded step by step when they are loaded.
+ */
+
+const SAVE_VERSION = 1;
+const SAVE_SLOT_PREFIX = 'johnsonSave:';
+const SAVE_INDEX_KEY = 'johnsonSaveSlots';
+
+class SaveManager {
+    /**
+     * Migrations keyed by the version they upgrade FROM
+     * Version 0 is the unversioned sessionStorage blob written by GameState.saveSessionState()
+     */
+    static MIGRATIONS = {
+        0: data => ({
+            version: 1,
+            name: data.name || 'Imported session',
+            savedAt: data.timestamp || Date.now(),
+            campaign: {
+                playerMoney: data.playerMoney,
+                playerRisk: data.playerRisk,
+                playerLevel: data.playerLevel || 0,
+                contractsCompleted: data.contractsCompleted,
+                hiredRunners: data.hiredRunners || [],
+                generatedRunners: data.generatedRunners || [],
+                previouslyHiredRunners: data.previouslyHiredRunners || [],
+                rngSeed: data.rngSeed,
+                rngState: data.rngState
+            },
+            contract: null
+        })
+    };
+
+    /**
+     * @param {Storage} storage - Storage backend (defaults to window.localStorage)
+     */
+    constructor(storage = null) {
+        this.storage = storage || localStorage;
+    }
+
+    // ===== SAVE DATA =====
+
+    /**
+     * Build save data from the current game state
+     * @param {GameState} gameState - Game state to save
+     * @param {string} name - Save name
+     * @returns {Object} Save data {version, name, savedAt, campaign, contract}
+     */
+    createSaveData(gameState, name) {
+        return {
+            version: SAVE_VERSION,
+            name: name,
+            savedAt: Date.now(),
+            campaign: gameState.getCampaignState(),
+            contract: gameState.getContractProgress()
+        };
+    }
+
+    /**
+     * Restore save data into a game state
+     * @param {GameState} gameState - Game state to restore into
+     * @param {Object} saveData - Save data (any supported version)
+     * @returns {boolean} True if the contract in progress was restored completely
+     */
+    applySaveData(gameState, saveData) {
+        const data = SaveManager.migrate(saveData);
+        gameState.applyCampaignState(data.campaign);
+        return gameState.restoreContractProgress(data.contract);
+    }
+
+    /**
+     * Upgrade save data to the current version
+     * @param {Object} saveData - Save data of any supported version
+     * @returns {Object} Save data at SAVE_VERSION
+     * @throws {Error} If the data is not a save or comes from a newer game version
+     */
+    static migrate(saveData) {
+        if (!saveData || typeof saveData !== 'object') {
+            throw new Error('Save data is empty or not an object');
+        }
+
+        let data = saveData;
+        let version = typeof data.version === 'number' ? data.version : 0;
+
+        if (version > SAVE_VERSION) {
+            throw new Error(`Save version ${version} is newer than this game (version ${SAVE_VERSION})`);
+        }
+
+        while (version < SAVE_VERSION) {
+            const migration = SaveManager.MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`No migration from save version ${version}`);
+            }
+            data = migration(data);
+            version = data.version;
+        }
+
+        SaveManager.validateSaveData(data);
+        return data;
+    }
+
+    /**
+     * Check the structure of current-version save data
+     * @param {Object} data - Save data at SAVE_VERSION
+     * @throws {Error} Describing the first problem found
+     */
+    static validateSaveData(data) {
+        const campaign = data.campaign;
+        if (!campaign || typeof campaign !== 'object') {
+            throw new Error('Save is missing campaign data');
+        }
+
+        ['playerMoney', 'playerRisk', 'contractsCompleted'].forEach(field => {
+            if (typeof campaign[field] !== 'number') {
+                throw new Error(`Save campaign field "${field}" must be a number`);
+            }
+        });
+
+        if (campaign.contractBoard !== undefined && !Array.isArray(campaign.contractBoard)) {
+            throw new Error('Save campaign field "contractBoard" must be an array');
+        }
+
+        if (data.contract !== null && data.contract !== undefined) {
+            if (!Array.isArray(data.contract.rows) || !Array.isArray(data.contract.selectedNodes)) {
+                throw new Error('Save contract must have rows and selectedNodes arrays');
+            }
+            if (data.contract.metadata !== undefined) {
+                const metadataErrors = ContractFormat.validateMetadata(data.contract.metadata);
+                if (metadataErrors.length > 0) {
+                    throw new Error(`Save contract ${metadataErrors[0]}`);
+                }
+            }
+        }
+    }
+
+    // ===== SLOTS =====
+
+    /**
+     * List saved slots, newest first
+     * @returns {Array<Object>} [{name, savedAt, playerLevel, playerMoney, contractName}]
+     */
+    listSlots() {
+        return this.readIndex()
+            .map(name => {
+                const data = this.readSlot(name);
+                if (!data) return null;
+                return {
+                    name: name,
+                    savedAt: data.savedAt,
+                    playerLevel: data.campaign ? data.campaign.playerLevel : 0,
+                    playerMoney: data.campaign ? data.campaign.playerMoney : 0,
+                    contractName: data.contract ? (data.contract.name || data.contract.key || 'Custom contract') : null
+                };
+            })
+            .filter(slot => slot !== null)
+            .sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Save the game into a named slot (overwrites an existing slot with the same name)
+     * @param {string} name - Slot name
+     * @param {GameState} gameState - Game state to save
+     * @returns {boolean} True if saved
+     */
+    saveToSlot(name, gameState) {
+        const slotName = (name || '').trim();
+        if (slotName === '') {
+            console.warn('Save slot name is empty');
+            return false;
+        }
+
+        try {
+            this.storage.setItem(SAVE_SLOT_PREFIX + slotName, JSON.stringify(this.createSaveData(gameState, slotName)));
+
+            const index = this.readIndex();
+            if (!index.includes(slotName)) {
+                index.push(slotName);
+                this.storage.setItem(SAVE_INDEX_KEY, JSON.stringify(index));
+            }
+
+            console.log(`Game saved to slot "${slotName}"`);
+            return true;
+        } catch (error) {
+            console.warn(`Failed to save slot "${slotName}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Load a slot's save data (migrated to the current version)
+     * @param {string} name - Slot name
+     * @returns {Object|null} Save data, or null if the slot is missing or unreadable
+     */
+    loadFromSlot(name) {
+        const data = this.readSlot(name);
+        if (!data) {
+            console.warn(`Save slot "${name}" not found`);
+            return null;
+        }
+
+        try {
+            return SaveManager.migrate(data);
+        } catch (error) {
+            console.warn(`Save slot "${name}" could not be loaded:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a slot
+     * @param {string} name - Slot name
+     * @returns {boolean} True if a slot was deleted
+     */
+    deleteSlot(name) {
+        const index = this.readIndex();
+        if (!index.includes(name)) {
+            return false;
+        }
+
+        this.storage.removeItem(SAVE_SLOT_PREFIX + name);
+        this.storage.setItem(SAVE_INDEX_KEY, JSON.stringify(index.filter(slot => slot !== name)));
+        console.log(`Deleted save slot "${name}"`);
+        return true;
+    }
+
+    // ===== FILES =====
+
+    /**
+     * Serialize save data for a save file
+     * @param {Object} saveData - Save data
+     * @returns {string} Pretty-printed JSON
+     */
+    exportToJSON(saveData) {
+        return JSON.stringify(saveData, null, 2);
+    }
+
+    /**
+     * Parse a save file
+     * @param {string} text - Save file contents
+     * @returns {Object} Save data at the current version
+     * @throws {Error} If the file is not valid JSON or not a supported save
+     */
+    importFromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Save file is not valid JSON: ${error.message}`);
+        }
+        return SaveManager.migrate(data);
+    }
+
+    /**
+     * Download save data as a .json file (browser only)
+     * @param {Object} saveData - Save data
+     */
+    downloadSave(saveData) {
+        const safeName = (saveData.name || 'save').replace(/[^a-z0-9_-]+/gi, '_');
+        const blob = new Blob([this.exportToJSON(saveData)], { type: 'application/json' });
+        const url = window.URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `johnson_${safeName}.json`;
+        a.style.display = 'none';
+
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    // ===== STORAGE HELPERS =====
+
+    readIndex() {
+        try {
+            const index = JSON.parse(this.storage.getItem(SAVE_INDEX_KEY) || '[]');
+            return Array.isArray(index) ? index : [];
+        } catch (error) {
+            console.warn('Save slot index is corrupted, ignoring it:', error);
+            return [];
+        }
+    }
+
+    readSlot(name) {
+        try {
+            const text = this.storage.getItem(SAVE_SLOT_PREFIX + name);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            console.warn(`Save slot "${name}" is corrupted:`, error);
+            return null;
+        }
+    }
+}
+
+// Export for use in Node.js environments (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SaveManager, SAVE_VERSION };
+}
@@ -10,6 +10,7 @@ class UIManager {
         this.canvas = null;
         this.ctx = null;
         this.isInitialized = false;
+        this.expandedPools = new Set(); // NEW: Pools whose calculation breakdown is open
     }
 
     /**
@@ -23,6 +24,9 @@ class UIManager {
             // Set up form validation
             this.setupFormValidation();
 
+            // Set up pool breakdown toggles
+            this.setupPoolBreakdowns();
+
             // Initialize display states
             this.updatePoolsDisplay();
             this.updateGameStateDisplay();
@@ -126,12 +130,48 @@ class UIManager {
 
     /**
      * Update contract display information
+     * @param {string} contractName - Name to show
+     * @param {Object} metadata - Contract metadata: briefing and the terms it overrides
      */
-    updateContractDisplay(contractName) {
+    updateContractDisplay(contractName, metadata = {}) {
         const contractNameElement = document.getElementById('contract-name');
         if (contractNameElement) {
             contractNameElement.textContent = contractName || 'No contract loaded';
         }
+
+        const briefingElement = document.getElementById('contract-briefing');
+        if (briefingElement) {
+            briefingElement.textContent = metadata.briefing || '';
+            briefingElement.style.display = metadata.briefing ? 'block' : 'none';
+        }
+
+        const terms = [];
+        if (metadata.baseReward !== undefined) terms.push(`Base reward $${metadata.baseReward}`);
+        if (metadata.maxHiredRunners !== undefined) terms.push(`Max ${metadata.maxHiredRunners} runner${metadata.maxHiredRunners === 1 ? '' : 's'}`);
+        (metadata.composition || []).forEach(rule => terms.push(this.formatCompositionRule(rule)));
+        if (metadata.damageTable) terms.push('Custom damage table');
+
+        const termsElement = document.getElementById('contract-terms');
+        if (termsElement) {
+            termsElement.textContent = terms.join(' · ');
+            termsElement.style.display = terms.length > 0 ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Describe a contract composition rule
+     * @param {Object} rule - {runnerType, min, max}
+     * @returns {string} e.g. "At least 1 Hacker"
+     */
+    formatCompositionRule(rule) {
+        if (rule.min !== undefined && rule.max !== undefined) {
+            return rule.min === rule.max
+                ? `Exactly ${rule.min} ${rule.runnerType}`
+                : `${rule.min}-${rule.max} ${rule.runnerType}`;
+        }
+        return rule.min !== undefined
+            ? `At least ${rule.min} ${rule.runnerType}`
+            : `At most ${rule.max} ${rule.runnerType}`;
     }
 
     /**
@@ -159,6 +199,99 @@ class UIManager {
 
         // Update prevention information if available
         this.updatePreventionDisplay(gameState.preventionData);
+
+        // Refresh any open calculation breakdowns
+        this.updatePoolBreakdowns();
+    }
+
+    /**
+     * Make each pool clickable to show how its value was calculated (NEW)
+     */
+    setupPoolBreakdowns() {
+        document.querySelectorAll('.pool-toggle').forEach(item => {
+            item.addEventListener('click', () => {
+                const pool = item.dataset.pool;
+                if (this.expandedPools.has(pool)) {
+                    this.expandedPools.delete(pool);
+                } else {
+                    this.expandedPools.add(pool);
+                }
+                this.updatePoolBreakdowns();
+            });
+        });
+    }
+
+    /**
+     * Render the calculation trace of every expanded pool (NEW)
+     */
+    updatePoolBreakdowns() {
+        ['damage', 'risk', 'money', 'grit', 'veil'].forEach(pool => {
+            const container = document.getElementById(`breakdown-${pool}`);
+            const toggle = document.querySelector(`.pool-toggle[data-pool="${pool}"]`);
+            if (!container) return;
+
+            const expanded = this.expandedPools.has(pool);
+            if (toggle) toggle.classList.toggle('expanded', expanded);
+            container.style.display = expanded ? 'block' : 'none';
+            if (!expanded) return;
+
+            container.innerHTML = '';
+            const steps = this.gameState ? this.gameState.getCalculationTrace(pool) : [];
+            if (steps.length === 0) {
+                container.appendChild(this.createBreakdownStep('No effects on this pool', '', 'skipped'));
+                return;
+            }
+
+            steps.forEach(step => {
+                const label = this.formatTraceLabel(step);
+                if (!step.applied) {
+                    container.appendChild(this.createBreakdownStep(label, step.reason || 'not applied', 'skipped'));
+                } else {
+                    const values = `${this.formatTraceNumber(step.before)} → ${this.formatTraceNumber(step.after)}`;
+                    const isPrevention = step.pass === 'preliminaryPrevention' || step.pass === 'finalPrevention';
+                    container.appendChild(this.createBreakdownStep(label, values, isPrevention ? 'prevention' : ''));
+                }
+            });
+        });
+    }
+
+    /**
+     * Describe one trace step, e.g. "NODE003: +2 Damage ×3" or "Prevention: 4 Grit prevents 2"
+     * @param {Object} step - Step from GameState.getCalculationTrace()
+     * @returns {string} Label text
+     */
+    formatTraceLabel(step) {
+        if (step.pass === 'preliminaryPrevention') return `Preliminary prevention: ${step.effect}`;
+        if (step.pass === 'finalPrevention') return `Prevention: ${step.effect}`;
+
+        const multiplier = step.applied && step.multiplier > 1 ? ` ×${step.multiplier}` : '';
+        const origin = step.nodeId || step.source;
+        return `${origin ? origin + ': ' : ''}${step.effect}${multiplier}`;
+    }
+
+    /**
+     * Format a pool value for the breakdown (at most 2 decimals)
+     */
+    formatTraceNumber(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    }
+
+    /**
+     * Create a breakdown row (text content only - effect strings may contain < and >)
+     */
+    createBreakdownStep(label, values, className) {
+        const row = document.createElement('div');
+        row.className = `breakdown-step ${className}`.trim();
+
+        const labelSpan = document.createElement('span');
+        labelSpan.textContent = label;
+        const valueSpan = document.createElement('span');
+        valueSpan.className = 'breakdown-values';
+        valueSpan.textContent = values;
+
+        row.appendChild(labelSpan);
+        row.appendChild(valueSpan);
+        return row;
     }
 
     /**
@@ -368,6 +501,28 @@ class UIManager {
             messageElement.textContent = 'The contract was completed but with significant damage or risk.';
         }
 
+        // NEW: Contract board offer and rotation
+        if (executionResults.rewardMultiplier && executionResults.rewardMultiplier !== 1) {
+            messageElement.textContent += ` The offer paid x${executionResults.rewardMultiplier} reward.`;
+        }
+        const board = executionResults.contractBoard;
+        if (board && board.expired.length > 0) {
+            messageElement.textContent += ` Expired offers: ${board.expired.map(offer => offer.name).join(', ')}.`;
+        }
+
+        // NEW: Heat consequences
+        const heat = executionResults.heat;
+        if (executionResults.heatDamageRolls > 0) {
+            messageElement.textContent += ` Heat added ${executionResults.heatDamageRolls} damage roll(s).`;
+        }
+        if (heat && heat.gameOver) {
+            statusElement.className = 'execution-status failure';
+            outcomeElement.textContent = 'Game Over';
+            messageElement.textContent = `Heat reached ${heat.tierAfter.name}: ${heat.tierAfter.description}.`;
+        } else if (heat && heat.tierChanged && heat.tierAfter) {
+            messageElement.textContent += ` Heat is now ${heat.tierAfter.name}.`;
+        }
+
         // Update before/after comparison
         this.updateElementText('before-money', `$${executionResults.preExecution.money}`);
         this.updateElementText('before-risk', executionResults.preExecution.risk);
@@ -386,11 +541,25 @@ class UIManager {
         this.updateElementText('money-earned', `$${executionResults.moneyEarned}`);
         this.updateElementText('prevention-applied', executionResults.preventionApplied);
 
+        // NEW: Compare the player's selection with the solver's best selection
+        if (typeof executionResults.expectedReward === 'number') {
+            const addedRisk = executionResults.expectedAddedRisk > 0
+                ? ` (+${executionResults.expectedAddedRisk.toFixed(1)} risk expected from damage rolls)` : '';
+            this.updateElementText('expected-payout', `$${Math.round(executionResults.expectedReward)}${addedRisk}`);
+        }
+        this.updateElementText('best-possible', 'Calculating...');
+
         // Display runner level ups if any
         if (executionResults.runnersLeveledUp && executionResults.runnersLeveledUp.length > 0) {
             this.renderRunnerLevelUps(executionResults.runnersLeveledUp);
         }
 
+        // NEW: Runners whose injuries healed during this contract
+        this.renderRunnerRecoveries(executionResults.runnersRecovered || []);
+
+        // NEW: Node effects that acted on individual runners
+        this.renderRunnerEffects(executionResults.runnerEffects || []);
+
         // Show modal
         modal.style.display = 'flex';
 
@@ -398,6 +567,24 @@ class UIManager {
         this.setupResultsModalListeners();
     }
 
+    /**
+     * NEW: Show the contract solver's best selection in the results modal
+     * @param {Object|null} bestPossible - Result of solveContract()
+     */
+    updateBestPossibleDisplay(bestPossible) {
+        if (!bestPossible) {
+            this.updateElementText('best-possible', '-');
+            return;
+        }
+
+        const nodes = bestPossible.selectedNodes.join(', ') || 'no nodes';
+        let text = `$${Math.round(bestPossible.expectedReward)} (${nodes})`;
+        if (!bestPossible.exhaustive) {
+            text += ' - search limit reached';
+        }
+        this.updateElementText('best-possible', text);
+    }
+
     /**
      * Render damage rolls in execution results
      * @param {Array} damageRolls - Array of damage roll results
@@ -432,24 +619,14 @@ class UIManager {
             const rollElement = document.createElement('div');
             rollElement.className = 'damage-roll-item';
 
-            let effectClass = '';
-            if (roll.effect === 'Death') {
-                effectClass = 'death';
-            } else if (roll.effect === 'Injury') {
-                effectClass = 'injury';
-            } else if (roll.effect === 'Reduce') {
-                effectClass = 'reduce';
-            } else if (roll.effect === 'Extra') {
-                effectClass = 'extra';
-            } else {
-                effectClass = 'no-effect';
-            }
+            const effectType = getDamageEffectType(roll.effect);
+            const effectClass = effectType && effectType.cssClass ? effectType.cssClass : 'no-effect';
 
             rollElement.innerHTML = `
                 <div class="damage-roll-number">Roll ${roll.rollNumber}</div>
                 <div class="damage-roll-value">${roll.roll}</div>
                 <div class="damage-roll-effect ${effectClass}">${roll.effect}</div>
-                <div class="damage-roll-description">${roll.description}</div>
+                <div class="damage-roll-description">${roll.description}${roll.targetReason ? `<span class="damage-roll-reason">${roll.targetReason}</span>` : ''}</div>
             `;
 
             rollsList.appendChild(rollElement);
@@ -458,7 +635,7 @@ class UIManager {
 
     /**
      * Render runner level ups in execution results
-     * @param {Array} runnersLeveledUp - Array of runners that leveled up
+     * @param {Array} runnersLeveledUp - Level-up records from levelUpRunner()
      */
     renderRunnerLevelUps(runnersLeveledUp) {
         const container = document.getElementById('runner-levelups-container');
@@ -479,17 +656,99 @@ class UIManager {
 
         levelupsList.innerHTML = '';
 
-        runnersLeveledUp.forEach(runner => {
+        runnersLeveledUp.forEach(levelUp => {
             const levelupElement = document.createElement('div');
             levelupElement.className = 'runner-levelup-item';
             levelupElement.innerHTML = `
-                <span class="runner-levelup-name">${runner.name}</span>
-                <span class="runner-levelup-info">Level ${runner.level - 1} → ${runner.level}</span>
+                <span class="runner-levelup-name">${levelUp.name}</span>
+                <span class="runner-levelup-info">Level ${levelUp.levelBefore} → ${levelUp.levelAfter}</span>
+                <div class="runner-levelup-stats">${this.formatStatGains(levelUp)}</div>
             `;
             levelupsList.appendChild(levelupElement);
         });
     }
 
+    /**
+     * Render runners that recovered from injury in execution results (NEW)
+     * @param {Array} runnersRecovered - Runners returned by advanceInjuryRecovery()
+     */
+    renderRunnerRecoveries(runnersRecovered) {
+        let container = document.getElementById('runner-recoveries-container');
+        if (!container) {
+            const detailsSection = document.querySelector('.execution-details');
+            if (!detailsSection) return;
+
+            container = document.createElement('div');
+            container.id = 'runner-recoveries-container';
+            container.className = 'runner-levelups-section';
+            container.innerHTML = '<h4>Recovered From Injury</h4><div id="runner-recoveries-list" class="runner-levelups-list"></div>';
+            detailsSection.appendChild(container);
+        }
+
+        container.style.display = runnersRecovered.length > 0 ? '' : 'none';
+
+        const recoveriesList = document.getElementById('runner-recoveries-list');
+        recoveriesList.innerHTML = '';
+
+        runnersRecovered.forEach(runner => {
+            const item = document.createElement('div');
+            item.className = 'runner-levelup-item';
+            item.innerHTML = `
+                <span class="runner-levelup-name">${runner.name}</span>
+                <span class="runner-levelup-info">Ready again</span>
+            `;
+            recoveriesList.appendChild(item);
+        });
+    }
+
+    /**
+     * Render the results of runner-targeted node effects in execution results (NEW)
+     * @param {Array} runnerEffects - Results from executeContractResolution() [{nodeId, applied, description}]
+     */
+    renderRunnerEffects(runnerEffects) {
+        let container = document.getElementById('runner-effects-container');
+        if (!container) {
+            const detailsSection = document.querySelector('.execution-details');
+            if (!detailsSection) return;
+
+            container = document.createElement('div');
+            container.id = 'runner-effects-container';
+            container.className = 'runner-levelups-section';
+            container.innerHTML = '<h4>Runner Effects</h4><div id="runner-effects-list" class="runner-levelups-list"></div>';
+            detailsSection.appendChild(container);
+        }
+
+        container.style.display = runnerEffects.length > 0 ? '' : 'none';
+
+        const effectsList = document.getElementById('runner-effects-list');
+        effectsList.innerHTML = '';
+
+        runnerEffects.forEach(result => {
+            const item = document.createElement('div');
+            item.className = 'runner-levelup-item';
+            item.innerHTML = `
+                <span class="runner-levelup-name">${result.nodeId}</span>
+                <span class="runner-levelup-info">${result.description}</span>
+            `;
+            effectsList.appendChild(item);
+        });
+    }
+
+    /**
+     * Format per-stat before/after values of a level-up, e.g. "Hacker 4 → 6 (+2)"
+     * @param {Object} levelUp - Level-up record from levelUpRunner()
+     * @returns {string} HTML
+     */
+    formatStatGains(levelUp) {
+        const statLabels = { face: 'Face', muscle: 'Muscle', hacker: 'Hacker', ninja: 'Ninja' };
+
+        return Object.keys(statLabels).map(stat => {
+            const gain = levelUp.statGains[stat];
+            const changed = gain > 0 ? ' stat-gained' : '';
+            return `<span class="runner-levelup-stat${changed}">${statLabels[stat]} ${levelUp.statsBefore[stat]} → ${levelUp.statsAfter[stat]}${gain > 0 ? ` (+${gain})` : ''}</span>`;
+        }).join('');
+    }
+
     /**
      * Update damage roll display during contract resolution
      * Called as callback during damage roll processing
@@ -604,9 +863,10 @@ class UIManager {
             preventionElement.style.display = 'none';
         }
 
-        // Reset contract data in game state
+        // Reset contract data in game state (and go back to the balancing slot count)
         if (this.gameState) {
             this.gameState.resetContract();
+            this.updateHiredRunnersDisplay();
         }
 
         this.updateLoadingMessage('Ready to load next contract');
@@ -629,6 +889,52 @@ class UIManager {
         this.updateElementText('player-money', `$${gameState.playerMoney}`);
         this.updateElementText('player-risk', gameState.playerRisk);
         this.updateElementText('contracts-completed', gameState.contractsCompleted);
+        this.updateElementText('current-seed', gameState.seed);
+
+        this.updateHeatDisplay();
+    }
+
+    /**
+     * Show the current heat tier, its modifiers, any pending heat event and game over (NEW)
+     */
+    updateHeatDisplay() {
+        const tier = getCurrentHeatTier(this.gameState);
+        this.updateElementText('heat-tier', tier ? tier.name : '-');
+
+        const heatTierElement = document.getElementById('heat-tier');
+        if (heatTierElement) {
+            heatTierElement.title = tier ? tier.description : '';
+        }
+
+        const modifiersList = document.getElementById('heat-modifiers');
+        if (modifiersList) {
+            modifiersList.innerHTML = '';
+            getHeatModifierDescriptions(tier).forEach(text => {
+                const item = document.createElement('li');
+                item.textContent = text;
+                modifiersList.appendChild(item);
+            });
+        }
+
+        const event = this.gameState.heatEvent;
+        const eventPanel = document.getElementById('heat-event');
+        if (eventPanel) {
+            eventPanel.style.display = event ? '' : 'none';
+            if (event) {
+                this.updateElementText('heat-event-text',
+                    `${event.tierName} heat: a contact can bury ${event.riskReduction} risk for $${event.cost}.`);
+                const acceptBtn = document.getElementById('accept-heat-event');
+                if (acceptBtn) {
+                    acceptBtn.textContent = `Pay $${event.cost}`;
+                    acceptBtn.disabled = this.gameState.playerMoney < event.cost;
+                }
+            }
+        }
+
+        const gameOverPanel = document.getElementById('game-over-panel');
+        if (gameOverPanel) {
+            gameOverPanel.style.display = this.gameState.gameOver ? '' : 'none';
+        }
     }
 
     /**
@@ -654,33 +960,74 @@ class UIManager {
      * Update hired runners display
      */
     updateHiredRunnersDisplay() {
-        const slots = document.querySelectorAll('.hired-runner-slot');
+        const slots = this.renderHiredRunnerSlots();
+        const maxHiredRunners = this.gameState.getMaxHiredRunners();
 
         // Clear all slots
         slots.forEach(slot => {
             slot.innerHTML = '<div class="empty-slot-message">Empty Slot</div>';
-            slot.classList.remove('filled');
+            slot.classList.remove('filled', 'over-limit');
         });
 
-        // Fill hired slots
+        // Fill hired slots (runners hired before loading a contract with fewer slots are marked)
         this.gameState.hiredRunners.forEach((runner, index) => {
-            if (index < 3) {
-                const slot = slots[index];
-                slot.classList.add('filled');
-                slot.innerHTML = this.createHiredRunnerHTML(runner);
-
-                // Add unhire event listener
-                const unhireBtn = slot.querySelector('.unhire-button');
-                if (unhireBtn) {
-                    unhireBtn.addEventListener('click', () => {
-                        this.handleUnhireRunner(runner);
-                    });
-                }
+            const slot = slots[index];
+            slot.classList.add('filled');
+            slot.classList.toggle('over-limit', index >= maxHiredRunners);
+            slot.innerHTML = this.createHiredRunnerHTML(runner);
+
+            // Add unhire event listener
+            const unhireBtn = slot.querySelector('.unhire-button');
+            if (unhireBtn) {
+                unhireBtn.addEventListener('click', () => {
+                    this.handleUnhireRunner(runner);
+                });
             }
         });
 
         // Update stat totals
         this.updateStatSummary();
+        this.updateConfigurationIssues();
+    }
+
+    /**
+     * Make the slot list match the runner limit (balancing runnerSlotCount or the contract's
+     * maxHiredRunners), keeping extra slots for runners hired over the limit
+     * @returns {Array<HTMLElement>} Slot elements in order
+     */
+    renderHiredRunnerSlots() {
+        const container = document.querySelector('.hired-runner-slots');
+        if (!container) return [];
+
+        const slotCount = Math.max(this.gameState.getMaxHiredRunners(), this.gameState.hiredRunners.length);
+        while (container.children.length < slotCount) {
+            const slot = document.createElement('div');
+            slot.className = 'hired-runner-slot';
+            slot.dataset.slot = container.children.length;
+            container.appendChild(slot);
+        }
+        while (container.children.length > slotCount) {
+            container.removeChild(container.lastElementChild);
+        }
+
+        return Array.from(container.children);
+    }
+
+    /**
+     * List what stops the loaded contract from being executed (runner limit, composition rules)
+     */
+    updateConfigurationIssues() {
+        const issuesElement = document.getElementById('configuration-issues');
+        if (!issuesElement) return;
+
+        const issues = this.gameState.contractData ? this.gameState.getConfigurationIssues() : [];
+        issuesElement.innerHTML = '';
+        issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.textContent = issue;
+            issuesElement.appendChild(item);
+        });
+        issuesElement.style.display = issues.length > 0 ? 'block' : 'none';
     }
 
     /**
@@ -688,18 +1035,22 @@ class UIManager {
      */
     createHiredRunnerHTML(runner) {
         const stateClass = runner.runnerState.toLowerCase();
+        // Injured runners show their stats after the injury penalty
+        const stats = this.gameState.getEffectiveRunnerStats(runner);
+        const injury = getRunnerInjury(runner, this.gameState.balancingConfig);
+        const stateText = injury ? `Injured (${getInjurySeverityName(injury.severity)})` : runner.runnerState;
         return `
             <button class="unhire-button">X</button>
             <div class="hired-runner-info">
                 <div class="hired-runner-name">${runner.name}</div>
                 <div class="hired-runner-level">Level ${runner.level} · ${runner.runnerType}</div>
                 <div class="hired-runner-stats">
-                    <div class="hired-runner-stat"><span>F:</span><span>${runner.stats.face}</span></div>
-                    <div class="hired-runner-stat"><span>M:</span><span>${runner.stats.muscle}</span></div>
-                    <div class="hired-runner-stat"><span>H:</span><span>${runner.stats.hacker}</span></div>
-                    <div class="hired-runner-stat"><span>N:</span><span>${runner.stats.ninja}</span></div>
+                    <div class="hired-runner-stat"><span>F:</span><span>${stats.face}</span></div>
+                    <div class="hired-runner-stat"><span>M:</span><span>${stats.muscle}</span></div>
+                    <div class="hired-runner-stat"><span>H:</span><span>${stats.hacker}</span></div>
+                    <div class="hired-runner-stat"><span>N:</span><span>${stats.ninja}</span></div>
                 </div>
-                <div class="runner-card-state ${stateClass}">${runner.runnerState}</div>
+                <div class="runner-card-state ${stateClass}">${stateText}</div>
             </div>
         `;
     }
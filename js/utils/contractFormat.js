@@ -0,0 +1,564 @@
+/**
+ * ContractFormat - JSON contract format and lossless conversion to/from CSV rows
+ *
+ * JSON contracts hold the same nodes as the CSV format, with effects and gate
+ * conditions as objects instead of packed strings:
+ *
+ *     {
+ *         "format": "johnson-contract",
+ *         "version": 1,
+ *         "metadata": { "name": "Steal Rogue AI", "briefing": "...", "baseReward": 1200 },
+ *         "nodes": [
+ *             {
+ *                 "id": "NODE001",
+ *                 "description": "Server Farm Entrance",
+ *                 "effectDescription": "+1 Risk",
+ *                 "effects": [{ "operator": "+", "amount": 1, "stat": "Risk" }],
+ *                 "type": "Normal",
+ *                 "color": "Grey",
+ *                 "x": -75, "y": 465, "width": 149.7, "height": 64,
+ *                 "connections": ["NODE002"]
+ *             },
+ *             {
+ *                 "id": "GATE1",
+ *                 "description": "",
+ *                 "effects": [],
+ *                 "type": "Gate",
+ *                 "x": 200, "y": 465,
+ *                 "gate": { "type": "RunnerType", "runnerTypes": ["hacker"], "threshold": 1 },
+ *                 "connections": []
+ *             }
+ *         ]
+ *     }
+ *
+ * - effects: see EffectExpression.toStructured() (runner effects carry a "target"); plain effect
+ *   strings are accepted too
+ * - gate: {type: 'Node', nodes}, {type: 'RunnerType', runnerTypes} or {type: 'RunnerStat', stats},
+ *   each with a threshold (same meaning as in "Type:Params;Threshold")
+ * - Empty CSV cells are left out of a node; layer/slot are kept for legacy contracts
+ *
+ * metadata is optional; every key in it is optional too (see METADATA_KEYS):
+ * - name: library name, title: name shown in the game, briefing: text shown when the contract loads
+ * - baseReward: replaces the balancing contractBaseReward for this contract
+ * - maxHiredRunners: runner slots for this contract (replaces the balancing runnerSlotCount)
+ * - composition: team rules checked before execution, e.g.
+ *   [{"runnerType": "Hacker", "min": 1}, {"runnerType": "Muscle", "max": 1}]
+ * - damageTable: replaces the damage table, same entries as DAMAGE_TABLE
+ *   ({minRange, maxRange, effect, value}, plus stat for Stat Drain) and rolled with the same
+ *   maxDamageRollValue; effects are checked against the damage effect registry
+ *
+ * CSV files carry the metadata as "# key: <JSON value>" lines above the header row, so
+ * a contract converts CSV → JSON → CSV without losing anything.
+ */
+class ContractFormat {
+    // ===== CONSTANTS =====
+
+    static FORMAT = 'johnson-contract';
+    static VERSION = 1;
+
+    // Gate condition type → name of its parameter list in the JSON gate object
+    static GATE_LISTS = {
+        Node: 'nodes',
+        RunnerType: 'runnerTypes',
+        RunnerStat: 'stats'
+    };
+
+    // Metadata keys the game reads (other keys are kept but ignored)
+    static METADATA_KEYS = ['name', 'title', 'briefing', 'baseReward', 'maxHiredRunners', 'composition', 'damageTable'];
+
+    // "# key: value" metadata lines at the top of a CSV file
+    static METADATA_LINE_PATTERN = /^#\s*([A-Za-z][A-Za-z0-9_]*)\s*:\s*(.*)$/;
+
+    // Column layout used when writing CSV rows (same as the editor export)
+    static CSV_OPTIONS = {
+        quotes: true,
+        quoteChar: '"',
+        escapeChar: '"',
+        delimiter: ',',
+        header: true,
+        newline: '\r\n'
+    };
+
+    // ===== CSV ROWS ↔ CONTRACT =====
+
+    /**
+     * Build a JSON contract from parsed CSV rows
+     * @param {Array} rows - Parsed contract CSV rows
+     * @param {Object} metadata - Contract metadata (from the CSV's "# key: value" lines)
+     * @returns {Object} JSON contract
+     * @throws {Error} If an effect or gate condition cannot be parsed
+     */
+    static rowsToContract(rows, metadata = {}) {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            metadata: { ...metadata },
+            nodes: rows.map((row, index) => this.rowToNode(row, index + 1))
+        };
+    }
+
+    /**
+     * Convert one CSV row to a JSON node
+     * @param {Object} row - Parsed CSV row
+     * @param {number} rowNumber - Row number for error messages
+     * @returns {Object} JSON node
+     */
+    static rowToNode(row, rowNumber) {
+        const cell = column => (typeof row[column] === 'string' ? row[column].trim() : '');
+        const node = {
+            id: cell('Node ID'),
+            description: cell('Description')
+        };
+
+        if (cell('Effect Desc') !== '') node.effectDescription = cell('Effect Desc');
+
+        node.effects = [];
+        EffectExpression.getEffectColumns(row).forEach(column => {
+            if (cell(column) === '') return;
+            try {
+                node.effects.push(EffectExpression.toStructured(cell(column)));
+            } catch (error) {
+                throw new Error(`Row ${rowNumber} ${column}: ${error.message}`);
+            }
+        });
+
+        if (cell('Type') !== '') node.type = cell('Type');
+        if (cell('Color') !== '') node.color = cell('Color');
+
+        ['X', 'Y', 'Width', 'Height'].forEach(column => {
+            if (cell(column) !== '') node[column.toLowerCase()] = parseFloat(cell(column));
+        });
+        if (cell('Layer') !== '') node.layer = parseInt(cell('Layer'));
+        if (cell('Slot') !== '') node.slot = cell('Slot');
+
+        if (cell('GateCondition') !== '') {
+            try {
+                node.gate = this.parseGateCondition(cell('GateCondition'));
+            } catch (error) {
+                throw new Error(`Row ${rowNumber} GateCondition: ${error.message}`);
+            }
+        }
+
+        // Same separators as VisualContractData.parseConnections (comma, or semicolon in legacy files)
+        const connections = cell('Connections');
+        const separator = connections.includes(',') ? ',' : ';';
+        node.connections = connections.split(separator).map(id => id.trim()).filter(id => id !== '');
+
+        return node;
+    }
+
+    /**
+     * Convert a JSON contract to CSV rows (the shape CSVLoader.parseCSV returns)
+     * @param {Object} contract - Validated JSON contract
+     * @returns {Array} Rows keyed by CSV column, all values strings
+     */
+    static contractToRows(contract) {
+        const nodes = contract.nodes;
+        const has = field => nodes.some(node => node[field] !== undefined && node[field] !== null);
+
+        // X,Y columns unless this is a legacy Layer/Slot contract
+        const isLegacyLayout = !has('x') && !has('y') && (has('layer') || has('slot'));
+        const effectColumnCount = Math.max(2, ...nodes.map(node => (node.effects || []).length));
+        const text = value => (value === undefined || value === null ? '' : String(value));
+
+        return nodes.map(node => {
+            const row = {
+                'Node ID': text(node.id),
+                'Description': text(node.description),
+                'Effect Desc': text(node.effectDescription),
+                ...EffectExpression.toEffectColumns((node.effects || []).map(effect => EffectExpression.toText(effect)), effectColumnCount),
+                'Type': text(node.type),
+                'Color': text(node.color)
+            };
+
+            if (!isLegacyLayout) {
+                row['X'] = text(node.x);
+                row['Y'] = text(node.y);
+                row['Width'] = text(node.width);
+                row['Height'] = text(node.height);
+            }
+            if (has('layer') || has('slot')) {
+                row['Layer'] = text(node.layer);
+                row['Slot'] = text(node.slot);
+            }
+
+            row['GateCondition'] = node.gate ? this.formatGateCondition(node.gate) : '';
+            row['Connections'] = (node.connections || []).join(',');
+            return row;
+        });
+    }
+
+    // ===== GATE CONDITIONS =====
+
+    /**
+     * Parse a "Type:Params;Threshold" gate condition into a gate object
+     * @param {string} text - Gate condition, e.g. "Node:NODE001,NODE002;0"
+     * @returns {Object} e.g. {type: 'Node', nodes: ['NODE001', 'NODE002'], threshold: 0}
+     * @throws {Error} If the condition is invalid
+     */
+    static parseGateCondition(text) {
+        const validation = ValidationUtils.validateGateCondition(text);
+        if (!validation.valid) {
+            throw new Error(validation.message);
+        }
+
+        const [conditionPart, thresholdStr] = text.split(';');
+        const type = conditionPart.substring(0, conditionPart.indexOf(':'));
+        const params = conditionPart.substring(type.length + 1).split(',').map(param => param.trim()).filter(param => param !== '');
+
+        return { type: type, [this.GATE_LISTS[type]]: params, threshold: parseInt(thresholdStr) };
+    }
+
+    /**
+     * Write a gate object as a "Type:Params;Threshold" gate condition
+     * @param {Object} gate - Gate object from parseGateCondition()
+     * @returns {string} Gate condition
+     */
+    static formatGateCondition(gate) {
+        return `${gate.type}:${gate[this.GATE_LISTS[gate.type]].join(',')};${gate.threshold}`;
+    }
+
+    // ===== FILE TEXT =====
+
+    /**
+     * Parse and validate JSON contract text
+     * @param {string} jsonText - Contents of a .json contract file
+     * @returns {Object} JSON contract
+     * @throws {Error} If the text is not valid JSON or not a valid contract
+     */
+    static parseJSON(jsonText) {
+        let contract;
+        try {
+            contract = JSON.parse(jsonText);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        this.assertValid(contract);
+        return contract;
+    }
+
+    /**
+     * Write a JSON contract as file text
+     * @param {Object} contract - JSON contract
+     * @returns {string} Pretty-printed JSON
+     */
+    static stringify(contract) {
+        return JSON.stringify(contract, null, 2) + '\n';
+    }
+
+    /**
+     * Split "# key: value" metadata lines off the top of a CSV file
+     * @param {string} csvText - Contents of a .csv contract file
+     * @returns {Object} {metadata, csvText} - csvText starts at the header row
+     * @throws {Error} If a metadata value is not valid JSON
+     */
+    static splitCSVMetadata(csvText) {
+        const metadata = {};
+        let rest = csvText;
+        let lineNumber = 0;
+
+        let match;
+        while ((match = /^#([^\r\n]*)(\r?\n|$)/.exec(rest)) !== null) {
+            lineNumber++;
+            const line = `#${match[1]}`;
+            const fields = this.METADATA_LINE_PATTERN.exec(line.trim());
+            if (!fields) {
+                throw new Error(`Metadata line ${lineNumber} must look like "# key: value", got '${line}'`);
+            }
+            try {
+                metadata[fields[1]] = JSON.parse(fields[2]);
+            } catch (error) {
+                throw new Error(`Metadata line ${lineNumber} ('${fields[1]}') is not a valid JSON value: ${error.message}`);
+            }
+            rest = rest.slice(match[0].length);
+        }
+
+        return { metadata: metadata, csvText: rest };
+    }
+
+    /**
+     * Write contract CSV text: metadata lines, then the rows
+     * @param {Array} rows - Rows keyed by CSV column
+     * @param {Object} metadata - Contract metadata
+     * @returns {string} CSV file text
+     */
+    static toCSV(rows, metadata = {}) {
+        const metadataLines = Object.keys(metadata || {})
+            .filter(key => metadata[key] !== undefined)
+            .map(key => `# ${key}: ${JSON.stringify(metadata[key])}${this.CSV_OPTIONS.newline}`)
+            .join('');
+
+        return metadataLines + Papa.unparse(rows, this.CSV_OPTIONS);
+    }
+
+    // ===== VALIDATION =====
+
+    /**
+     * Check the structure of a JSON contract
+     * Node content (effect syntax, colors, connections) is checked by CSVLoader / ValidationUtils
+     * on the converted rows, the same as for CSV files
+     * @param {Object} contract - Parsed JSON
+     * @returns {Array<string>} Error messages (empty if valid)
+     */
+    static validateContract(contract) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+
+        if (!isObject(contract)) {
+            return ['Contract must be a JSON object'];
+        }
+        if (contract.format !== this.FORMAT) {
+            errors.push(`Unknown format '${contract.format}', expected '${this.FORMAT}'`);
+        }
+        if (!Number.isInteger(contract.version) || contract.version < 1 || contract.version > this.VERSION) {
+            errors.push(`Unsupported version '${contract.version}', expected 1 to ${this.VERSION}`);
+        }
+
+        if (contract.metadata !== undefined) {
+            errors.push(...this.validateMetadata(contract.metadata));
+        }
+
+        if (!Array.isArray(contract.nodes) || contract.nodes.length === 0) {
+            errors.push('nodes must be a non-empty array');
+            return errors;
+        }
+
+        contract.nodes.forEach((node, index) => {
+            const prefix = `Node ${index + 1}${isObject(node) && typeof node.id === 'string' ? ` (${node.id})` : ''}`;
+            if (!isObject(node)) {
+                errors.push(`${prefix}: must be an object`);
+                return;
+            }
+
+            if (typeof node.id !== 'string' || node.id === '') errors.push(`${prefix}: id must be a non-empty string`);
+            ['description', 'effectDescription', 'type', 'color', 'slot'].forEach(field => {
+                if (node[field] !== undefined && typeof node[field] !== 'string') errors.push(`${prefix}: ${field} must be a string`);
+            });
+            ['x', 'y', 'width', 'height', 'layer'].forEach(field => {
+                if (node[field] !== undefined && !isNumber(node[field])) errors.push(`${prefix}: ${field} must be a number`);
+            });
+
+            if (node.effects !== undefined && !Array.isArray(node.effects)) {
+                errors.push(`${prefix}: effects must be an array`);
+            } else {
+                (node.effects || []).forEach((effect, effectIndex) => {
+                    const effectError = this.validateEffectObject(effect);
+                    if (effectError) errors.push(`${prefix}: effect ${effectIndex + 1} ${effectError}`);
+                });
+            }
+
+            if (node.gate !== undefined) {
+                const gateError = this.validateGateObject(node.gate);
+                if (gateError) errors.push(`${prefix}: gate ${gateError}`);
+            }
+
+            if (node.connections !== undefined &&
+                !(Array.isArray(node.connections) && node.connections.every(id => typeof id === 'string'))) {
+                errors.push(`${prefix}: connections must be an array of node IDs`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check contract metadata (JSON "metadata" object or the CSV "# key: value" lines)
+     * @param {Object} metadata - Contract metadata
+     * @returns {Array<string>} Error messages (empty if valid)
+     */
+    static validateMetadata(metadata) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+
+        if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+            return ['metadata must be an object'];
+        }
+
+        const { baseReward, maxHiredRunners, composition, damageTable } = metadata;
+        ['name', 'title', 'briefing'].forEach(key => {
+            if (metadata[key] !== undefined && typeof metadata[key] !== 'string') errors.push(`metadata.${key} must be a string`);
+        });
+        if (baseReward !== undefined && !(isNumber(baseReward) && baseReward >= 0)) {
+            errors.push('metadata.baseReward must be a non-negative number');
+        }
+        if (maxHiredRunners !== undefined && !(Number.isInteger(maxHiredRunners) && maxHiredRunners >= 1)) {
+            errors.push('metadata.maxHiredRunners must be a whole number of at least 1');
+        }
+
+        if (composition !== undefined) {
+            if (!Array.isArray(composition)) {
+                errors.push('metadata.composition must be an array of rules');
+            } else {
+                const seenTypes = [];
+                composition.forEach((rule, index) => {
+                    const ruleError = this.validateCompositionRule(rule);
+                    if (ruleError) {
+                        errors.push(`metadata.composition rule ${index + 1} ${ruleError}`);
+                        return;
+                    }
+                    if (seenTypes.includes(rule.runnerType.toLowerCase())) {
+                        errors.push(`metadata.composition has more than one rule for ${rule.runnerType}`);
+                    }
+                    seenTypes.push(rule.runnerType.toLowerCase());
+                });
+
+                const required = composition.filter(rule => !this.validateCompositionRule(rule))
+                    .reduce((total, rule) => total + (rule.min || 0), 0);
+                if (Number.isInteger(maxHiredRunners) && required > maxHiredRunners) {
+                    errors.push(`metadata.composition needs ${required} runners but maxHiredRunners is ${maxHiredRunners}`);
+                }
+            }
+        }
+
+        if (damageTable !== undefined) {
+            if (!Array.isArray(damageTable) || damageTable.length === 0) {
+                errors.push('metadata.damageTable must be a non-empty array');
+            } else {
+                damageTable.forEach((entry, index) => {
+                    const entryError = this.validateDamageTableEntry(entry);
+                    if (entryError) errors.push(`metadata.damageTable entry ${index + 1} ${entryError}`);
+                });
+
+                // Ranges may leave gaps (those rolls have no effect) but must not overlap
+                const ranges = damageTable.filter(entry => !this.validateDamageTableEntry(entry))
+                    .sort((a, b) => a.minRange - b.minRange);
+                for (let i = 1; i < ranges.length; i++) {
+                    if (ranges[i].minRange <= ranges[i - 1].maxRange) {
+                        errors.push(`metadata.damageTable ranges ${ranges[i - 1].minRange}-${ranges[i - 1].maxRange} and ${ranges[i].minRange}-${ranges[i].maxRange} overlap`);
+                    }
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Throw if a JSON contract is invalid
+     * @param {Object} contract - Parsed JSON
+     * @throws {Error} Listing every problem
+     */
+    static assertValid(contract) {
+        const errors = this.validateContract(contract);
+        if (errors.length > 0) {
+            throw new Error(`Contract validation failed with ${errors.length} error(s):\n${errors.join('\n')}`);
+        }
+    }
+
+    /**
+     * @param {Object|string} effect - Structured effect or effect string
+     * @returns {string|null} Problem description, or null if the shape is valid
+     */
+    static validateEffectObject(effect) {
+        if (typeof effect === 'string') {
+            return effect.trim() === '' ? 'must not be empty' : null;
+        }
+        if (effect === null || typeof effect !== 'object') {
+            return 'must be an effect object or an effect string';
+        }
+        if (effect.target !== undefined) {
+            // Runner effect: its text form has to parse as one
+            const { ast, error } = EffectExpression.tryParse(EffectExpression.toText(effect));
+            if (error || !EffectExpression.isRunnerEffect(ast)) {
+                return `is not a valid runner effect${error ? ` (${error.reason})` : ''}`;
+            }
+            return null;
+        }
+        if (!EffectExpression.OPERATORS.includes(effect.operator)) {
+            return `operator must be one of ${EffectExpression.OPERATORS.join(' ')}`;
+        }
+        if (typeof effect.amount !== 'number' || !isFinite(effect.amount)) {
+            return 'amount must be a number';
+        }
+        if (typeof effect.stat !== 'string' || !EffectExpression.POOLS.includes(effect.stat.toLowerCase())) {
+            return 'stat must be Damage, Risk, Money, Grit or Veil';
+        }
+        if (effect.per !== undefined && !(effect.per && typeof effect.per.source === 'string' &&
+            typeof effect.per.divisor === 'number' && effect.per.divisor > 0)) {
+            return 'per must be {divisor, source} with a divisor above 0';
+        }
+        if (effect.condition !== undefined && typeof effect.condition !== 'string') {
+            return 'condition must be a string';
+        }
+        if (['min', 'max'].some(field => effect[field] !== undefined && typeof effect[field] !== 'number')) {
+            return 'min and max must be numbers';
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} rule - Composition rule {runnerType, min, max}
+     * @returns {string|null} Problem description, or null if the shape is valid
+     */
+    static validateCompositionRule(rule) {
+        if (rule === null || typeof rule !== 'object') {
+            return 'must be an object';
+        }
+        if (typeof rule.runnerType !== 'string' || !ValidationUtils.isValidRunnerType(rule.runnerType)) {
+            return `runnerType must be one of ${ValidationUtils.VALID_RUNNER_TYPES.join(', ')}`;
+        }
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        if ((rule.min === undefined && rule.max === undefined) ||
+            (rule.min !== undefined && !isCount(rule.min)) || (rule.max !== undefined && !isCount(rule.max))) {
+            return 'needs min and/or max as whole numbers of 0 or more';
+        }
+        if (rule.min !== undefined && rule.max !== undefined && rule.min > rule.max) {
+            return 'min cannot be above max';
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} entry - Damage table entry {minRange, maxRange, effect, value}
+     * @returns {string|null} Problem description, or null if the shape is valid
+     */
+    static validateDamageTableEntry(entry) {
+        if (entry === null || typeof entry !== 'object') {
+            return 'must be an object';
+        }
+        if (!Number.isInteger(entry.minRange) || !Number.isInteger(entry.maxRange) ||
+            entry.minRange < 1 || entry.maxRange < entry.minRange) {
+            return 'needs whole number minRange and maxRange with 1 <= minRange <= maxRange';
+        }
+        if (typeof entry.effect !== 'string' || entry.effect === '') {
+            return 'needs an effect name';
+        }
+        if (entry.value !== undefined && !(typeof entry.value === 'number' && isFinite(entry.value))) {
+            return 'value must be a number';
+        }
+        // Effect types and their parameters come from the registry in damageEvaluator.js
+        // (pages that don't load it only get the shape checked)
+        if (typeof validateDamageEffect === 'function') {
+            return validateDamageEffect(entry);
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} gate - Gate object
+     * @returns {string|null} Problem description, or null if the shape is valid
+     */
+    static validateGateObject(gate) {
+        if (gate === null || typeof gate !== 'object') {
+            return 'must be an object';
+        }
+        const listName = this.GATE_LISTS[gate.type];
+        if (!listName) {
+            return `type must be one of ${Object.keys(this.GATE_LISTS).join(', ')}`;
+        }
+        if (!Array.isArray(gate[listName]) || !gate[listName].every(value => typeof value === 'string')) {
+            return `${listName} must be an array of strings`;
+        }
+        if (!Number.isInteger(gate.threshold) || gate.threshold < 0) {
+            return 'threshold must be a non-negative integer';
+        }
+        return null;
+    }
+}
+
+// Export for use in Node.js environments (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContractFormat;
+}
@@ -0,0 +1,838 @@
+/**
+ * EffectExpression - Tokenizer, parser and evaluator for node effect strings
+ *
+ * Expression syntax:
+ *
+ *     <op><amount> <Stat> [per [n] <source>] [if <condition>] [min <n>] [max <n>]
+ *
+ *     +2 Damage
+ *     +1 Money per 2 Veil
+ *     *2 Risk if NodeColor:Red AND NOT RunnerType:Hacker
+ *     +5 Money per RunnerType:Hacker max 15
+ *     %10 Money if (PrevDam OR PrevRisk) AND Grit >= 4
+ *
+ * - op: + - * / %   amount: number (e.g. "%-25 Damage")
+ * - Stat / pool names: Damage, Risk, Money, Grit, Veil (case-insensitive)
+ * - per: multiplies the amount by floor(source / n); a source is a pool or a condition atom
+ * - if: AND / OR / NOT with parentheses; an atom or pool counts as true when above 0,
+ *   or compare it explicitly with >=, <=, >, <, =, != (comparators need surrounding spaces)
+ * - min / max: clamp the final amount (after per)
+ *
+ * Condition atoms are the same as in the legacy format: RunnerType:X, RunnerStat:x>=n,
+ * NodeColor:X, NodeColorCombo:X,Y, Trait:X, PrevDam, PrevRisk, RiskDamPair, ColorForEach.
+ *
+ * Runner effects act on one hired runner instead of a pool (resolved when the contract
+ * is executed, see applyRunnerEffect in runnerManager.js):
+ *
+ *     <op><amount> <RunnerStat> to <target> [per ...] [if ...] [min <n>] [max <n>]
+ *     Heal <target> [if <condition>]
+ *     Injure <target> [if <condition>]
+ *
+ *     +1 Hacker to Runner:Hacker highest hacker
+ *     Heal Runner:Muscle
+ *     Injure Runner:Any if Risk >= 5
+ *
+ * - target: Runner:<Face|Muscle|Hacker|Ninja|Any> [random | highest <stat> | lowest <stat>]
+ *   (random is the default)
+ * - RunnerStat effects only use + and -; the change lasts until the contract ends
+ *
+ * Legacy "Condition;Operator;Amount;Stat" strings compile to the same AST, with the
+ * condition as a "per" source so its count multiplies the amount exactly as before.
+ */
+
+/**
+ * Parse error with the 1-based column where parsing failed
+ */
+class EffectParseError extends Error {
+    constructor(message, column) {
+        super(`${message} at column ${column}`);
+        this.name = 'EffectParseError';
+        this.reason = message;
+        this.column = column;
+    }
+}
+
+class EffectExpression {
+    // ===== CONSTANTS =====
+
+    static OPERATORS = ['+', '-', '*', '/', '%'];
+    static POOLS = ['damage', 'risk', 'money', 'grit', 'veil'];
+    static COMPARATORS = ['>=', '<=', '!=', '==', '=', '>', '<'];
+    static KEYWORDS = ['per', 'if', 'min', 'max', 'and', 'or', 'not'];
+
+    // Runner effects: stats they change, actions, target runner types and how a target is picked
+    static RUNNER_STATS = ['face', 'muscle', 'hacker', 'ninja'];
+    static RUNNER_ACTIONS = ['heal', 'injure'];
+    static RUNNER_TYPES = ['Face', 'Muscle', 'Hacker', 'Ninja'];
+    static TARGET_PICKS = ['random', 'highest', 'lowest'];
+
+    // Condition atoms taking an argument (Name:arg) and standalone atoms
+    static ARGUMENT_ATOMS = ['RunnerType', 'RunnerStat', 'NodeColor', 'NodeColorCombo', 'Trait'];
+    static BARE_ATOMS = ['PrevDam', 'PrevRisk', 'RiskDamPair', 'ColorForEach'];
+
+    // Parsed effects by source text (effects are re-evaluated on every pool calculation)
+    static cache = new Map();
+
+    // CSV columns holding a node's effects: "Effect 1", "Effect 2", ... (as many as needed)
+    static EFFECT_COLUMN_PATTERN = /^Effect (\d+)$/;
+
+    // ===== PUBLIC API =====
+
+    /**
+     * Check whether an effect string uses the legacy 4-part format
+     * @param {string} text - Effect string
+     * @returns {boolean} True for "Condition;Operator;Amount;Stat" strings
+     */
+    static isLegacy(text) {
+        return typeof text === 'string' && text.includes(';');
+    }
+
+    /**
+     * Check whether a parsed effect acts on a runner instead of a pool
+     * @param {Object} ast - Effect AST from parse()
+     * @returns {boolean} True for Heal / Injure / runner stat effects
+     */
+    static isRunnerEffect(ast) {
+        return !!ast && ast.type === 'RunnerEffect';
+    }
+
+    /**
+     * Parse an effect string (either syntax) into an AST
+     * Runner effects have type 'RunnerEffect', stat null and {action, runnerStat, target}
+     * (action is 'stat', 'heal' or 'injure'; target is {runnerType, pick, pickStat})
+     * @param {string} text - Effect string
+     * @returns {Object} Effect AST {type, operator, amount, stat, per, condition, min, max, legacy, source}
+     * @throws {EffectParseError} If the string cannot be parsed
+     */
+    static parse(text) {
+        if (this.cache.has(text)) {
+            return this.cache.get(text);
+        }
+
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw new EffectParseError('Effect is empty', 1);
+        }
+
+        const ast = this.isLegacy(text) ? this.parseLegacy(text) : new EffectParser(text).parseEffect();
+        this.cache.set(text, ast);
+        return ast;
+    }
+
+    /**
+     * Parse without throwing
+     * @param {string} text - Effect string
+     * @returns {Object} {ast: Object|null, error: EffectParseError|null}
+     */
+    static tryParse(text) {
+        try {
+            return { ast: this.parse(text), error: null };
+        } catch (error) {
+            if (error instanceof EffectParseError) {
+                return { ast: null, error: error };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Compute the amount an effect applies with, or null if it does not apply
+     * @param {Object} ast - Effect AST from parse()
+     * @param {Object} context - Evaluation hooks
+     * @param {Function} context.evaluateCondition - (rawAtom) => number, e.g. GameState.evaluateCondition
+     * @param {Function} context.getPool - (poolName) => current pool value
+     * @returns {number|null} Effective amount, or null when the condition fails or the multiplier is 0
+     */
+    static resolveAmount(ast, context) {
+        const resolution = this.resolve(ast, context);
+        return resolution.applies ? resolution.amount : null;
+    }
+
+    /**
+     * Resolve an effect with the details needed to explain it (used for calculation traces)
+     * @param {Object} ast - Effect AST from parse()
+     * @param {Object} context - Evaluation hooks (see resolveAmount)
+     * @returns {Object} {applies, amount, multiplier, reason} - reason is set when the effect is skipped
+     */
+    static resolve(ast, context) {
+        if (ast.condition && !this.evaluateBoolean(ast.condition, context)) {
+            return { applies: false, amount: 0, multiplier: 0, reason: 'condition not met' };
+        }
+
+        let multiplier = 1;
+        if (ast.per) {
+            multiplier = Math.floor(this.evaluateValue(ast.per.source, context) / ast.per.divisor);
+            if (!(multiplier > 0)) {
+                // Same as a legacy condition returning 0
+                return { applies: false, amount: 0, multiplier: 0, reason: ast.legacy ? 'condition not met' : 'multiplier is 0' };
+            }
+        }
+
+        let amount = ast.amount * multiplier;
+        if (ast.min !== null) amount = Math.max(ast.min, amount);
+        if (ast.max !== null) amount = Math.min(ast.max, amount);
+        return { applies: true, amount: amount, multiplier: multiplier, reason: null };
+    }
+
+    // ===== CSV ENCODING =====
+
+    /**
+     * Get the "Effect N" column names present in a CSV row, in numeric order
+     * @param {Object} row - Parsed CSV row
+     * @returns {Array<string>} Column names, e.g. ['Effect 1', 'Effect 2', 'Effect 3']
+     */
+    static getEffectColumns(row) {
+        return Object.keys(row || {})
+            .filter(key => this.EFFECT_COLUMN_PATTERN.test(key))
+            .sort((a, b) => parseInt(a.match(this.EFFECT_COLUMN_PATTERN)[1]) - parseInt(b.match(this.EFFECT_COLUMN_PATTERN)[1]));
+    }
+
+    /**
+     * Read a node's ordered effect list from its "Effect N" columns (empty cells are skipped)
+     * @param {Object} row - Parsed CSV row
+     * @returns {Array<string>} Effect strings
+     */
+    static getRowEffects(row) {
+        return this.getEffectColumns(row)
+            .map(column => row[column])
+            .filter(effect => typeof effect === 'string' && effect.trim() !== '');
+    }
+
+    /**
+     * Encode an effect list as "Effect N" columns
+     * @param {Array<string>} effects - Effect strings
+     * @param {number} columnCount - Number of columns to emit (at least effects.length)
+     * @returns {Object} {'Effect 1': ..., 'Effect 2': ..., ...}
+     */
+    static toEffectColumns(effects, columnCount) {
+        const columns = {};
+        for (let i = 0; i < columnCount; i++) {
+            columns[`Effect ${i + 1}`] = effects[i] || '';
+        }
+        return columns;
+    }
+
+    // ===== STRUCTURED FORM (JSON contracts) =====
+
+    /**
+     * Convert an effect string to the structured form used by JSON contracts
+     *
+     *     "+1 Money per 2 Veil if NodeColor:Red max 5"
+     *     → {operator: '+', amount: 1, stat: 'Money', per: {divisor: 2, source: 'Veil'},
+     *        condition: 'NodeColor:Red', max: 5}
+     *
+     * Legacy strings keep legacy: true so toText() writes them back in the 4-part format
+     * @param {string} text - Effect string
+     * @returns {Object} {operator, amount, stat, per?, condition?, min?, max?, legacy?}
+     * @throws {EffectParseError} If the string cannot be parsed
+     */
+    static toStructured(text) {
+        const ast = this.parse(text);
+        if (this.isRunnerEffect(ast)) {
+            return this.toStructuredRunnerEffect(ast);
+        }
+
+        const effect = {
+            operator: ast.operator,
+            amount: ast.amount,
+            stat: this.formatPoolName(ast.stat)
+        };
+
+        if (ast.per) effect.per = { divisor: ast.per.divisor, source: this.formatValue(ast.per.source) };
+        if (ast.condition) effect.condition = this.formatCondition(ast.condition);
+        if (ast.min !== null) effect.min = ast.min;
+        if (ast.max !== null) effect.max = ast.max;
+        if (ast.legacy) effect.legacy = true;
+        return effect;
+    }
+
+    /**
+     * Structured form of a runner effect
+     *
+     *     "+1 Hacker to Runner:Hacker highest hacker"
+     *     → {operator: '+', amount: 1, runnerStat: 'Hacker', target: 'Runner:Hacker highest Hacker'}
+     *     "Heal Runner:Muscle" → {action: 'Heal', target: 'Runner:Muscle'}
+     * @param {Object} ast - Runner effect AST
+     * @returns {Object} {action?, operator?, amount?, runnerStat?, target, per?, condition?, min?, max?}
+     */
+    static toStructuredRunnerEffect(ast) {
+        const effect = ast.action === 'stat'
+            ? { operator: ast.operator, amount: ast.amount, runnerStat: this.formatPoolName(ast.runnerStat) }
+            : { action: this.formatPoolName(ast.action) };
+        effect.target = this.formatTarget(ast.target);
+
+        if (ast.per) effect.per = { divisor: ast.per.divisor, source: this.formatValue(ast.per.source) };
+        if (ast.condition) effect.condition = this.formatCondition(ast.condition);
+        if (ast.min !== null) effect.min = ast.min;
+        if (ast.max !== null) effect.max = ast.max;
+        return effect;
+    }
+
+    /**
+     * Write a structured effect back as an effect string (strings are passed through)
+     * @param {Object|string} effect - Structured effect from toStructured()
+     * @returns {string} Effect string
+     */
+    static toText(effect) {
+        if (typeof effect === 'string') {
+            return effect;
+        }
+
+        if (effect.legacy) {
+            const condition = effect.per ? effect.per.source : 'None';
+            return `${condition};${effect.operator};${effect.amount};${effect.stat}`;
+        }
+
+        let text;
+        if (effect.action) {
+            text = `${effect.action} ${effect.target}`;
+        } else if (effect.runnerStat) {
+            text = `${effect.operator}${effect.amount} ${effect.runnerStat} to ${effect.target}`;
+        } else {
+            text = `${effect.operator}${effect.amount} ${effect.stat}`;
+        }
+        if (effect.per) {
+            text += effect.per.divisor === 1 ? ` per ${effect.per.source}` : ` per ${effect.per.divisor} ${effect.per.source}`;
+        }
+        if (effect.condition) text += ` if ${effect.condition}`;
+        if (effect.min !== undefined && effect.min !== null) text += ` min ${effect.min}`;
+        if (effect.max !== undefined && effect.max !== null) text += ` max ${effect.max}`;
+        return text;
+    }
+
+    /**
+     * Write a condition node as expression text (parenthesized only where precedence needs it)
+     * @param {Object} node - Condition node from an effect AST
+     * @returns {string} Condition text, e.g. "(PrevDam OR PrevRisk) AND Grit >= 4"
+     */
+    static formatCondition(node) {
+        const precedence = { Or: 1, And: 2 };
+        const operand = (child, parentType, isRight) => {
+            const text = this.formatCondition(child);
+            const childPrecedence = precedence[child.type];
+            // Parser is left-associative, so an equal-precedence right operand came from parentheses
+            const needsParens = childPrecedence !== undefined &&
+                (childPrecedence < precedence[parentType] || (isRight && childPrecedence === precedence[parentType]));
+            return needsParens ? `(${text})` : text;
+        };
+
+        switch (node.type) {
+            case 'Or':
+            case 'And':
+                return `${operand(node.left, node.type, false)} ${node.type.toUpperCase()} ${operand(node.right, node.type, true)}`;
+            case 'Not':
+                return precedence[node.operand.type] !== undefined
+                    ? `NOT (${this.formatCondition(node.operand)})`
+                    : `NOT ${this.formatCondition(node.operand)}`;
+            case 'Compare':
+                return `${this.formatValue(node.left)} ${node.comparator} ${node.right}`;
+            default:
+                return this.formatValue(node);
+        }
+    }
+
+    /**
+     * Write a value node (pool or atom) as text
+     */
+    static formatValue(node) {
+        return node.type === 'Pool' ? this.formatPoolName(node.pool) : node.raw;
+    }
+
+    static formatPoolName(pool) {
+        return pool.charAt(0).toUpperCase() + pool.slice(1);
+    }
+
+    /**
+     * Write a runner effect target as text, e.g. "Runner:Hacker highest Hacker"
+     * @param {Object} target - Target from a runner effect AST
+     * @returns {string} Target text (a random pick is left implicit)
+     */
+    static formatTarget(target) {
+        const text = `Runner:${target.runnerType || 'Any'}`;
+        return target.pick === 'random' ? text : `${text} ${target.pick} ${this.formatPoolName(target.pickStat)}`;
+    }
+
+    // ===== EVALUATION =====
+
+    /**
+     * Evaluate a value node (atom or pool) to a number
+     */
+    static evaluateValue(node, context) {
+        if (node.type === 'Pool') {
+            return context.getPool(node.pool) || 0;
+        }
+        return context.evaluateCondition(node.raw) || 0;
+    }
+
+    /**
+     * Evaluate a condition node to a boolean
+     */
+    static evaluateBoolean(node, context) {
+        switch (node.type) {
+            case 'And':
+                return this.evaluateBoolean(node.left, context) && this.evaluateBoolean(node.right, context);
+            case 'Or':
+                return this.evaluateBoolean(node.left, context) || this.evaluateBoolean(node.right, context);
+            case 'Not':
+                return !this.evaluateBoolean(node.operand, context);
+            case 'Compare':
+                return this.compare(this.evaluateValue(node.left, context), node.comparator, node.right);
+            default:
+                return this.evaluateValue(node, context) > 0;
+        }
+    }
+
+    static compare(left, comparator, right) {
+        switch (comparator) {
+            case '>=': return left >= right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '<': return left < right;
+            case '!=': return left !== right;
+            default: return left === right; // '=' and '=='
+        }
+    }
+
+    // ===== LEGACY FORMAT =====
+
+    /**
+     * Compile a legacy "Condition;Operator;Amount;Stat" string
+     * Extra parts beyond the fourth are ignored, matching the original applyEffect
+     */
+    static parseLegacy(text) {
+        const parts = text.split(';');
+        if (parts.length < 4) {
+            throw new EffectParseError(`Legacy effect requires 4 parts separated by semicolons, got ${parts.length}`, text.length + 1);
+        }
+
+        const [condition, operator, amount, stat] = parts;
+        const columnOf = index => parts.slice(0, index).reduce((col, part) => col + part.length + 1, 1);
+
+        if (!this.OPERATORS.includes(operator)) {
+            throw new EffectParseError(`Unknown operator '${operator}'`, columnOf(1));
+        }
+
+        const numAmount = parseFloat(amount);
+        if (isNaN(numAmount)) {
+            throw new EffectParseError(`Amount must be a number, got '${amount}'`, columnOf(2));
+        }
+
+        if (!this.POOLS.includes(stat.toLowerCase())) {
+            throw new EffectParseError(`Unknown stat '${stat}'`, columnOf(3));
+        }
+
+        return {
+            type: 'Effect',
+            operator: operator,
+            amount: numAmount,
+            stat: stat.toLowerCase(),
+            per: !condition || condition === 'None'
+                ? null
+                : { divisor: 1, source: { type: 'Atom', raw: condition, column: 1 } },
+            condition: null,
+            min: null,
+            max: null,
+            legacy: true,
+            source: text
+        };
+    }
+}
+
+/**
+ * Recursive descent parser for the expression syntax (one instance per string)
+ */
+class EffectParser {
+    constructor(text) {
+        this.text = text;
+        this.tokens = EffectParser.tokenize(text);
+        this.position = 0;
+    }
+
+    /**
+     * Split an expression into tokens with 1-based columns
+     * @param {string} text - Expression text
+     * @returns {Array<Object>} Tokens {type, value, column}
+     */
+    static tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+            const column = i + 1;
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char, value: char, column });
+                i++;
+                continue;
+            }
+
+            const comparator = EffectExpression.COMPARATORS.find(c => text.startsWith(c, i));
+            if (comparator) {
+                tokens.push({ type: 'Comparator', value: comparator, column });
+                i += comparator.length;
+                continue;
+            }
+
+            if (EffectExpression.OPERATORS.includes(char)) {
+                tokens.push({ type: 'Operator', value: char, column });
+                i++;
+                continue;
+            }
+
+            const number = /^(\d+(\.\d+)?|\.\d+)/.exec(text.slice(i));
+            if (number) {
+                tokens.push({ type: 'Number', value: parseFloat(number[0]), column });
+                i += number[0].length;
+                continue;
+            }
+
+            const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+            if (word) {
+                i += word[0].length;
+                const lower = word[0].toLowerCase();
+
+                if (text[i] === ':') {
+                    // Atom argument runs to the next space or parenthesis (e.g. RunnerStat:face+muscle>=6)
+                    const argument = /^[^\s()]*/.exec(text.slice(i + 1))[0];
+                    tokens.push({ type: 'Atom', value: word[0], argument, column });
+                    i += 1 + argument.length;
+                } else if (EffectExpression.KEYWORDS.includes(lower)) {
+                    tokens.push({ type: 'Keyword', value: lower, column });
+                } else {
+                    tokens.push({ type: 'Word', value: word[0], column });
+                }
+                continue;
+            }
+
+            throw new EffectParseError(`Unexpected character '${char}'`, column);
+        }
+
+        tokens.push({ type: 'End', value: '', column: text.length + 1 });
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    isKeyword(token, keyword) {
+        return token.type === 'Keyword' && token.value === keyword;
+    }
+
+    describe(token) {
+        return token.type === 'End' ? 'end of effect' : `'${token.value}'`;
+    }
+
+    /**
+     * effect := op ['-'] number stat { per | if | min | max }
+     *         | op ['-'] number runnerStat 'to' target { per | if | min | max }
+     *         | action target [ if ]
+     */
+    parseEffect() {
+        const first = this.peek();
+        if (first.type === 'Word' && EffectExpression.RUNNER_ACTIONS.includes(first.value.toLowerCase())) {
+            return this.parseRunnerAction();
+        }
+
+        const operatorToken = this.next();
+        if (operatorToken.type !== 'Operator') {
+            throw new EffectParseError(`Expected an operator (${EffectExpression.OPERATORS.join(' ')}) or Heal/Injure but found ${this.describe(operatorToken)}`, operatorToken.column);
+        }
+
+        const amount = this.parseSignedNumber('an amount');
+
+        const statToken = this.peek();
+        if (statToken.type === 'Word' && EffectExpression.RUNNER_STATS.includes(statToken.value.toLowerCase())) {
+            return this.parseRunnerStatEffect(operatorToken, amount);
+        }
+
+        const stat = this.parsePoolName('a stat name');
+
+        const effect = {
+            type: 'Effect',
+            operator: operatorToken.value,
+            amount: amount,
+            stat: stat,
+            per: null,
+            condition: null,
+            min: null,
+            max: null,
+            legacy: false,
+            source: this.text
+        };
+
+        return this.parseClauses(effect, ['per', 'if', 'min', 'max']);
+    }
+
+    /**
+     * runnerStatEffect := op number runnerStat 'to' target { per | if | min | max }
+     */
+    parseRunnerStatEffect(operatorToken, amount) {
+        if (operatorToken.value !== '+' && operatorToken.value !== '-') {
+            throw new EffectParseError('Runner stat effects can only use + or -', operatorToken.column);
+        }
+
+        const runnerStat = this.next().value.toLowerCase();
+        const to = this.next();
+        if (to.type !== 'Word' || to.value.toLowerCase() !== 'to') {
+            throw new EffectParseError(`Expected 'to' and a runner target after '${EffectExpression.formatPoolName(runnerStat)}' but found ${this.describe(to)}`, to.column);
+        }
+
+        // Stat changes resolve while planning, so their target has to be predictable
+        const targetToken = this.peek();
+        const effect = this.createRunnerEffect('stat', operatorToken.value, amount, runnerStat);
+        if (effect.target.pick === 'random') {
+            throw new EffectParseError(`Runner stat effects need 'highest <stat>' or 'lowest <stat>' after the target, e.g. '${operatorToken.value}${amount} ${EffectExpression.formatPoolName(runnerStat)} to ${targetToken.value}:${targetToken.argument} highest ${EffectExpression.formatPoolName(runnerStat)}'`, targetToken.column);
+        }
+        return this.parseClauses(effect, ['per', 'if', 'min', 'max']);
+    }
+
+    /**
+     * runnerAction := ('Heal' | 'Injure') target [ if ]
+     */
+    parseRunnerAction() {
+        const action = this.next().value.toLowerCase();
+        const effect = this.createRunnerEffect(action, null, null, null);
+        return this.parseClauses(effect, ['if']);
+    }
+
+    /**
+     * Build a runner effect AST, parsing its target next
+     */
+    createRunnerEffect(action, operator, amount, runnerStat) {
+        return {
+            type: 'RunnerEffect',
+            action: action,
+            operator: operator,
+            amount: amount,
+            stat: null,
+            runnerStat: runnerStat,
+            target: this.parseTarget(),
+            per: null,
+            condition: null,
+            min: null,
+            max: null,
+            legacy: false,
+            source: this.text
+        };
+    }
+
+    /**
+     * target := Runner:(type | Any) [ random | (highest | lowest) runnerStat ]
+     */
+    parseTarget() {
+        const token = this.next();
+        if (token.type !== 'Atom' || token.value.toLowerCase() !== 'runner') {
+            throw new EffectParseError(`Expected a runner target (Runner:Type or Runner:Any) but found ${this.describe(token)}`, token.column);
+        }
+
+        const argumentColumn = token.column + token.value.length + 1;
+        const argument = token.argument.toLowerCase();
+        const runnerType = EffectExpression.RUNNER_TYPES.find(type => type.toLowerCase() === argument);
+        if (!runnerType && argument !== 'any') {
+            throw new EffectParseError(`Unknown runner type '${token.argument}' (${EffectExpression.RUNNER_TYPES.join(', ')} or Any)`, argumentColumn);
+        }
+
+        const target = { runnerType: runnerType || null, pick: 'random', pickStat: null };
+
+        const pickToken = this.peek();
+        const pick = pickToken.type === 'Word' ? pickToken.value.toLowerCase() : null;
+        if (EffectExpression.TARGET_PICKS.includes(pick)) {
+            this.next();
+            target.pick = pick;
+            if (pick !== 'random') {
+                const statToken = this.next();
+                const stat = statToken.type === 'Word' ? statToken.value.toLowerCase() : null;
+                if (!EffectExpression.RUNNER_STATS.includes(stat)) {
+                    throw new EffectParseError(`Expected a runner stat (Face, Muscle, Hacker, Ninja) after '${pick}' but found ${this.describe(statToken)}`, statToken.column);
+                }
+                target.pickStat = stat;
+            }
+        }
+
+        return target;
+    }
+
+    /**
+     * Parse the trailing clauses of an effect into its AST
+     * @param {Object} effect - Effect AST being built
+     * @param {Array<string>} allowed - Clause keywords this kind of effect accepts
+     * @returns {Object} The effect AST
+     */
+    parseClauses(effect, allowed) {
+        while (this.peek().type !== 'End') {
+            const token = this.next();
+            const clause = token.type === 'Keyword' ? token.value : null;
+
+            if (!allowed.includes(clause)) {
+                const expected = allowed.map(keyword => `'${keyword}'`);
+                const list = expected.length > 1 ? `${expected.slice(0, -1).join(', ')} or ${expected[expected.length - 1]}` : expected[0];
+                throw new EffectParseError(`Expected ${list} but found ${this.describe(token)}`, token.column);
+            }
+
+            const field = clause === 'if' ? 'condition' : clause;
+            if (effect[field] !== null) {
+                throw new EffectParseError(`Duplicate '${clause}' clause`, token.column);
+            }
+
+            if (clause === 'per') {
+                effect.per = this.parsePer();
+            } else if (clause === 'if') {
+                effect.condition = this.parseOr();
+            } else {
+                effect[clause] = this.parseSignedNumber(`a number after '${clause}'`);
+            }
+        }
+
+        if (effect.min !== null && effect.max !== null && effect.min > effect.max) {
+            throw new EffectParseError(`'min ${effect.min}' is greater than 'max ${effect.max}'`, this.peek().column);
+        }
+
+        return effect;
+    }
+
+    /**
+     * per := [number] source
+     */
+    parsePer() {
+        let divisor = 1;
+        if (this.peek().type === 'Number') {
+            const token = this.next();
+            if (token.value <= 0) {
+                throw new EffectParseError('\'per\' divisor must be greater than 0', token.column);
+            }
+            divisor = token.value;
+        }
+        return { divisor: divisor, source: this.parseValue() };
+    }
+
+    /**
+     * or := and { OR and }
+     */
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.isKeyword(this.peek(), 'or')) {
+            this.next();
+            left = { type: 'Or', left: left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    /**
+     * and := not { AND not }
+     */
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.isKeyword(this.peek(), 'and')) {
+            this.next();
+            left = { type: 'And', left: left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    /**
+     * not := NOT not | primary
+     */
+    parseNot() {
+        if (this.isKeyword(this.peek(), 'not')) {
+            this.next();
+            return { type: 'Not', operand: this.parseNot() };
+        }
+        return this.parsePrimary();
+    }
+
+    /**
+     * primary := '(' or ')' | value [comparator number]
+     */
+    parsePrimary() {
+        if (this.peek().type === '(') {
+            const open = this.next();
+            const inner = this.parseOr();
+            const close = this.next();
+            if (close.type !== ')') {
+                throw new EffectParseError(`Expected ')' to close '(' from column ${open.column} but found ${this.describe(close)}`, close.column);
+            }
+            return inner;
+        }
+
+        const value = this.parseValue();
+        if (this.peek().type === 'Comparator') {
+            const comparator = this.next().value;
+            return { type: 'Compare', left: value, comparator: comparator, right: this.parseSignedNumber(`a number after '${comparator}'`) };
+        }
+        return value;
+    }
+
+    /**
+     * value := pool | Name:argument | bare atom
+     */
+    parseValue() {
+        const token = this.next();
+
+        if (token.type === 'Atom') {
+            const name = EffectExpression.ARGUMENT_ATOMS.find(a => a.toLowerCase() === token.value.toLowerCase());
+            if (!name) {
+                throw new EffectParseError(`Unknown condition '${token.value}:'`, token.column);
+            }
+            if (token.argument === '') {
+                throw new EffectParseError(`Condition '${name}:' needs a value`, token.column + token.value.length + 1);
+            }
+            return { type: 'Atom', raw: `${name}:${token.argument}`, column: token.column };
+        }
+
+        if (token.type === 'Word') {
+            const lower = token.value.toLowerCase();
+            if (EffectExpression.POOLS.includes(lower)) {
+                return { type: 'Pool', pool: lower, column: token.column };
+            }
+
+            const bare = EffectExpression.BARE_ATOMS.find(a => a.toLowerCase() === lower);
+            if (bare) {
+                return { type: 'Atom', raw: bare, column: token.column };
+            }
+
+            if (EffectExpression.ARGUMENT_ATOMS.some(a => a.toLowerCase() === lower)) {
+                throw new EffectParseError(`Condition '${token.value}' needs a value (e.g. ${token.value}:...)`, token.column);
+            }
+            throw new EffectParseError(`Unknown condition or pool '${token.value}'`, token.column);
+        }
+
+        throw new EffectParseError(`Expected a condition or pool name but found ${this.describe(token)}`, token.column);
+    }
+
+    parseSignedNumber(expected) {
+        let sign = 1;
+        if (this.peek().type === 'Operator' && (this.peek().value === '-' || this.peek().value === '+')) {
+            sign = this.next().value === '-' ? -1 : 1;
+        }
+
+        const token = this.next();
+        if (token.type !== 'Number') {
+            throw new EffectParseError(`Expected ${expected} but found ${this.describe(token)}`, token.column);
+        }
+        return sign * token.value;
+    }
+
+    parsePoolName(expected) {
+        const token = this.next();
+        const lower = token.type === 'Word' ? token.value.toLowerCase() : null;
+        if (!EffectExpression.POOLS.includes(lower)) {
+            throw new EffectParseError(`Expected ${expected} (Damage, Risk, Money, Grit, Veil) but found ${this.describe(token)}`, token.column);
+        }
+        return lower;
+    }
+}
+
+// Export for use in Node.js environments (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EffectExpression, EffectParseError };
+}
@@ -0,0 +1,155 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator for Johnson Prototype
+ *
+ * Every random decision in the game (runner generation, damage rolls, damage targets)
+ * draws from one SeededRandom instance owned by GameState. Reusing a seed and making
+ * the same choices reproduces the same runners and damage outcomes, which makes bug
+ * reports and balancing runs repeatable.
+ *
+ * Algorithm: mulberry32 (32-bit state, fast, good enough distribution for gameplay)
+ */
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Optional seed (numbers and strings accepted). Random if omitted.
+     */
+    constructor(seed) {
+        this.setSeed(seed === undefined || seed === null || seed === '' ? SeededRandom.generateSeed() : seed);
+    }
+
+    /**
+     * Generate a fresh seed from the environment (used when the player doesn't choose one)
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Convert a seed value into the initial 32-bit state
+     * Numeric strings are treated as numbers so "1234" and 1234 give the same sequence
+     * @param {number|string} seed - Seed value
+     * @returns {number} Unsigned 32-bit state
+     */
+    static hashSeed(seed) {
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash for text seeds
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Reset the generator to the start of the sequence for a seed
+     * @param {number|string} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = typeof seed === 'number' ? seed >>> 0 : String(seed).trim();
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    /**
+     * Get the seed this sequence started from
+     * @returns {number|string} Seed value
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get the internal state (for saving mid-sequence)
+     * @returns {number} Current 32-bit state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore the internal state (for loading mid-sequence)
+     * @param {number} state - State previously returned by getState()
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     * @returns {number} Random float
+     */
+    next() {
+        let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, maxExclusive)
+     * @param {number} maxExclusive - Upper bound (exclusive)
+     * @returns {number} Random integer
+     */
+    nextInt(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+
+    /**
+     * Next integer in [min, max] (both inclusive)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Random integer
+     */
+    nextRange(min, max) {
+        return min + this.nextInt(max - min + 1);
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} Random element (undefined for empty arrays)
+     */
+    pick(array) {
+        if (!array || array.length === 0) {
+            return undefined;
+        }
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Pick a random element with probability proportional to its weight
+     * Falls back to pick() when no element has a positive weight
+     * @param {Array} array - Array to pick from
+     * @param {Function} getWeight - Returns an element's weight (negative counts as 0)
+     * @returns {*} Random element (undefined for empty arrays)
+     */
+    pickWeighted(array, getWeight) {
+        if (!array || array.length === 0) {
+            return undefined;
+        }
+
+        const weights = array.map(item => Math.max(0, Number(getWeight(item)) || 0));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) {
+            return this.pick(array);
+        }
+
+        let roll = this.next() * total;
+        for (let i = 0; i < array.length; i++) {
+            if (roll < weights[i]) {
+                return array[i];
+            }
+            roll -= weights[i];
+        }
+        return array[array.length - 1];
+    }
+}
+
+// Export for use in Node.js environments (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -25,6 +25,7 @@ class ValidationUtils {
         'RunnerStat:',
         'NodeColor:',
         'NodeColorCombo:',
+        'Trait:',
         'PrevDam',
         'PrevRisk',
         'RiskDamPair',
@@ -41,7 +42,8 @@ class ValidationUtils {
     // ===== EFFECT STRING VALIDATION =====
 
     /**
-     * Validate effect string format: Condition;Operator;Amount;Stat
+     * Validate effect string: expression syntax (see EffectExpression) or legacy
+     * Condition;Operator;Amount;Stat format
      * Consolidates logic from csvLoader.js (lines 603-658)
      *
      * @param {string} effectString - Effect string to validate
@@ -53,40 +55,51 @@ class ValidationUtils {
     static validateEffectString(effectString, context = {}) {
         const errors = [];
         const { rowNumber, columnName } = context;
-        const prefix = rowNumber && columnName ? `Row ${rowNumber} ${columnName}` : 'Effect';
+        const prefix = rowNumber && columnName ? `Row ${rowNumber} ${columnName}` : (columnName || 'Effect');
+
+        // NEW: Expression syntax is validated by the parser (errors carry a column)
+        if (!EffectExpression.isLegacy(effectString)) {
+            return { errors: this.validateEffectExpression(effectString, prefix) };
+        }
 
         try {
             const parts = effectString.split(';');
+            // 1-based column where a part starts (same positions EffectExpression.parseLegacy reports)
+            const columnOf = index => parts.slice(0, index).reduce((col, part) => col + part.length + 1, 1);
+
             if (parts.length !== 4) {
-                errors.push(`${prefix}: Effect must have exactly 4 parts separated by semicolons. Got ${parts.length} parts: '${effectString}'`);
+                const column = parts.length > 4 ? columnOf(4) : effectString.length + 1;
+                errors.push(`${prefix}: Effect must have exactly 4 parts separated by semicolons at column ${column}. Got ${parts.length} parts: '${effectString}'`);
                 return { errors };
             }
 
             const [condition, operator, amount, stat] = parts;
 
             // Validate condition part
-            const conditionErrors = this.validateEffectCondition(condition, prefix);
+            const conditionErrors = this.validateEffectCondition(condition, prefix, columnOf(0));
             errors.push(...conditionErrors);
 
             // Validate operator
             if (!this.VALID_OPERATORS.includes(operator)) {
-                errors.push(`${prefix}: Invalid operator '${operator}'. Must be one of: ${this.VALID_OPERATORS.join(', ')}`);
+                errors.push(`${prefix}: Invalid operator '${operator}' at column ${columnOf(1)}. Must be one of: ${this.VALID_OPERATORS.join(', ')}`);
             }
 
             // Validate amount
             if (!amount || amount.trim() === '') {
-                errors.push(`${prefix}: Amount part cannot be empty`);
+                errors.push(`${prefix}: Amount part cannot be empty at column ${columnOf(2)}`);
             } else if (isNaN(parseFloat(amount))) {
-                errors.push(`${prefix}: Amount must be a number, got '${amount}'`);
+                errors.push(`${prefix}: Amount must be a number, got '${amount}' at column ${columnOf(2)}`);
             } else if (operator === '/' && parseFloat(amount) === 0) {
-                errors.push(`${prefix}: Division by zero is not allowed`);
+                errors.push(`${prefix}: Division by zero is not allowed at column ${columnOf(2)}`);
             }
 
             // Validate stat (case-insensitive)
             if (!stat || stat.trim() === '') {
-                errors.push(`${prefix}: Stat part cannot be empty`);
+                errors.push(`${prefix}: Stat part cannot be empty at column ${columnOf(3)}`);
+            } else if (this.VALID_RUNNER_STATS.includes(stat.toLowerCase())) {
+                errors.push(`${prefix}: Runner stat effects need the expression syntax, e.g. '${operator}${amount} ${stat} to Runner:Any highest ${stat.toLowerCase()}' (column ${columnOf(3)})`);
             } else if (!this.VALID_STATS.includes(stat.toLowerCase())) {
-                errors.push(`${prefix}: Invalid stat '${stat}'. Must be one of: ${this.VALID_STATS.join(', ')} (case-insensitive)`);
+                errors.push(`${prefix}: Invalid stat '${stat}' at column ${columnOf(3)}. Must be one of: ${this.VALID_STATS.join(', ')} (case-insensitive)`);
             }
 
         } catch (error) {
@@ -96,17 +109,43 @@ class ValidationUtils {
         return { errors };
     }
 
+    /**
+     * NEW: Validate an effect written in the expression syntax
+     * @param {string} effectString - Effect expression
+     * @param {string} prefix - Error message prefix
+     * @returns {Array<string>} Array of error messages
+     */
+    static validateEffectExpression(effectString, prefix) {
+        const { ast, error } = EffectExpression.tryParse(effectString);
+        if (error) {
+            return [`${prefix}: ${error.message}: '${effectString}'`];
+        }
+
+        if (ast.operator === '/' && ast.amount === 0) {
+            return [`${prefix}: Division by zero is not allowed`];
+        }
+
+        // NEW: A runner stat change of 0 does nothing (usually a typo)
+        if (EffectExpression.isRunnerEffect(ast) && ast.action === 'stat' && ast.amount === 0) {
+            return [`${prefix}: Runner stat effect amount cannot be 0: '${effectString}'`];
+        }
+
+        return [];
+    }
+
     /**
      * Validate effect condition part
      * @param {string} condition - Condition string to validate
      * @param {string} prefix - Error message prefix
+     * @param {number} column - 1-based column of the condition in the effect string (optional)
      * @returns {Array<string>} Array of error messages
      */
-    static validateEffectCondition(condition, prefix) {
+    static validateEffectCondition(condition, prefix, column = null) {
         const errors = [];
+        const at = column ? ` at column ${column}` : '';
 
         if (!condition || condition.trim() === '') {
-            errors.push(`${prefix}: Condition part cannot be empty`);
+            errors.push(`${prefix}: Condition part cannot be empty${at}`);
             return errors;
         }
 
@@ -119,35 +158,42 @@ class ValidationUtils {
                                 this.VALID_CONDITION_TYPES.some(type => condition.startsWith(type));
 
         if (!isValidCondition) {
-            errors.push(`${prefix}: Invalid condition '${condition}'. Must be 'None', 'PrevDam', 'PrevRisk', 'RiskDamPair', 'ColorForEach', or start with: RunnerType:, RunnerStat:, NodeColor:, NodeColorCombo:`);
+            errors.push(`${prefix}: Invalid condition '${condition}'${at}. Must be 'None', 'PrevDam', 'PrevRisk', 'RiskDamPair', 'ColorForEach', or start with: RunnerType:, RunnerStat:, NodeColor:, NodeColorCombo:, Trait:`);
         }
 
         // Additional validation for specific condition types
         if (condition.startsWith('RunnerType:')) {
             const type = condition.substring('RunnerType:'.length);
             if (!type || type.trim() === '') {
-                errors.push(`${prefix}: RunnerType condition must specify a runner type`);
+                errors.push(`${prefix}: RunnerType condition must specify a runner type${at}`);
             }
         }
 
         if (condition.startsWith('RunnerStat:')) {
             const statPart = condition.substring('RunnerStat:'.length);
             if (!statPart || statPart.trim() === '') {
-                errors.push(`${prefix}: RunnerStat condition must specify a stat and threshold`);
+                errors.push(`${prefix}: RunnerStat condition must specify a stat and threshold${at}`);
             }
         }
 
         if (condition.startsWith('NodeColor:')) {
             const color = condition.substring('NodeColor:'.length);
             if (!color || color.trim() === '') {
-                errors.push(`${prefix}: NodeColor condition must specify a color`);
+                errors.push(`${prefix}: NodeColor condition must specify a color${at}`);
             }
         }
 
         if (condition.startsWith('NodeColorCombo:')) {
             const colors = condition.substring('NodeColorCombo:'.length);
             if (!colors || colors.trim() === '') {
-                errors.push(`${prefix}: NodeColorCombo condition must specify colors`);
+                errors.push(`${prefix}: NodeColorCombo condition must specify colors${at}`);
+            }
+        }
+
+        if (condition.startsWith('Trait:')) {
+            const trait = condition.substring('Trait:'.length);
+            if (!trait || trait.trim() === '') {
+                errors.push(`${prefix}: Trait condition must specify a trait name${at}`);
             }
         }
 
@@ -455,8 +501,8 @@ class ValidationUtils {
             }
         }
 
-        // Validate effect strings if present
-        ['Effect 1', 'Effect 2'].forEach(effectCol => {
+        // Validate effect strings if present (Effect 1, Effect 2, Effect 3, ...)
+        EffectExpression.getEffectColumns(nodeData).forEach(effectCol => {
             const effectString = nodeData[effectCol];
             if (effectString && effectString.trim() !== '') {
                 const effectValidation = this.validateEffectString(effectString, { rowNumber, columnName: effectCol });
@@ -580,12 +626,11 @@ class ValidationUtils {
 
             // Gate-specific warnings
             if (row['Type'] === 'Gate') {
-                if (row['Effect 1'] && row['Effect 1'].trim() !== '') {
-                    warnings.push(`Row ${rowNumber}: Gate node has Effect 1 defined but it will be ignored`);
-                }
-                if (row['Effect 2'] && row['Effect 2'].trim() !== '') {
-                    warnings.push(`Row ${rowNumber}: Gate node has Effect 2 defined but it will be ignored`);
-                }
+                EffectExpression.getEffectColumns(row).forEach(effectCol => {
+                    if (row[effectCol] && row[effectCol].trim() !== '') {
+                        warnings.push(`Row ${rowNumber}: Gate node has ${effectCol} defined but it will be ignored`);
+                    }
+                });
             } else {
                 // Non-gate warning
                 if (row['GateCondition'] && row['GateCondition'].trim() !== '') {